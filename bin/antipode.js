@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+// Command-line antipode tool. Works fully offline from the bundled datasets:
+// reading and resolving the input is shared with the app's batch panel
+// (js/batch.js).
+//
+//   node bin/antipode.js 40.7128 -74.0060
+//   node bin/antipode.js "Wellington, New Zealand" --format json
+//   node bin/antipode.js --format csv < points.csv
+//   node bin/antipode.js --input geojson < points.geojson
+const Batch = require('../js/batch.js');
+
+const USAGE = `Usage: antipode [options] [location]
+
+Prints the antipode of each location with distances, land/water and place
+names. The location may be coordinates in any format the app accepts
+(decimal, DMS, geo: URI, geohash, plus code, UTM, MGRS...) or a place name.
+Without a location, reads stdin: one location per line, CSV with lat/lng or
+name columns, or GeoJSON points.
+
+Options:
+  -f, --format <table|json|csv>        output format (default: table)
+  -i, --input <auto|lines|csv|geojson> how to read stdin (default: auto)
+  -p, --precision <digits>             decimals for coordinates (default: 6)
+  -h, --help                           show this help`;
+
+const FORMATS = ['table', 'json', 'csv'];
+const INPUTS = ['auto', 'lines', 'csv', 'geojson'];
+
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+function parseArguments(argv) {
+    const options = { format: 'table', input: 'auto', precision: 6, help: false, location: null };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new UsageError(`${arg} needs a value`);
+            return argv[++i];
+        };
+
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg === '-f' || arg === '--format') {
+            options.format = value();
+        } else if (arg === '-i' || arg === '--input') {
+            options.input = value();
+        } else if (arg === '-p' || arg === '--precision') {
+            options.precision = Number(value());
+        } else if (arg === '--') {
+            positional.push(...argv.slice(i + 1));
+            break;
+        } else if (arg.startsWith('-') && !/^-\d/.test(arg)) {
+            // Negative numbers are coordinates, not options
+            throw new UsageError(`Unknown option ${arg}`);
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    if (!FORMATS.includes(options.format)) {
+        throw new UsageError(`--format must be one of ${FORMATS.join(', ')}`);
+    }
+    if (!INPUTS.includes(options.input)) {
+        throw new UsageError(`--input must be one of ${INPUTS.join(', ')}`);
+    }
+    if (!Number.isInteger(options.precision) || options.precision < 0 || options.precision > 12) {
+        throw new UsageError('--precision must be a whole number from 0 to 12');
+    }
+    // "40.7 -74.0" arrives as two arguments; together they are one location
+    if (positional.length) options.location = positional.join(' ');
+    return options;
+}
+
+function formatTable(results, precision) {
+    const columns = [
+        ['Location', row => row.name || row.input],
+        ['Coordinates', row => (row.lat ? `${row.lat}, ${row.lng}` : '')],
+        ['Surface', row => row.surface],
+        ['Place', row => row.place],
+        ['Antipode', row => (row.error ? `error: ${row.error}` : `${row.antipode_lat}, ${row.antipode_lng}`)],
+        ['Surface', row => row.antipode_surface],
+        ['Antipode place', row => row.antipode_place],
+        ['Tunnel km', row => (row.ellipsoid_chord_km ? Number(row.ellipsoid_chord_km).toFixed(1) : '')]
+    ];
+    const cells = results.map(result => {
+        const row = Batch.flatten(result, precision);
+        return columns.map(([, cell]) => cell(row));
+    });
+    const widths = columns.map(([title], index) =>
+        Math.max(title.length, ...cells.map(row => row[index].length)));
+    const line = values => values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+
+    return [
+        line(columns.map(([title]) => title)),
+        line(widths.map(width => '-'.repeat(width))),
+        ...cells.map(line)
+    ].join('\n') + '\n';
+}
+
+function formatResults(results, format, precision) {
+    if (format === 'json') {
+        // Rounded like the other formats, which also hides float noise
+        const round = (key, value) =>
+            (key === 'lat' || key === 'lng') && typeof value === 'number' ? Number(value.toFixed(precision)) : value;
+        return JSON.stringify(results, round, 2) + '\n';
+    }
+    if (format === 'csv') return Batch.toCsv(results, precision);
+    return formatTable(results, precision);
+}
+
+function readStream(stream) {
+    return new Promise((resolve, reject) => {
+        let text = '';
+        stream.setEncoding('utf8');
+        stream.on('data', chunk => { text += chunk; });
+        stream.on('end', () => resolve(text));
+        stream.on('error', reject);
+    });
+}
+
+// Returns the exit code: 0 when every location resolved, 1 when some did
+// not, 2 for usage errors
+async function main(argv, { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr } = {}) {
+    let options;
+    try {
+        options = parseArguments(argv);
+    } catch (error) {
+        stderr.write(`antipode: ${error.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+    if (options.help) {
+        stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+
+    let records;
+    if (options.location) {
+        records = [{ input: options.location }];
+    } else if (stdin.isTTY) {
+        stderr.write(`antipode: give a location or pipe data on stdin\n\n${USAGE}\n`);
+        return 2;
+    } else {
+        try {
+            records = Batch.readRecords(await readStream(stdin), options.input);
+        } catch (error) {
+            stderr.write(`antipode: ${error.message}\n`);
+            return 2;
+        }
+    }
+
+    const results = records.map(Batch.resolveRecord);
+    stdout.write(formatResults(results, options.format, options.precision));
+    return results.some(result => result.error) ? 1 : 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => { process.exitCode = code; });
+}
+
+module.exports = {
+    UsageError,
+    parseArguments,
+    parseCsv: Batch.parseCsv,
+    readRecords: Batch.readRecords,
+    resolveRecord: Batch.resolveRecord,
+    formatResults,
+    main
+};
@@ -0,0 +1,118 @@
+// Named oceans, seas, gulfs and straits for labelling water points offline.
+// Hand-drawn, deliberately coarse outlines of [lng, lat] positions, loosely
+// following the IHO "Limits of Oceans and Seas". Outlines may run over land
+// and overlap each other: only points already classified as water are looked
+// up, and the first matching entry wins, so narrow waters come before the
+// seas around them and the oceans come last. Rings that cross the
+// antimeridian continue past 180 instead of wrapping.
+(function (root, data) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = data;
+    } else {
+        root.MARINE_REGIONS = data;
+    }
+})(typeof self !== 'undefined' ? self : this, [
+    // Straits and channels
+    { name: 'Strait of Gibraltar', type: 'strait', coordinates: [[-6.1, 35.7], [-5.3, 35.7], [-5.3, 36.2], [-6.1, 36.2]] },
+    { name: 'Strait of Dover', type: 'strait', coordinates: [[0.9, 50.6], [2.0, 50.6], [2.0, 51.3], [0.9, 51.3]] },
+    { name: 'Strait of Hormuz', type: 'strait', coordinates: [[55.8, 25.8], [57.2, 25.8], [57.2, 27.0], [55.8, 27.0]] },
+    { name: 'Bab-el-Mandeb', type: 'strait', coordinates: [[42.8, 12.3], [43.7, 12.3], [43.7, 13.0], [42.8, 13.0]] },
+    { name: 'Strait of Malacca', type: 'strait', coordinates: [[95.5, 6.0], [98.0, 3.5], [101.0, 1.5], [103.8, 1.1], [104.0, 1.6], [101.5, 3.2], [100.2, 5.5], [98.5, 7.0]] },
+    { name: 'Taiwan Strait', type: 'strait', coordinates: [[117.5, 22.5], [120.3, 22.5], [121.8, 25.3], [119.5, 25.8], [117.5, 24.0]] },
+    { name: 'Bering Strait', type: 'strait', coordinates: [[-171.0, 64.5], [-166.0, 64.5], [-166.0, 66.5], [-171.0, 66.5]] },
+    { name: 'Denmark Strait', type: 'strait', coordinates: [[-35.0, 64.5], [-22.0, 64.5], [-22.0, 68.0], [-35.0, 68.0]] },
+    { name: 'Bass Strait', type: 'strait', coordinates: [[143.5, -41.0], [149.0, -41.0], [149.0, -38.3], [143.5, -38.3]] },
+    { name: 'Cook Strait', type: 'strait', coordinates: [[174.0, -41.8], [175.0, -41.8], [175.0, -40.9], [174.0, -40.9]] },
+    { name: 'Torres Strait', type: 'strait', coordinates: [[141.0, -11.0], [144.0, -11.0], [144.0, -9.0], [141.0, -9.0]] },
+    { name: 'Drake Passage', type: 'strait', coordinates: [[-70.0, -62.0], [-55.0, -62.0], [-55.0, -55.0], [-70.0, -55.0]] },
+    { name: 'Mozambique Channel', type: 'strait', coordinates: [[34.5, -25.5], [44.0, -25.5], [47.5, -15.0], [44.0, -11.5], [40.0, -10.5], [36.0, -17.0]] },
+    { name: 'Karimata Strait', type: 'strait', coordinates: [[104.5, -3.0], [111.0, -3.0], [111.0, 0.5], [104.5, 0.5]] },
+    { name: 'Makassar Strait', type: 'strait', coordinates: [[116.0, -3.0], [120.0, -3.0], [120.0, 1.5], [116.0, 1.5]] },
+    { name: 'English Channel', type: 'strait', coordinates: [[-5.5, 48.5], [1.5, 49.5], [1.5, 50.8], [-5.5, 50.3]] },
+
+    // Gulfs and bays
+    { name: 'Gulf of Mexico', type: 'gulf', coordinates: [[-98.0, 17.5], [-90.0, 17.5], [-87.0, 21.3], [-84.9, 21.9], [-81.0, 23.2], [-80.5, 25.5], [-82.0, 31.0], [-98.0, 31.0]] },
+    { name: 'Gulf of California', type: 'gulf', coordinates: [[-115.0, 32.0], [-114.0, 31.5], [-109.0, 23.0], [-106.0, 23.0], [-108.0, 27.0], [-112.0, 30.0], [-114.5, 32.2]] },
+    { name: 'Gulf of Alaska', type: 'gulf', coordinates: [[-160.0, 54.0], [-134.0, 54.0], [-134.0, 61.0], [-155.0, 61.0], [-160.0, 58.0]] },
+    { name: 'Gulf of St. Lawrence', type: 'gulf', coordinates: [[-66.0, 46.0], [-59.5, 46.0], [-56.0, 47.5], [-57.0, 51.5], [-64.0, 50.2], [-67.0, 49.5], [-65.0, 48.0]] },
+    { name: 'Hudson Bay', type: 'bay', coordinates: [[-95.0, 51.0], [-76.0, 51.0], [-76.0, 64.5], [-95.0, 64.5]] },
+    { name: 'Baffin Bay', type: 'bay', coordinates: [[-80.0, 68.0], [-52.0, 68.0], [-52.0, 78.5], [-80.0, 78.5]] },
+    { name: 'Bay of Biscay', type: 'bay', coordinates: [[-10.0, 43.0], [-1.0, 43.0], [-1.0, 48.0], [-5.0, 48.3], [-10.0, 45.0]] },
+    { name: 'Gulf of Bothnia', type: 'gulf', coordinates: [[17.0, 60.0], [26.0, 60.0], [26.0, 66.0], [17.0, 66.0]] },
+    { name: 'Gulf of Finland', type: 'gulf', coordinates: [[22.5, 59.0], [30.5, 59.0], [30.5, 61.0], [22.5, 60.3]] },
+    { name: 'Gulf of Guinea', type: 'gulf', coordinates: [[-8.0, 4.5], [-8.0, -1.0], [9.0, -1.0], [9.8, 4.0], [8.0, 5.0], [0.0, 6.0], [-5.0, 5.5]] },
+    { name: 'Gulf of Aden', type: 'gulf', coordinates: [[43.2, 12.6], [45.0, 10.5], [51.5, 11.0], [51.5, 16.0], [45.0, 13.5], [43.2, 13.0]] },
+    { name: 'Persian Gulf', type: 'gulf', coordinates: [[47.5, 30.5], [50.0, 30.5], [56.5, 27.0], [56.5, 24.5], [51.0, 24.0], [48.0, 28.0]] },
+    { name: 'Gulf of Oman', type: 'gulf', coordinates: [[56.5, 22.5], [62.0, 22.5], [62.0, 25.5], [57.0, 26.8]] },
+    { name: 'Bay of Bengal', type: 'bay', coordinates: [[78.0, 5.0], [92.0, 5.0], [94.0, 15.0], [92.0, 23.0], [86.0, 23.0], [80.0, 16.0], [79.8, 10.0]] },
+    { name: 'Gulf of Thailand', type: 'gulf', coordinates: [[99.0, 6.0], [105.0, 8.5], [105.0, 13.6], [99.0, 13.6]] },
+    { name: 'Gulf of Tonkin', type: 'gulf', coordinates: [[105.5, 17.0], [110.0, 17.0], [110.0, 22.0], [105.5, 22.0]] },
+    { name: 'Gulf of Carpentaria', type: 'gulf', coordinates: [[135.5, -17.8], [142.0, -17.8], [142.0, -10.8], [135.5, -11.5]] },
+    { name: 'Great Australian Bight', type: 'bay', coordinates: [[115.0, -34.5], [124.0, -32.5], [131.0, -31.0], [134.0, -31.5], [137.8, -32.5], [138.0, -34.5], [140.5, -38.0], [130.0, -40.0], [115.0, -38.0]] },
+
+    // Seas
+    { name: 'Sea of Marmara', type: 'sea', coordinates: [[26.8, 40.2], [30.0, 40.2], [30.0, 41.1], [26.8, 41.1]] },
+    { name: 'Sea of Azov', type: 'sea', coordinates: [[34.8, 45.2], [39.4, 45.2], [39.4, 47.3], [34.8, 47.3]] },
+    { name: 'Black Sea', type: 'sea', coordinates: [[27.3, 40.9], [42.0, 40.9], [42.0, 46.7], [27.3, 46.7]] },
+    { name: 'Caspian Sea', type: 'sea', coordinates: [[46.5, 36.5], [54.5, 36.5], [54.5, 47.5], [46.5, 47.5]] },
+    { name: 'Alboran Sea', type: 'sea', coordinates: [[-5.3, 35.0], [-1.0, 35.0], [-1.0, 37.0], [-5.3, 36.8]] },
+    { name: 'Balearic Sea', type: 'sea', coordinates: [[0.0, 38.5], [4.5, 38.5], [4.5, 42.0], [0.0, 41.0]] },
+    { name: 'Ligurian Sea', type: 'sea', coordinates: [[7.0, 43.0], [10.0, 43.0], [10.0, 44.5], [7.0, 44.0]] },
+    { name: 'Tyrrhenian Sea', type: 'sea', coordinates: [[9.3, 38.0], [15.6, 38.0], [16.3, 40.0], [11.0, 42.8], [9.5, 42.8]] },
+    { name: 'Adriatic Sea', type: 'sea', coordinates: [[18.5, 40.0], [20.0, 40.3], [19.5, 42.0], [13.5, 45.9], [12.0, 45.5], [12.5, 44.0], [16.0, 41.5]] },
+    { name: 'Ionian Sea', type: 'sea', coordinates: [[15.0, 36.5], [22.0, 36.5], [21.5, 39.5], [20.0, 40.3], [18.5, 40.0], [16.5, 39.5], [15.6, 38.0]] },
+    { name: 'Aegean Sea', type: 'sea', coordinates: [[22.5, 35.5], [28.5, 35.5], [28.5, 41.0], [22.5, 41.0]] },
+    { name: 'Red Sea', type: 'sea', coordinates: [[32.3, 30.0], [35.5, 28.5], [40.0, 21.5], [43.0, 16.5], [43.8, 13.0], [42.8, 12.4], [38.5, 17.0], [36.5, 22.0], [33.5, 27.0]] },
+    { name: 'Mediterranean Sea', type: 'sea', coordinates: [[-5.3, 35.0], [10.0, 30.0], [36.5, 30.0], [36.5, 46.0], [-5.3, 46.0]] },
+    { name: 'Arabian Sea', type: 'sea', coordinates: [[50.0, 8.0], [77.0, 8.0], [73.0, 22.0], [67.0, 26.0], [61.0, 25.3], [57.0, 23.0], [53.0, 16.0], [50.0, 12.0]] },
+    { name: 'Andaman Sea', type: 'sea', coordinates: [[92.0, 5.0], [98.5, 5.0], [98.5, 16.5], [94.0, 16.5], [92.0, 10.0]] },
+    { name: 'Irish Sea', type: 'sea', coordinates: [[-6.5, 51.8], [-2.9, 51.8], [-2.9, 55.0], [-6.5, 55.0]] },
+    { name: 'Celtic Sea', type: 'sea', coordinates: [[-11.0, 48.0], [-5.5, 48.0], [-5.5, 51.8], [-11.0, 51.8]] },
+    { name: 'Skagerrak', type: 'strait', coordinates: [[7.5, 57.0], [10.5, 57.0], [11.0, 59.5], [7.5, 58.5]] },
+    { name: 'Kattegat', type: 'strait', coordinates: [[10.5, 55.5], [12.8, 55.5], [12.8, 58.0], [10.5, 58.0]] },
+    { name: 'Baltic Sea', type: 'sea', coordinates: [[9.8, 53.5], [30.5, 53.5], [30.5, 60.5], [9.8, 60.5]] },
+    { name: 'North Sea', type: 'sea', coordinates: [[-4.0, 51.0], [9.8, 51.0], [9.8, 61.0], [-4.0, 61.0]] },
+    { name: 'Norwegian Sea', type: 'sea', coordinates: [[-1.0, 61.0], [5.0, 61.0], [15.0, 68.0], [20.0, 70.5], [8.0, 74.0], [-10.0, 72.0], [-13.5, 66.0], [-15.0, 64.0]] },
+    { name: 'Greenland Sea', type: 'sea', coordinates: [[-22.0, 68.0], [-10.0, 72.0], [8.0, 74.0], [15.0, 80.0], [-20.0, 81.5]] },
+    { name: 'White Sea', type: 'sea', coordinates: [[32.0, 63.8], [44.0, 63.8], [44.0, 68.7], [32.0, 68.7]] },
+    { name: 'Barents Sea', type: 'sea', coordinates: [[20.0, 68.0], [60.0, 68.0], [60.0, 80.5], [20.0, 80.5]] },
+    { name: 'Kara Sea', type: 'sea', coordinates: [[60.0, 66.0], [95.0, 72.0], [95.0, 81.0], [60.0, 81.0]] },
+    { name: 'Laptev Sea', type: 'sea', coordinates: [[95.0, 70.0], [140.0, 70.0], [140.0, 80.0], [95.0, 80.0]] },
+    { name: 'East Siberian Sea', type: 'sea', coordinates: [[140.0, 68.0], [180.0, 68.0], [180.0, 77.0], [140.0, 77.0]] },
+    { name: 'Chukchi Sea', type: 'sea', coordinates: [[-180.0, 66.5], [-156.0, 66.5], [-156.0, 74.0], [-180.0, 74.0]] },
+    { name: 'Beaufort Sea', type: 'sea', coordinates: [[-156.0, 69.0], [-120.0, 69.0], [-120.0, 76.0], [-156.0, 76.0]] },
+    { name: 'Labrador Sea', type: 'sea', coordinates: [[-64.0, 53.0], [-45.0, 53.0], [-45.0, 64.0], [-64.0, 64.0]] },
+    { name: 'Caribbean Sea', type: 'sea', coordinates: [[-89.0, 9.0], [-60.0, 9.0], [-60.0, 16.0], [-61.5, 18.0], [-65.0, 18.5], [-74.0, 18.5], [-78.0, 20.0], [-84.9, 21.9], [-87.2, 21.5], [-89.0, 17.0]] },
+    { name: 'Bering Sea', type: 'sea', coordinates: [[162.0, 58.0], [165.0, 51.0], [195.0, 51.0], [203.0, 54.5], [203.0, 60.0], [194.0, 66.0], [188.0, 66.5], [179.0, 63.0], [170.0, 60.0]] },
+    { name: 'Sea of Okhotsk', type: 'sea', coordinates: [[135.0, 44.0], [145.0, 43.5], [156.0, 50.0], [163.0, 59.0], [142.0, 62.0], [135.0, 54.0]] },
+    { name: 'Sea of Japan', type: 'sea', coordinates: [[127.5, 34.5], [132.0, 33.5], [142.0, 41.0], [142.0, 52.0], [138.0, 48.0], [127.5, 39.0]] },
+    { name: 'Yellow Sea', type: 'sea', coordinates: [[119.5, 31.0], [126.5, 34.0], [126.5, 39.0], [121.5, 41.0], [117.5, 39.0], [119.5, 35.0]] },
+    { name: 'East China Sea', type: 'sea', coordinates: [[119.5, 25.0], [122.0, 25.0], [130.0, 30.5], [130.5, 33.0], [126.5, 34.0], [120.0, 31.0]] },
+    { name: 'South China Sea', type: 'sea', coordinates: [[103.5, 1.3], [109.0, 0.0], [118.0, 5.0], [120.5, 14.0], [120.5, 22.0], [114.0, 23.0], [108.0, 21.5], [106.0, 15.0], [105.0, 8.6], [103.5, 5.0]] },
+    { name: 'Philippine Sea', type: 'sea', coordinates: [[121.0, 5.0], [134.0, 5.0], [142.0, 15.0], [142.0, 34.0], [130.0, 33.0], [122.0, 25.0]] },
+    { name: 'Sulu Sea', type: 'sea', coordinates: [[118.0, 5.5], [123.0, 5.5], [123.0, 12.0], [118.0, 12.0]] },
+    { name: 'Celebes Sea', type: 'sea', coordinates: [[118.0, 1.5], [126.0, 1.5], [126.0, 7.5], [118.0, 5.5]] },
+    { name: 'Seram Sea', type: 'sea', coordinates: [[126.0, -3.5], [135.0, -3.5], [135.0, -1.0], [126.0, -1.0]] },
+    { name: 'Molucca Sea', type: 'sea', coordinates: [[120.0, -3.5], [128.0, -3.5], [128.0, 3.0], [120.0, 1.5]] },
+    { name: 'Java Sea', type: 'sea', coordinates: [[105.5, -7.5], [119.0, -7.5], [119.0, -3.0], [105.5, -3.0]] },
+    { name: 'Flores Sea', type: 'sea', coordinates: [[117.0, -9.0], [123.0, -9.0], [123.0, -6.5], [117.0, -6.5]] },
+    { name: 'Banda Sea', type: 'sea', coordinates: [[119.0, -8.0], [133.0, -8.0], [133.0, -3.5], [119.0, -3.5]] },
+    { name: 'Timor Sea', type: 'sea', coordinates: [[122.0, -15.0], [131.0, -15.0], [131.0, -8.5], [122.0, -8.5]] },
+    { name: 'Arafura Sea', type: 'sea', coordinates: [[130.0, -11.5], [141.0, -11.5], [141.0, -6.0], [130.0, -6.0]] },
+    { name: 'Bismarck Sea', type: 'sea', coordinates: [[142.0, -5.0], [152.0, -5.0], [152.0, -1.5], [142.0, -1.5]] },
+    { name: 'Solomon Sea', type: 'sea', coordinates: [[146.0, -11.5], [156.0, -11.5], [156.0, -5.0], [146.0, -5.0]] },
+    { name: 'Coral Sea', type: 'sea', coordinates: [[142.0, -30.0], [165.0, -30.0], [165.0, -9.0], [142.0, -9.0]] },
+    { name: 'Tasman Sea', type: 'sea', coordinates: [[148.0, -45.0], [167.0, -47.0], [173.0, -40.0], [174.5, -34.0], [159.0, -30.0], [153.5, -29.0], [150.0, -37.5]] },
+    { name: 'Scotia Sea', type: 'sea', coordinates: [[-60.0, -62.0], [-25.0, -62.0], [-25.0, -53.0], [-60.0, -53.0]] },
+    { name: 'Ross Sea', type: 'sea', coordinates: [[160.0, -86.0], [210.0, -86.0], [210.0, -71.0], [160.0, -71.0]] },
+    { name: 'Weddell Sea', type: 'sea', coordinates: [[-62.0, -82.0], [-10.0, -82.0], [-10.0, -70.0], [-60.0, -64.0]] },
+
+    // Oceans
+    { name: 'Southern Ocean', type: 'ocean', coordinates: [[-180.0, -90.0], [180.0, -90.0], [180.0, -60.0], [-180.0, -60.0]] },
+    { name: 'Arctic Ocean', type: 'ocean', coordinates: [[-180.0, 66.5], [180.0, 66.5], [180.0, 90.0], [-180.0, 90.0]] },
+    { name: 'North Pacific Ocean', type: 'ocean', coordinates: [[100.0, 0.0], [281.0, 0.0], [283.0, 4.0], [283.0, 8.5], [277.0, 10.5], [273.0, 15.0], [262.0, 18.0], [235.0, 66.5], [100.0, 66.5]] },
+    { name: 'South Pacific Ocean', type: 'ocean', coordinates: [[128.0, 0.0], [281.0, 0.0], [281.0, -4.0], [284.0, -12.0], [290.0, -18.0], [291.0, -30.0], [290.0, -40.0], [292.0, -55.0], [290.0, -60.0], [146.9, -60.0], [146.9, -39.0], [142.0, -10.5], [130.0, -2.0]] },
+    { name: 'North Atlantic Ocean', type: 'ocean', coordinates: [[-52.0, 0.0], [-77.0, 8.5], [-83.0, 10.5], [-87.0, 15.0], [-98.0, 18.0], [-98.0, 66.5], [-20.0, 66.5], [-15.0, 64.0], [-1.0, 61.0], [-4.0, 59.0], [-5.6, 36.0], [15.0, 36.0], [15.0, 0.0]] },
+    { name: 'South Atlantic Ocean', type: 'ocean', coordinates: [[-52.0, 0.0], [15.0, 0.0], [20.0, -34.8], [20.0, -60.0], [-67.0, -60.0], [-68.0, -55.0], [-70.0, -40.0], [-60.0, -10.0]] },
+    { name: 'Indian Ocean', type: 'ocean', coordinates: [[20.0, -60.0], [20.0, -34.8], [30.0, -20.0], [40.0, 10.0], [50.0, 12.0], [57.0, 22.0], [67.0, 26.0], [75.0, 8.0], [80.0, 16.0], [92.0, 23.0], [98.0, 16.0], [100.0, -1.0], [106.0, -6.5], [115.0, -8.5], [122.0, -9.5], [126.0, -14.0], [122.0, -17.5], [119.0, -20.5], [114.8, -22.0], [116.0, -31.0], [115.8, -34.0], [130.0, -32.0], [146.9, -39.0], [146.9, -60.0]] }
+]);
@@ -0,0 +1,200 @@
+// The app's single source of truth: the selected start point and its
+// antipode, the address shown for each, and where the dig journey is.
+// Every input path (search, suggestions, sample buttons, geolocation, globe
+// clicks) goes through select(); the panels and the globe are drawn by
+// subscribers, so all paths behave the same.
+//
+// State is replaced, never mutated, so subscribers can compare the new state
+// with the previous one to see what changed. That also makes undo cheap:
+// select() and reset() push the state they replace onto a history stack,
+// and undo()/redo() put it back, addresses and camera framing included.
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./geo.js'));
+    } else {
+        root.AppState = factory(root.Geo);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Geo) {
+    // idle: nothing selected; selected: ready to dig; digging: the journey
+    // animation is running; arrived: it has finished
+    const PHASES = ['idle', 'selected', 'digging', 'arrived'];
+
+    const INITIAL_STATE = Object.freeze({
+        selection: null,
+        addresses: Object.freeze({ start: null, end: null }),
+        // Addresses that only have the offline answer so far ('start'/'end')
+        pendingAddresses: Object.freeze([]),
+        phase: 'idle',
+        // The framing to show this state in: the one undo()/redo() returned
+        // to or the one select() was given; otherwise null
+        camera: null,
+        canUndo: false,
+        canRedo: false
+    });
+
+    // `captureView()` returns the current camera framing; it is stored with
+    // each history entry. At most `historyLimit` entries are kept for undo.
+    function createStore({ captureView = () => null, historyLimit = 50 } = {}) {
+        let state = INITIAL_STATE;
+        let nextId = 1;
+        let notifying = false;
+        const listeners = new Set();
+        const past = [];
+        let future = [];
+
+        // Listeners may change the state again; they then run once more with
+        // the newer state, so every listener sees every change in order
+        function update(changes) {
+            const previous = state;
+            state = Object.freeze({ ...state, ...changes });
+            if (notifying) return;
+
+            notifying = true;
+            try {
+                let last = previous;
+                while (last !== state) {
+                    const current = state;
+                    for (const listener of [...listeners]) listener(current, last);
+                    last = current;
+                }
+            } finally {
+                notifying = false;
+            }
+        }
+
+        function snapshot() {
+            return Object.freeze({
+                selection: state.selection,
+                addresses: state.addresses,
+                pendingAddresses: state.pendingAddresses,
+                camera: captureView()
+            });
+        }
+
+        // Remember the current state before a new selection or a reset
+        // replaces it. A new branch of history drops anything to redo.
+        function record() {
+            past.push(snapshot());
+            if (past.length > historyLimit) past.shift();
+            future = [];
+        }
+
+        function restore(entry) {
+            update({
+                ...entry,
+                phase: entry.selection ? 'selected' : 'idle',
+                canUndo: past.length > 0,
+                canRedo: future.length > 0
+            });
+        }
+
+        const store = {
+            getState() {
+                return state;
+            },
+
+            // `listener(state, previous)` runs after every change. Returns a
+            // function that unsubscribes.
+            subscribe(listener) {
+                listeners.add(listener);
+                return () => listeners.delete(listener);
+            },
+
+            // Select a start point. The antipode is computed here. `name`
+            // (a place name the user picked) becomes the start address;
+            // `source` records which input path it came from; `camera` is a
+            // framing to show it in (from a shared link, say). Returns the
+            // new selection.
+            select(start, { name = null, source = 'unknown', camera = null } = {}) {
+                const lat = Number(start.lat);
+                const lng = Number(start.lng);
+                if (!Geo.isValidCoordinates(lat, lng)) {
+                    throw new RangeError(`Invalid coordinates ${start.lat}, ${start.lng}`);
+                }
+
+                const selection = Object.freeze({
+                    id: nextId++,
+                    start: Object.freeze({ lat, lng }),
+                    end: Object.freeze(Geo.antipode(lat, lng)),
+                    name,
+                    source
+                });
+                record();
+                update({
+                    selection,
+                    addresses: Object.freeze({ start: name, end: null }),
+                    pendingAddresses: INITIAL_STATE.pendingAddresses,
+                    phase: 'selected',
+                    camera,
+                    canUndo: true,
+                    canRedo: false
+                });
+                return selection;
+            },
+
+            // Set the address for 'start' or 'end'. Answers for a selection
+            // that has since been replaced (`selectionId` no longer current)
+            // are dropped. `pending` marks a stand-in that a later answer
+            // (usually the online one) should replace.
+            setAddress(which, text, selectionId = null, { pending = false } = {}) {
+                if (which !== 'start' && which !== 'end') {
+                    throw new Error(`Unknown address '${which}'`);
+                }
+                if (!state.selection) return false;
+                if (selectionId !== null && selectionId !== state.selection.id) return false;
+
+                const wasPending = state.pendingAddresses.includes(which);
+                if (state.addresses[which] === text && wasPending === pending) return true;
+
+                const pendingAddresses = state.pendingAddresses.filter(other => other !== which);
+                if (pending) pendingAddresses.push(which);
+                update({
+                    addresses: Object.freeze({ ...state.addresses, [which]: text }),
+                    pendingAddresses: Object.freeze(pendingAddresses)
+                });
+                return true;
+            },
+
+            setPhase(phase) {
+                if (!PHASES.includes(phase)) throw new Error(`Unknown phase '${phase}'`);
+                if (phase !== 'idle' && !state.selection) {
+                    throw new Error(`Cannot enter the '${phase}' phase without a selection`);
+                }
+                if (phase === 'idle') {
+                    store.reset();
+                    return;
+                }
+                if (state.phase !== phase) update({ phase });
+            },
+
+            reset() {
+                if (!state.selection && state.phase === 'idle') return;
+                record();
+                update({ ...INITIAL_STATE, canUndo: true });
+            },
+
+            // Go back to the state before the last select() or reset().
+            // Returns false when there is nothing to undo or a dig is running.
+            undo() {
+                if (!past.length || state.phase === 'digging') return false;
+                future.push(snapshot());
+                restore(past.pop());
+                return true;
+            },
+
+            redo() {
+                if (!future.length || state.phase === 'digging') return false;
+                past.push(snapshot());
+                restore(future.pop());
+                return true;
+            }
+        };
+        return store;
+    }
+
+    return {
+        PHASES,
+        INITIAL_STATE,
+        createStore
+    };
+});
@@ -10,15 +10,34 @@ document.addEventListener('DOMContentLoaded', () => {
     const currentLocationButton = document.getElementById('current-location-btn');
     const digButton = document.getElementById('dig-btn');
     const resetButton = document.getElementById('reset-btn');
+    const undoButton = document.getElementById('undo-btn');
+    const redoButton = document.getElementById('redo-btn');
     const startCoords = document.getElementById('start-coords');
     const startAddress = document.getElementById('start-address');
     const endCoords = document.getElementById('end-coords');
     const endAddress = document.getElementById('end-address');
+    const startGeodesy = document.getElementById('start-geodesy');
+    const endGeodesy = document.getElementById('end-geodesy');
+    const ellipsoidModeToggle = document.getElementById('ellipsoid-mode');
+    const startSurface = document.getElementById('start-surface');
+    const endSurface = document.getElementById('end-surface');
+    const endNearestLand = document.getElementById('end-nearest-land');
+    const digModeSelect = document.getElementById('dig-mode');
+    const digExit = document.getElementById('dig-exit');
+    const onlineGeocodingToggle = document.getElementById('online-geocoding');
+    const geocoderSelect = document.getElementById('geocoder-provider');
+    const geocoderUrlInput = document.getElementById('geocoder-url');
+    const coordinateFormatSelect = document.getElementById('coord-format');
+    const copyStartButton = document.getElementById('copy-start');
+    const copyEndButton = document.getElementById('copy-end');
     const endLocationPanel = document.getElementById('end-location');
     const statusMessage = document.getElementById('status-message');
     const journeyStatus = document.querySelector('.journey-status');
     const progressBar = document.querySelector('.progress');
     
+    // Messages for the user go here; debugging output stays in the console
+    const notifier = new Notifier(document.getElementById('notifications'));
+    
     // Sample location buttons
     const sampleButtons = document.querySelectorAll('.sample-btn');
     
@@ -50,168 +69,151 @@ document.addEventListener('DOMContentLoaded', () => {
             
             const lat = parseFloat(button.getAttribute('data-lat'));
             const lng = parseFloat(button.getAttribute('data-lng'));
-            const locationName = button.textContent;
-            
-            // Set location directly without API calls
-            startLocation = { lat, lng };
-            
-            // Update UI immediately
-            startCoords.textContent = `${lat.toFixed(6)}, ${lng.toFixed(6)}`;
-            startAddress.textContent = locationName;
-                
-                // Calculate antipodal point
-            endLocation = calculateAntipode(lat, lng);
             
-            // Update end location UI
-            endCoords.textContent = `${endLocation.lat.toFixed(6)}, ${endLocation.lng.toFixed(6)}`;
-            endAddress.textContent = 'Antipode of ' + locationName;
+            selectLocation({ lat, lng }, { name: button.textContent, source: 'sample' });
             
-            try {
-                // Set markers on the earth visualization
-                console.log('Setting start marker at:', lat, lng);
-                earthVisualization.setMarkerPosition('start-marker', lat, lng, true);
-                
-                console.log('Setting end marker at:', endLocation.lat, endLocation.lng);
-                earthVisualization.setMarkerPosition('end-marker', endLocation.lat, endLocation.lng, false);
-                
-                // Try to use the geocoder for end address in the background
-                reverseGeocode(endLocation.lat, endLocation.lng)
-                    .then(address => {
-                        if (address) endAddress.textContent = address;
-                    })
-                    .catch(() => {
-                        // Keep fallback address
-                    });
-                
-                // Enable digging
-                digButton.disabled = false;
-                endLocationPanel.classList.remove('hidden');
-                
-                console.log('Sample location successfully set');
-            } catch (err) {
-                console.error('Error setting location from sample button:', err);
-                alert('Error setting location. Please try again.');
-            } finally {
-                // Remove visual feedback after a delay
-                setTimeout(() => {
-                    button.classList.remove('active');
-                    actionInProgress = false;
-                }, 500);
-            }
+            // Remove visual feedback after a delay
+            setTimeout(() => {
+                button.classList.remove('active');
+                actionInProgress = false;
+            }, 500);
         });
     });
     
     // Add event listeners for the focus buttons with debouncing
     const focusStartButton = document.getElementById('focus-start');
     const focusEndButton = document.getElementById('focus-end');
+    const focusNearestLandButton = document.getElementById('focus-nearest-land');
     
-    // Create debounced versions of focus functions to prevent rapid clicking
-    const debouncedFocusStart = debounce(() => {
-        console.log('Focusing on start marker');
-        if (earthVisualization && typeof earthVisualization.focusOnMarker === 'function') {
-            focusStartButton.disabled = true;
-            focusStartButton.classList.add('active');
-            
-            earthVisualization.focusOnMarker('start-marker');
-            
-            // Re-enable after animation completes
-            setTimeout(() => {
-                focusStartButton.disabled = false;
-                focusStartButton.classList.remove('active');
-            }, 1600); // Slightly longer than animation duration
-        } else {
-            console.error('Earth visualization or focusOnMarker method not available');
-        }
-    }, 300);
+    // Create a debounced focus handler to prevent rapid clicking
+    function createFocusHandler(button, markerID) {
+        return debounce(() => {
+            console.log('Focusing on', markerID);
+            if (earthVisualization && typeof earthVisualization.focusOnMarker === 'function') {
+                button.disabled = true;
+                button.classList.add('active');
+                
+                earthVisualization.focusOnMarker(markerID);
+                
+                // Re-enable after animation completes
+                setTimeout(() => {
+                    button.disabled = false;
+                    button.classList.remove('active');
+                }, 1600); // Slightly longer than animation duration
+            } else {
+                console.error('Earth visualization or focusOnMarker method not available');
+            }
+        }, 300);
+    }
     
-    const debouncedFocusEnd = debounce(() => {
-        console.log('Focusing on end marker');
-        if (earthVisualization && typeof earthVisualization.focusOnMarker === 'function') {
-            focusEndButton.disabled = true;
-            focusEndButton.classList.add('active');
-            
-            earthVisualization.focusOnMarker('end-marker');
-            
-            // Re-enable after animation completes
-            setTimeout(() => {
-                focusEndButton.disabled = false;
-                focusEndButton.classList.remove('active');
-            }, 1600); // Slightly longer than animation duration
-        } else {
-            console.error('Earth visualization or focusOnMarker method not available');
+    [
+        [focusStartButton, 'start-marker'],
+        [focusEndButton, 'end-marker'],
+        [focusNearestLandButton, 'land-marker']
+    ].forEach(([button, markerID]) => {
+        if (button) {
+            button.addEventListener('click', createFocusHandler(button, markerID));
         }
-    }, 300);
+    });
     
-    if (focusStartButton) {
-        focusStartButton.addEventListener('click', debouncedFocusStart);
-    }
+    // Selection, addresses and journey phase live in one store. Input paths
+    // only call selectLocation(); the subscriber near the end of this file
+    // draws the panels and drives the globe. Each history entry keeps the
+    // camera framing so undo/redo can return to it.
+    const store = AppState.createStore({
+        captureView: () => earthVisualization.getCameraView()
+    });
     
-    if (focusEndButton) {
-        focusEndButton.addEventListener('click', debouncedFocusEnd);
+    // Every way of choosing a start point ends here
+    function selectLocation(location, { name = null, source = 'unknown', camera = null } = {}) {
+        if (store.getState().phase === 'digging') {
+            notifier.info('Wait for the journey to finish before choosing a new location.');
+            return;
+        }
+        try {
+            store.select(location, { name, source, camera });
+        } catch (err) {
+            console.error('[selectLocation] Could not select', location, err);
+            notifier.error('Could not set that location. Please try again.');
+        }
     }
     
-    // Store starting location
-    let startLocation = null;
-    let endLocation = null;
-    
     // Connect UI elements
     earthVisualization.progressBar = progressBar;
     earthVisualization.statusText = statusMessage;
     
+    // Suggestions from the offline gazetteer while typing
+    const locationAutocomplete = new LocationAutocomplete(locationInput, document.getElementById('location-suggestions'), {
+        search: query => Gazetteer.search(query, { limit: 8 }),
+        label: place => Gazetteer.describe(place),
+        details: place => `${place.lat.toFixed(4)}, ${place.lng.toFixed(4)} · pop. ${place.population.toLocaleString()}`,
+        onSelect: place => {
+            selectLocation(place, { name: Gazetteer.describe(place), source: 'suggestion' });
+        }
+    });
+    
+    // Enter without a highlighted suggestion runs a normal search
+    locationInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' && !event.defaultPrevented) {
+            locationAutocomplete.close();
+            locateButton.click();
+        }
+    });
+    
     // --- MINIMAL, ROBUST LOCATION LOGIC ---
     // Handles: search by address/city, search by coordinates, and use my location
     locateButton.addEventListener('click', async () => {
         console.log('[Location Search] Button clicked');
         const query = locationInput.value.trim();
         if (!query) {
-            alert('Please enter a location or use one of the sample locations');
+            notifier.warning('Please enter a location or use one of the sample locations.');
             return;
         }
         locateButton.textContent = 'Searching...';
         locateButton.disabled = true;
         try {
-            const coordsFormat = /^(-?\d+\.?\d*),\s*(-?\d+\.?\d*)$/;
-            const match = query.match(coordsFormat);
-            if (match) {
-                const lat = parseFloat(match[1]);
-                const lng = parseFloat(match[2]);
-                if (isValidCoordinates(lat, lng)) {
-                    startLocation = { lat, lng };
-                    alert(`[Location Search] Using coordinates: ${lat}, ${lng}`);
-                    await processLocation(`Coordinates: ${lat}, ${lng}`);
-                } else {
-                    alert('Invalid coordinates. Latitude must be between -90 and 90, longitude between -180 and 180.');
-                }
+            let coordinates;
+            try {
+                // Short plus codes are completed from a town in the gazetteer
+                coordinates = CoordinateParser.parse(query, {
+                    resolveLocality: name => Gazetteer.search(name, { limit: 1 })[0] || null
+                });
+            } catch (error) {
+                if (!(error instanceof CoordinateParser.CoordinateParseError)) throw error;
+                notifier.error(`Could not read those coordinates: ${error.message}`);
+                return;
+            }
+            
+            if (coordinates) {
+                selectLocation(coordinates, { source: 'coordinates' });
             } else {
+                // Known places resolve instantly from the bundled gazetteer
+                const [place] = Gazetteer.search(query, { limit: 1 });
+                if (place) {
+                    selectLocation(place, { name: Gazetteer.describe(place), source: 'search' });
+                    return;
+                }
+                
+                if (searchLookup) searchLookup.abort();
+                searchLookup = new AbortController();
                 try {
                     console.log('[Location Search] Fetching geocode for:', query);
-                    const response = await fetch(`https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(query)}&limit=1`, {
-                        headers: {
-                            'Accept-Language': 'en',
-                            'User-Agent': 'AntipodalExplorer/1.0 (contact@example.com)'
-                        }
-                    });
-                    const data = await response.json();
-                    console.log('[Location Search] Geocode API response:', data);
-                    if (data && data.length > 0) {
-                        const result = data[0];
-                        startLocation = {
-                            lat: parseFloat(result.lat),
-                            lng: parseFloat(result.lon)
-                        };
-                        alert(`[Location Search] Found: ${result.display_name}`);
-                        await processLocation(result.display_name);
+                    const [result] = await geocoder.search(query, { limit: 1, signal: searchLookup.signal });
+                    if (result) {
+                        console.log('[Location Search] Found:', result.name);
+                        selectLocation(result, { name: result.name, source: 'search' });
                     } else {
-                        alert('Location not found. Please try a different search term.');
+                        notifier.warning('Location not found. Please try a different search term.');
                     }
                 } catch (error) {
+                    if (Geocoding.isAbortError(error)) return;
                     console.error('Geocoding API error:', error);
-                    alert('Error connecting to location service. Please check your internet connection and try again.');
+                    notifier.error('Error connecting to location service. Please check your internet connection and try again.');
                 }
             }
         } catch (error) {
             console.error('Error locating position:', error);
-            alert('There was an error locating your position. Please try again or use the sample locations.');
+            notifier.error('There was an error locating your position. Please try again or use the sample locations.');
         } finally {
             locateButton.textContent = 'Search';
             locateButton.disabled = false;
@@ -224,18 +226,17 @@ document.addEventListener('DOMContentLoaded', () => {
         const originalText = this.innerHTML;
         this.innerHTML = '<span>📍</span> Getting your location...';
         if (!navigator.geolocation) {
-            alert('Geolocation is not supported by your browser. Please enter your location manually.');
+            notifier.error('Geolocation is not supported by your browser. Please enter your location manually.');
             this.disabled = false;
             this.innerHTML = originalText;
             return;
         }
         navigator.geolocation.getCurrentPosition(
-            async (position) => {
+            (position) => {
                 const lat = position.coords.latitude;
                 const lng = position.coords.longitude;
-                startLocation = { lat, lng };
-                alert(`[Geolocation] Success: ${lat}, ${lng}`);
-                await processLocation('Your Current Location');
+                console.log('[Geolocation] Success:', lat, lng);
+                selectLocation({ lat, lng }, { source: 'geolocation' });
                 this.disabled = false;
                 this.innerHTML = originalText;
             },
@@ -254,7 +255,7 @@ document.addEventListener('DOMContentLoaded', () => {
                     default:
                         errorMessage += 'An unknown error occurred. Please try again or enter your location manually.';
                 }
-                alert(errorMessage);
+                notifier.error(errorMessage);
                 this.disabled = false;
                 this.innerHTML = originalText;
             },
@@ -267,190 +268,1224 @@ document.addEventListener('DOMContentLoaded', () => {
     });
     // --- END MINIMAL, ROBUST LOCATION LOGIC ---
     
-    // Check if coordinates are valid
-    function isValidCoordinates(lat, lng) {
-        return !isNaN(lat) && !isNaN(lng) && lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+    // Refresh everything computed locally from the current start and end points
+    function updateDerivedInfo() {
+        updateCoordinateDisplay();
+        updateGeodesyInfo();
+        updateVerticalDig();
+        updateSurfaceBadges();
+        updateNearestLand();
+    }
+    
+    // Coordinates in the format picked from the dropdown. The choice is
+    // remembered across visits.
+    const COORDINATE_FORMAT_KEY = 'antipodal-explorer.coordinateFormat';
+    
+    function coordinateText(location) {
+        if (!location) return 'Not set';
+        const style = coordinateFormatSelect.value;
+        return CoordinateFormats.format(location.lat, location.lng, style) ||
+            `Not available in ${CoordinateFormats.DISPLAY_FORMATS[style]} near the poles`;
+    }
+    
+    function updateCoordinateDisplay() {
+        const { selection } = store.getState();
+        startCoords.textContent = coordinateText(selection && selection.start);
+        endCoords.textContent = coordinateText(selection && selection.end);
+        copyStartButton.disabled = !selection;
+        copyEndButton.disabled = !selection;
     }
     
-    // Process the located position
-    async function processLocation(locationNameOverride = null) {
-        console.log('[processLocation] Called with:', startLocation, locationNameOverride);
-        if (!startLocation) {
-            alert('[processLocation] No startLocation set!');
+    try {
+        const saved = localStorage.getItem(COORDINATE_FORMAT_KEY);
+        if (saved && saved in CoordinateFormats.DISPLAY_FORMATS) coordinateFormatSelect.value = saved;
+    } catch (err) {
+        // Storage can be blocked (private browsing, file:// in some browsers)
+    }
+    
+    coordinateFormatSelect.addEventListener('change', () => {
+        try {
+            localStorage.setItem(COORDINATE_FORMAT_KEY, coordinateFormatSelect.value);
+        } catch (err) {
+            // Not remembered, but the display still switches
+        }
+        updateCoordinateDisplay();
+    });
+    
+    // Hand `text` to the browser as a file download
+    function downloadFile(filename, type, text) {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+    
+    // Copy a panel's coordinates exactly as they are displayed
+    function copyCoordinates(button, location) {
+        if (!location) return;
+        const text = CoordinateFormats.format(location.lat, location.lng, coordinateFormatSelect.value);
+        if (!text) {
+            notifier.warning(`These coordinates cannot be written in ${CoordinateFormats.DISPLAY_FORMATS[coordinateFormatSelect.value]}.`);
             return;
         }
-        endLocation = calculateAntipode(startLocation.lat, startLocation.lng);
-        startCoords.textContent = `${startLocation.lat.toFixed(6)}, ${startLocation.lng.toFixed(6)}`;
-        endCoords.textContent = `${endLocation.lat.toFixed(6)}, ${endLocation.lng.toFixed(6)}`;
-        if (locationNameOverride) {
-            startAddress.textContent = locationNameOverride;
-            endAddress.textContent = 'Antipode of ' + locationNameOverride;
+        if (!navigator.clipboard) {
+            // Kept on screen so the coordinates can be copied by hand
+            notifier.warning(`Copying needs a secure (https) page. The coordinates are: ${text}`, { duration: 0 });
+            return;
+        }
+        navigator.clipboard.writeText(text).then(() => {
+            button.textContent = 'Copied!';
+            setTimeout(() => { button.textContent = 'Copy'; }, 1500);
+        }, () => {
+            notifier.warning(`Could not copy to the clipboard. The coordinates are: ${text}`, { duration: 0 });
+        });
+    }
+    
+    copyStartButton.addEventListener('click', () => {
+        const { selection } = store.getState();
+        copyCoordinates(copyStartButton, selection && selection.start);
+    });
+    copyEndButton.addEventListener('click', () => {
+        const { selection } = store.getState();
+        copyCoordinates(copyEndButton, selection && selection.end);
+    });
+    
+    // The current dig as a file for GIS tools (see dig-export.js)
+    function exportDig(format) {
+        const { selection, addresses } = store.getState();
+        if (!selection) return;
+        const dig = { ...selection, startAddress: addresses.start, endAddress: addresses.end };
+        if (format === 'kml') {
+            downloadFile(DigExport.filename(dig, 'kml'), 'application/vnd.google-earth.kml+xml', DigExport.toKml(dig));
         } else {
-            try {
-                const startAddressInfo = await reverseGeocode(startLocation.lat, startLocation.lng);
-                startAddress.textContent = startAddressInfo || 'Unknown location';
-                const endAddressInfo = await reverseGeocode(endLocation.lat, endLocation.lng);
-                endAddress.textContent = endAddressInfo || 'Unknown location';
-            } catch (error) {
-                console.error('Error getting address:', error);
-                startAddress.textContent = 'Address lookup failed';
-                endAddress.textContent = 'Address lookup failed';
+            downloadFile(DigExport.filename(dig, 'geojson'), 'application/geo+json', DigExport.toGeoJson(dig));
+        }
+    }
+    
+    document.getElementById('export-dig-geojson').addEventListener('click', () => exportDig('geojson'));
+    document.getElementById('export-dig-kml').addEventListener('click', () => exportDig('kml'));
+    
+    // Land/water badges from the bundled coastline, no network needed
+    function updateSurfaceBadges() {
+        const { selection } = store.getState();
+        [[startSurface, selection && selection.start], [endSurface, selection && selection.end]].forEach(([badge, location]) => {
+            if (!location) {
+                badge.classList.add('hidden');
+                return;
             }
+            const surface = LandMask.classify(location.lat, location.lng);
+            badge.textContent = surface === 'land' ? 'Land' : 'Water';
+            badge.className = `surface-badge ${surface}`;
+        });
+    }
+    
+    // When the antipode is in water, point to the closest coastline
+    function updateNearestLand() {
+        const { selection } = store.getState();
+        const endLocation = selection && selection.end;
+        const nearest = endLocation ? LandMask.nearestLand(endLocation.lat, endLocation.lng) : null;
+        endNearestLand.classList.toggle('hidden', !nearest);
+        focusNearestLandButton.classList.toggle('hidden', !nearest);
+        if (!nearest) {
+            earthVisualization.clearNearestLand();
+            return;
+        }
+        
+        const bearing = `${Math.round(nearest.bearing)}° ${Geo.compassPoint(nearest.bearing)}`;
+        endNearestLand.textContent =
+            `Nearest land: ${Math.round(nearest.distanceKm).toLocaleString()} km away, bearing ${bearing} ` +
+            `(${nearest.lat.toFixed(4)}, ${nearest.lng.toFixed(4)})`;
+        earthVisualization.setNearestLand(endLocation.lat, endLocation.lng, nearest.lat, nearest.lng,
+            `Nearest land: ${Math.round(nearest.distanceKm).toLocaleString()} km`);
+    }
+    
+    // Show WGS84 figures next to the coordinates when ellipsoid mode is on
+    function updateGeodesyInfo() {
+        const { selection } = store.getState();
+        const enabled = ellipsoidModeToggle.checked && selection;
+        startGeodesy.classList.toggle('hidden', !enabled);
+        endGeodesy.classList.toggle('hidden', !enabled);
+        if (!enabled) return;
+        
+        const comparison = Ellipsoid.compareWithSphere(selection.start, selection.end);
+        
+        const latitudes = ({ geodeticLat, geocentricLat, placementErrorKm }) =>
+            `Geodetic ${geodeticLat.toFixed(4)}° / geocentric ${geocentricLat.toFixed(4)}° ` +
+            `(sphere misplaces by ${placementErrorKm.toFixed(1)} km)`;
+        const difference = Math.abs(comparison.chordDifferenceKm).toFixed(1);
+        const tunnelGap = difference === '0.0' ? 'the same on both'
+            : comparison.chordDifferenceKm > 0 ? `sphere longer by ${difference} km`
+                : `sphere shorter by ${difference} km`;
+        
+        startGeodesy.textContent = latitudes(comparison.start);
+        endGeodesy.textContent = `${latitudes(comparison.end)}. ` +
+            `Tunnel: ${comparison.ellipsoidChordKm.toFixed(1)} km on WGS84, ` +
+            `${comparison.sphericalChordKm.toFixed(1)} km on a sphere (${tunnelGap})`;
+    }
+    
+    ellipsoidModeToggle.addEventListener('change', updateGeodesyInfo);
+    
+    // The classic antipode map: every continent mirrored onto the globe in
+    // its own colour, so land opposite land shows as overlap. Remembered
+    // across visits.
+    const ANTIPODAL_LAND_KEY = 'antipodal-explorer.antipodalLand';
+    const antipodalLandToggle = document.getElementById('antipodal-land');
+    
+    function updateAntipodalLand() {
+        if (antipodalLandToggle.checked) {
+            earthVisualization.setAntipodalLand(Footprint.antipodalLand());
+        } else {
+            earthVisualization.clearAntipodalLand();
         }
+    }
+    
+    try {
+        antipodalLandToggle.checked = localStorage.getItem(ANTIPODAL_LAND_KEY) === '1';
+    } catch (err) {
+        // Storage can be blocked; the layer just starts hidden
+    }
+    
+    antipodalLandToggle.addEventListener('change', () => {
         try {
-            earthVisualization.setMarkerPosition('start-marker', startLocation.lat, startLocation.lng, true);
-            earthVisualization.setMarkerPosition('end-marker', endLocation.lat, endLocation.lng, false);
-            digButton.disabled = false;
-            endLocationPanel.classList.remove('hidden');
-            alert('[processLocation] Markers set and UI updated.');
+            if (antipodalLandToggle.checked) localStorage.setItem(ANTIPODAL_LAND_KEY, '1');
+            else localStorage.removeItem(ANTIPODAL_LAND_KEY);
         } catch (err) {
-            alert('[processLocation] Error setting markers: ' + err);
-            console.error('[processLocation] Error setting markers:', err);
+            // Not remembered, but the layer still toggles
         }
-    }
+        updateAntipodalLand();
+    });
+    updateAntipodalLand();
     
-    // Calculate antipodal point (opposite side of the Earth)
-    function calculateAntipode(lat, lng) {
-        // Antipode latitude is the negative of the original latitude
-        const antipodalLat = -lat;
+    // Trace the local-vertical tunnel when that dig mode is selected
+    function updateVerticalDig() {
+        const { selection } = store.getState();
+        const enabled = digModeSelect.value === 'vertical' && selection;
+        digExit.classList.toggle('hidden', !enabled);
+        if (!enabled) {
+            earthVisualization.clearVerticalDigExit();
+            return;
+        }
         
-        // Antipode longitude is 180° opposite (plus or minus 180°)
-        let antipodalLng = lng + 180;
-        if (antipodalLng > 180) antipodalLng -= 360;
+        const dig = Ellipsoid.digStraightDown(selection.start);
+        earthVisualization.setVerticalDigExit(dig.exit.lat, dig.exit.lng, selection.end.lat, selection.end.lng);
         
-        return { lat: antipodalLat, lng: antipodalLng };
+        digExit.textContent =
+            `Digging straight down exits at ${dig.exit.lat.toFixed(4)}, ${dig.exit.lng.toFixed(4)}: ` +
+            `${dig.offsetKm.toFixed(1)} km from the antipode ` +
+            `(offset drawn ${earthVisualization.verticalDigExaggeration}× on the globe)`;
     }
     
-    // Reverse geocode coordinates to get location name
-    async function reverseGeocode(lat, lng) {
-        try {
-            const response = await fetch(`https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lng}&zoom=10`);
-            const data = await response.json();
-            
-            if (data.error) {
-                // Likely ocean or uninhabited area
-                return 'Ocean or uninhabited area';
+    digModeSelect.addEventListener('change', updateVerticalDig);
+    
+    // Name of the ocean or sea at a water point, or null on land.
+    // Answered from the bundled outlines, so it needs no network.
+    function waterBodyName(lat, lng) {
+        if (LandMask.isLand(lat, lng)) return null;
+        const region = MarineRegions.find(lat, lng);
+        return region ? region.name : 'Open ocean';
+    }
+    
+    // Offline address for a point: the body of water, or region and country
+    function localAddress(lat, lng) {
+        return waterBodyName(lat, lng) ||
+            OfflineGeocoder.describe(OfflineGeocoder.reverse(lat, lng)) ||
+            'Unknown location';
+    }
+    
+    // All online lookups go through one Geocoder, which rate limits each
+    // provider, caches answers in IndexedDB and lets a newer selection
+    // cancel lookups for an older one
+    const GEOCODER_KEY = 'antipodal-explorer.geocoder';
+    const geocoder = new Geocoding.Geocoder({
+        provider: Geocoding.nominatimProvider(),
+        cache: Geocoding.createCache()
+    });
+    
+    function createGeocodingProvider(choice, url) {
+        if (choice === 'companion') return Geocoding.companionProvider();
+        if (choice === 'photon') return Geocoding.photonProvider();
+        // A self-hosted server has no usage policy to respect
+        if (choice === 'custom' && url) return Geocoding.nominatimProvider({ baseUrl: url, minInterval: 0 });
+        return Geocoding.nominatimProvider();
+    }
+    
+    function applyGeocoderChoice() {
+        geocoderUrlInput.classList.toggle('hidden', geocoderSelect.value !== 'custom');
+        geocoder.setProvider(createGeocodingProvider(geocoderSelect.value, geocoderUrlInput.value.trim()));
+    }
+    
+    let savedGeocoder = null;
+    try {
+        savedGeocoder = JSON.parse(localStorage.getItem(GEOCODER_KEY) || 'null');
+        if (savedGeocoder && [...geocoderSelect.options].some(option => option.value === savedGeocoder.provider)) {
+            geocoderSelect.value = savedGeocoder.provider;
+            geocoderUrlInput.value = savedGeocoder.url || '';
+        }
+    } catch (err) {
+        // Unreadable or blocked storage: keep the default provider
+    }
+    applyGeocoderChoice();
+    
+    // When the page comes from the companion server (server/server.js), offer
+    // it as a provider and use it unless another one was picked before. It
+    // sends a proper User-Agent upstream, which browsers cannot.
+    if (window.location.protocol.startsWith('http')) {
+        Geocoding.detectCompanionServer().then(health => {
+            if (!health) return;
+            geocoderSelect.add(new Option(`This site's server (${health.geocoder})`, 'companion'), 0);
+            if (!savedGeocoder || savedGeocoder.provider === 'companion') {
+                geocoderSelect.value = 'companion';
+                applyGeocoderChoice();
             }
+        });
+    }
+    
+    function saveGeocoderChoice() {
+        applyGeocoderChoice();
+        try {
+            localStorage.setItem(GEOCODER_KEY, JSON.stringify({
+                provider: geocoderSelect.value,
+                url: geocoderUrlInput.value.trim()
+            }));
+        } catch (err) {
+            // Not remembered, but the new provider is used from now on
+        }
+    }
+    
+    geocoderSelect.addEventListener('change', saveGeocoderChoice);
+    geocoderUrlInput.addEventListener('change', saveGeocoderChoice);
+    
+    // Offline address refined with a city name from the online geocoder when
+    // online lookups are enabled. Falls back to the offline answer on any
+    // failure, but rejects with an AbortError when `signal` cancels it.
+    async function reverseGeocode(lat, lng, signal = null) {
+        const local = localAddress(lat, lng);
+        if (!onlineGeocodingToggle.checked || waterBodyName(lat, lng)) return local;
+        
+        try {
+            const result = await geocoder.reverse(lat, lng, { signal });
+            if (!result) return local;
             
-            if (data.address) {
-                // Construct address from components
-                const parts = [];
-                
-                // Add city, town, or village
-                if (data.address.city) parts.push(data.address.city);
-                else if (data.address.town) parts.push(data.address.town);
-                else if (data.address.village) parts.push(data.address.village);
-                
-                // Add state or region
-                if (data.address.state) parts.push(data.address.state);
-                else if (data.address.region) parts.push(data.address.region);
-                
-                // Add country
-                if (data.address.country) parts.push(data.address.country);
-                
-                if (parts.length > 0) {
-                    const address = parts.join(', ');
-                    return address;
-                }
-            }
+            const place = OfflineGeocoder.describe(OfflineGeocoder.reverse(lat, lng)) ||
+                [result.region, result.country].filter(Boolean).join(', ');
             
-            return data.display_name || 'Unknown location';
+            return [result.city, place].filter(Boolean).join(', ') || local;
         } catch (error) {
+            if (Geocoding.isAbortError(error)) throw error;
             console.error('Geocoding error:', error);
-            return null;
+            return local;
         }
     }
     
+    // Online lookups for the current selection and the current text search;
+    // replaced (and the old ones cancelled) when a new one starts
+    let addressLookup = null;
+    let searchLookup = null;
+    
+    // Fill in the addresses for a selection: the offline answer straight
+    // away, then the online refinement when it arrives. A start name the user
+    // picked is kept as is, and so is any answer a selection restored by
+    // undo/redo already had, so those are not looked up again.
+    function lookUpAddresses(selection) {
+        const lookup = addressLookup = new AbortController();
+        const { id } = selection;
+        
+        ['start', 'end'].forEach(which => {
+            const { lat, lng } = selection[which];
+            if (store.getState().addresses[which] === null) {
+                store.setAddress(which, localAddress(lat, lng), id, { pending: true });
+            }
+        });
+        if (!onlineGeocodingToggle.checked) return;
+        
+        store.getState().pendingAddresses.forEach(which => {
+            const { lat, lng } = selection[which];
+            reverseGeocode(lat, lng, lookup.signal).then(address => {
+                if (!lookup.signal.aborted) store.setAddress(which, address, id);
+            }, () => {});
+        });
+    }
+    
     // Start the digging journey
     digButton.addEventListener('click', () => {
-        if (!startLocation || !endLocation) {
-            alert('Please select a starting location first');
+        if (!store.getState().selection) {
+            notifier.warning('Please select a starting location first.');
             return;
         }
+        store.setPhase('digging');
+    });
+    
+    earthContainer.addEventListener('journey-completed', () => {
+        const { phase, selection, addresses } = store.getState();
+        if (phase !== 'digging') return;
+        
+        digHistory.add({
+            start: selection.start,
+            end: selection.end,
+            startAddress: addresses.start,
+            endAddress: addresses.end
+        });
+        renderDigHistory();
+        store.setPhase('arrived');
+    });
+    
+    // --- Dig history ---
+    // Every finished journey is kept (see dig-history.js) and can be dug
+    // again, shown on the globe, or deleted.
+    const digHistory = DigHistory.createDigHistory();
+    const digHistoryList = document.getElementById('dig-history-list');
+    const digHistoryEmpty = document.getElementById('dig-history-empty');
+    const clearDigHistoryButton = document.getElementById('clear-dig-history');
+    
+    // A button for a row of one of the place lists; clicks are handled on
+    // the list and told apart by `action`
+    function createListButton(action, text, label) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'history-btn';
+        button.dataset.action = action;
+        button.textContent = text;
+        button.setAttribute('aria-label', label);
+        button.title = label;
+        return button;
+    }
+    
+    // A row of one of the place lists: the first of `lines` is the title and
+    // the rest are details below it; elements (such as favourite tags) go in
+    // as they are and empty lines are left out
+    function createPlaceListItem(lines, buttons) {
+        const text = document.createElement('div');
+        text.className = 'place-list-text';
+        lines.filter(Boolean).forEach((line, index) => {
+            if (typeof line !== 'string') {
+                text.appendChild(line);
+                return;
+            }
+            const paragraph = document.createElement('p');
+            paragraph.className = index === 0 ? 'place-list-title' : 'place-list-meta';
+            paragraph.textContent = line;
+            text.appendChild(paragraph);
+        });
+        
+        const item = document.createElement('li');
+        item.className = 'place-list-item';
+        item.append(text, ...buttons);
+        return item;
+    }
+    
+    function renderDigHistory() {
+        const entries = digHistory.entries();
+        digHistoryEmpty.classList.toggle('hidden', entries.length > 0);
+        clearDigHistoryButton.disabled = entries.length === 0;
         
-        // Show journey status
-        journeyStatus.classList.remove('hidden');
-        resetButton.classList.remove('hidden');
+        digHistoryList.replaceChildren(...entries.map(entry => {
+            const startText = entry.startAddress || CoordinateFormats.format(entry.start.lat, entry.start.lng, 'dd');
+            const endText = entry.endAddress || CoordinateFormats.format(entry.end.lat, entry.end.lng, 'dd');
+            const earlier = entry.runs.slice(0, -1).reverse();
+            
+            const item = createPlaceListItem([
+                `${startText} → ${endText}`,
+                new Date(entry.completedAt).toLocaleString() + (entry.runCount > 1 ? ` · dug ${entry.runCount} times` : ''),
+                // The kept earlier runs, newest first
+                earlier.length > 0 && 'Before: ' + earlier.map(time => new Date(time).toLocaleString()).join(', ')
+            ], [
+                createListButton('replay', '▶', `Dig again from ${startText}`),
+                createListButton('focus', '◎', `Show ${startText} on the globe`),
+                createListButton('delete', '×', `Delete ${startText} from the history`)
+            ]);
+            item.dataset.id = entry.id;
+            return item;
+        }));
+    }
+    
+    // Select the entry's start point (unless it is already selected) and,
+    // for a replay, start digging
+    function showHistoryEntry(entry, { dig = false } = {}) {
+        const { selection } = store.getState();
+        const selected = selection &&
+            selection.start.lat === entry.start.lat && selection.start.lng === entry.start.lng;
         
-        // Start the animation
-        earthVisualization.startJourneyAnimation(
-            startLocation.lat, 
-            startLocation.lng, 
-            endLocation.lat, 
-            endLocation.lng
-        );
+        if (selected) {
+            earthVisualization.focusOnMarker('start-marker');
+        } else {
+            selectLocation(entry.start, { name: entry.startAddress, source: 'history' });
+        }
+        if (dig && store.getState().selection) store.setPhase('digging');
+    }
+    
+    digHistoryList.addEventListener('click', (event) => {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+        const entry = digHistory.get(button.closest('.place-list-item').dataset.id);
+        if (!entry) return;
+        
+        if (button.dataset.action === 'delete') {
+            digHistory.remove(entry.id);
+            renderDigHistory();
+        } else if (store.getState().phase === 'digging') {
+            notifier.info('Wait for the journey to finish before choosing a new location.');
+        } else {
+            showHistoryEntry(entry, { dig: button.dataset.action === 'replay' });
+        }
+    });
+    
+    clearDigHistoryButton.addEventListener('click', () => {
+        digHistory.clear();
+        renderDigHistory();
+        notifier.info('Dig history cleared.');
+    });
+    
+    renderDigHistory();
+    
+    // --- Favourites ---
+    // Named places with notes and tags (see favourites.js), shared between
+    // people as JSON files
+    const favourites = Favourites.createFavourites();
+    const saveFavouriteButton = document.getElementById('save-favourite');
+    const favouriteForm = document.getElementById('favourite-form');
+    const favouriteNameInput = document.getElementById('favourite-name');
+    const favouriteNotesInput = document.getElementById('favourite-notes');
+    const favouriteTagsInput = document.getElementById('favourite-tags');
+    const favouriteTagFilter = document.getElementById('favourite-tag-filter');
+    const favouritesList = document.getElementById('favourites-list');
+    const favouritesEmpty = document.getElementById('favourites-empty');
+    const exportFavouritesButton = document.getElementById('export-favourites');
+    const favouritesFileInput = document.getElementById('favourites-file');
+    
+    // The favourite being edited, or the place a new one is for
+    let favouriteDraft = null;
+    
+    function openFavouriteForm(draft) {
+        favouriteDraft = draft;
+        favouriteNameInput.value = draft.name || '';
+        favouriteNotesInput.value = draft.notes || '';
+        favouriteTagsInput.value = (draft.tags || []).join(', ');
+        favouriteForm.classList.remove('hidden');
+        favouriteNameInput.focus();
+        favouriteNameInput.select();
+    }
+    
+    function closeFavouriteForm() {
+        favouriteDraft = null;
+        favouriteForm.reset();
+        favouriteForm.classList.add('hidden');
+    }
+    
+    function renderFavourites() {
+        const tags = favourites.tags();
+        const filter = tags.includes(favouriteTagFilter.value) ? favouriteTagFilter.value : '';
+        favouriteTagFilter.replaceChildren(new Option('All tags', ''), ...tags.map(tag => new Option(tag, tag)));
+        favouriteTagFilter.value = filter;
+        favouriteTagFilter.classList.toggle('hidden', tags.length === 0);
+        
+        const all = favourites.list();
+        const shown = favourites.list({ tag: filter || null });
+        exportFavouritesButton.disabled = all.length === 0;
+        favouritesEmpty.classList.toggle('hidden', all.length > 0);
+        
+        favouritesList.replaceChildren(...shown.map(favourite => {
+            let notes = null;
+            if (favourite.notes) {
+                notes = document.createElement('p');
+                notes.className = 'favourite-notes';
+                notes.textContent = favourite.notes;
+            }
+            let tagList = null;
+            if (favourite.tags.length) {
+                tagList = document.createElement('p');
+                favourite.tags.forEach(tag => {
+                    const chip = document.createElement('span');
+                    chip.className = 'favourite-tag';
+                    chip.textContent = tag;
+                    tagList.appendChild(chip);
+                });
+            }
+            
+            const item = createPlaceListItem([favourite.name, coordinateText(favourite), notes, tagList], [
+                createListButton('select', '➜', `Go to ${favourite.name}`),
+                createListButton('edit', '✎', `Edit ${favourite.name}`),
+                createListButton('delete', '×', `Delete ${favourite.name}`)
+            ]);
+            item.dataset.id = favourite.id;
+            return item;
+        }));
+    }
+    
+    // Saving a place that is already a favourite edits that favourite
+    saveFavouriteButton.addEventListener('click', () => {
+        const { selection, addresses } = store.getState();
+        if (!selection) return;
+        const { lat, lng } = selection.start;
+        openFavouriteForm(favourites.findAt(lat, lng) ||
+            { name: selection.name || addresses.start || coordinateText(selection.start), lat, lng });
+    });
+    
+    favouriteForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        if (!favouriteDraft) return;
+        
+        const fields = {
+            name: favouriteNameInput.value,
+            notes: favouriteNotesInput.value,
+            tags: favouriteTagsInput.value
+        };
+        try {
+            const saved = favouriteDraft.id
+                ? favourites.update(favouriteDraft.id, fields)
+                : favourites.add({ ...fields, lat: favouriteDraft.lat, lng: favouriteDraft.lng });
+            if (!saved) {
+                notifier.warning('That favourite has been deleted.');
+            } else {
+                notifier.success(`Saved ${saved.name} to your favourites.`);
+            }
+            closeFavouriteForm();
+            renderFavourites();
+        } catch (err) {
+            if (!(err instanceof Favourites.FavouritesError)) throw err;
+            notifier.warning(err.message);
+        }
+    });
+    
+    document.getElementById('favourite-cancel').addEventListener('click', closeFavouriteForm);
+    favouriteTagFilter.addEventListener('change', renderFavourites);
+    
+    favouritesList.addEventListener('click', (event) => {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+        const favourite = favourites.get(button.closest('.place-list-item').dataset.id);
+        if (!favourite) return;
+        
+        if (button.dataset.action === 'select') {
+            selectLocation(favourite, { name: favourite.name, source: 'favourite' });
+        } else if (button.dataset.action === 'edit') {
+            openFavouriteForm(favourite);
+        } else if (button.dataset.action === 'delete') {
+            favourites.remove(favourite.id);
+            if (favouriteDraft && favouriteDraft.id === favourite.id) closeFavouriteForm();
+            renderFavourites();
+            notifier.info(`Deleted ${favourite.name} from your favourites.`);
+        }
+    });
+    
+    exportFavouritesButton.addEventListener('click', () => {
+        downloadFile('antipodal-favourites.json', 'application/json', favourites.exportJson());
+    });
+    
+    document.getElementById('import-favourites').addEventListener('click', () => favouritesFileInput.click());
+    
+    favouritesFileInput.addEventListener('change', async () => {
+        const [file] = favouritesFileInput.files;
+        favouritesFileInput.value = '';
+        if (!file) return;
+        
+        try {
+            const { added, updated, skipped } = favourites.importJson(await file.text());
+            renderFavourites();
+            const summary = `Imported ${file.name}: ${added} new, ${updated} updated.`;
+            if (skipped.length) {
+                console.warn('[favourites] Skipped while importing:', skipped);
+                notifier.warning(`${summary} ${skipped.length} could not be read and were skipped.`);
+            } else {
+                notifier.success(summary);
+            }
+        } catch (err) {
+            console.error('[favourites] Import failed:', err);
+            notifier.error(`Could not import ${file.name}: ${err.message}`);
+        }
+    });
+    
+    coordinateFormatSelect.addEventListener('change', renderFavourites);
+    renderFavourites();
+    
+    // --- Batch mode ---
+    // Antipodes for a whole file of places (see batch.js): every pair on the
+    // globe, a sortable table, and the results back out as CSV or GeoJSON
+    const batchFileInput = document.getElementById('batch-file');
+    const batchStatus = document.getElementById('batch-status');
+    const batchTableWrapper = document.querySelector('.batch-table-wrapper');
+    const batchTable = document.getElementById('batch-table');
+    const batchRows = document.getElementById('batch-rows');
+    const batchExportCsvButton = document.getElementById('batch-export-csv');
+    const batchExportGeoJsonButton = document.getElementById('batch-export-geojson');
+    const batchClearButton = document.getElementById('batch-clear');
+    const batchHint = batchStatus.textContent;
+    
+    // Rows resolved per step, so a long file does not freeze the page
+    const BATCH_CHUNK = 50;
+    
+    let batchResults = [];
+    let batchSort = { column: null, descending: false };
+    // Bumped whenever a run starts or is cleared; older runs then stop
+    let batchRun = 0;
+    
+    function batchSummary(results) {
+        const resolved = results.filter(result => !result.error);
+        const landToLand = resolved.filter(result =>
+            result.start.surface === 'land' && result.antipode.surface === 'land').length;
+        const failed = results.length - resolved.length;
+        return `${resolved.length} of ${results.length} places resolved` +
+            (failed ? ` (${failed} failed)` : '') +
+            `; ${landToLand} go from land to land.`;
+    }
+    
+    function renderBatch() {
+        const hasResults = batchResults.length > 0;
+        batchTableWrapper.classList.toggle('hidden', !hasResults);
+        batchExportCsvButton.disabled = !hasResults;
+        batchExportGeoJsonButton.disabled = !hasResults;
+        batchClearButton.disabled = !hasResults;
+        
+        batchTable.querySelectorAll('th').forEach(header => {
+            const { column } = header.querySelector('button').dataset;
+            if (column === batchSort.column) {
+                header.setAttribute('aria-sort', batchSort.descending ? 'descending' : 'ascending');
+            } else {
+                header.removeAttribute('aria-sort');
+            }
+        });
+        
+        const results = batchSort.column
+            ? Batch.sortResults(batchResults, batchSort.column, { descending: batchSort.descending })
+            : batchResults;
+        batchRows.replaceChildren(...results.map(result => {
+            const row = document.createElement('tr');
+            row.dataset.index = batchResults.indexOf(result);
+            const cells = result.error
+                ? [result.name || result.input, '', result.error, '', '']
+                : [
+                    result.name || result.start.place || result.input,
+                    result.start.surface,
+                    coordinateText(result.antipode),
+                    result.antipode.surface,
+                    result.antipode.place || ''
+                ];
+            cells.forEach((text, index) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                if (result.error && index === 2) cell.className = 'batch-error';
+                row.appendChild(cell);
+            });
+            if (result.error) row.title = `Could not resolve "${result.input}"`;
+            return row;
+        }));
+    }
+    
+    async function runBatch(text, filename) {
+        const run = ++batchRun;
+        const format = /\.(geo)?json$/i.test(filename) ? 'geojson' : /\.csv$/i.test(filename) ? 'csv' : 'auto';
+        
+        let records;
+        try {
+            records = Batch.readRecords(text, format);
+        } catch (err) {
+            notifier.error(`Could not read ${filename}: ${err.message}`);
+            return;
+        }
+        if (!records.length) {
+            notifier.warning(`${filename} does not list any places.`);
+            return;
+        }
+        
+        const results = [];
+        for (let i = 0; i < records.length; i++) {
+            results.push(Batch.resolveRecord(records[i]));
+            if ((i + 1) % BATCH_CHUNK === 0 && i + 1 < records.length) {
+                batchStatus.textContent = `Working out antipodes: ${i + 1} of ${records.length}…`;
+                await new Promise(resolve => setTimeout(resolve, 0));
+                if (run !== batchRun) return;
+            }
+        }
+        
+        batchResults = results;
+        batchSort = { column: null, descending: false };
+        batchStatus.textContent = `${filename}: ${batchSummary(results)}`;
+        renderBatch();
+        earthVisualization.setBatchPairs(results
+            .filter(result => !result.error)
+            .map(result => ({ start: result.start, end: result.antipode })));
+    }
+    
+    document.getElementById('batch-open').addEventListener('click', () => batchFileInput.click());
+    
+    batchFileInput.addEventListener('change', async () => {
+        const [file] = batchFileInput.files;
+        batchFileInput.value = '';
+        if (!file) return;
+        
+        try {
+            await runBatch(await file.text(), file.name);
+        } catch (err) {
+            console.error('[batch] Failed:', err);
+            notifier.error(`Could not process ${file.name}: ${err.message}`);
+        }
+    });
+    
+    // Clicking a column sorts by it; clicking it again reverses the order
+    batchTable.querySelector('thead').addEventListener('click', (event) => {
+        const button = event.target.closest('button[data-column]');
+        if (!button) return;
+        const { column } = button.dataset;
+        batchSort = {
+            column,
+            descending: batchSort.column === column && !batchSort.descending
+        };
+        renderBatch();
+    });
+    
+    // A row becomes the current selection
+    batchRows.addEventListener('click', (event) => {
+        const row = event.target.closest('tr');
+        const result = row && batchResults[Number(row.dataset.index)];
+        if (!result || result.error) return;
+        selectLocation(result.start, { name: result.name, source: 'batch' });
+    });
+    
+    batchExportCsvButton.addEventListener('click', () => {
+        downloadFile('antipodes.csv', 'text/csv', Batch.toCsv(batchResults));
+    });
+    
+    batchExportGeoJsonButton.addEventListener('click', () => {
+        downloadFile('antipodes.geojson', 'application/geo+json', Batch.toGeoJson(batchResults));
+    });
+    
+    batchClearButton.addEventListener('click', () => {
+        batchRun++;
+        batchResults = [];
+        batchStatus.textContent = batchHint;
+        earthVisualization.clearBatchPairs();
+        renderBatch();
+    });
+    
+    coordinateFormatSelect.addEventListener('change', renderBatch);
+    
+    // --- Antipodal footprint ---
+    // What lies opposite a whole country, region or route (see
+    // footprint.js): the shape and its mirror drawn on the globe, with the
+    // area and the land under the mirror
+    const footprintFileInput = document.getElementById('footprint-file');
+    const footprintCountrySelect = document.getElementById('footprint-country');
+    const footprintStatus = document.getElementById('footprint-status');
+    const footprintList = document.getElementById('footprint-list');
+    const footprintClearButton = document.getElementById('footprint-clear');
+    const footprintHint = footprintStatus.textContent;
+    const countryOutlines = OfflineGeocoder.countryOutlines();
+    
+    let footprints = [];
+    // Bumped whenever shapes are loaded or cleared; older runs then stop
+    let footprintRun = 0;
+    
+    footprintCountrySelect.append(...countryOutlines.map((outline, index) => new Option(outline.name, index)));
+    
+    function percentText(share) {
+        return share > 0 && share < 0.005 ? '<1%' : `${Math.round(share * 100)}%`;
+    }
+    
+    // Land under the mirror, largest first, e.g. "New Zealand 30%, Chile 2%"
+    function oppositeText({ landShare, countries }) {
+        if (landShare === 0) return 'Opposite: open water only';
+        const shown = countries.slice(0, 6).map(entry => `${entry.country} ${percentText(entry.share)}`);
+        if (countries.length > shown.length) shown.push(`${countries.length - shown.length} more`);
+        return `Opposite: ${percentText(landShare)} land` + (shown.length ? ` (${shown.join(', ')})` : '');
+    }
+    
+    function renderFootprints() {
+        footprintClearButton.disabled = footprints.length === 0;
+        footprintList.replaceChildren(...footprints.map((footprint, index) => {
+            const size = footprint.kind === 'polygon'
+                ? `${Math.round(footprint.areaKm2).toLocaleString()} km²`
+                : `${Math.round(footprint.lengthKm).toLocaleString()} km long`;
+            const item = createPlaceListItem([footprint.name, size, oppositeText(footprint.opposite)], [
+                createListButton('shape', 'Shape', `Show ${footprint.name} on the globe`),
+                createListButton('opposite', 'Opposite', `Show what lies opposite ${footprint.name}`)
+            ]);
+            item.dataset.index = index;
+            return item;
+        }));
+    }
+    
+    function focusOn({ lat, lng }) {
+        earthVisualization.focusOnLocation(earthVisualization.latLngTo3d(lat, lng, earthVisualization.earthRadius));
+    }
+    
+    async function showFootprints(shapes, label) {
+        const run = ++footprintRun;
+        const described = [];
+        for (let i = 0; i < shapes.length; i++) {
+            if (shapes.length > 1) {
+                footprintStatus.textContent = `Mirroring shapes: ${i + 1} of ${shapes.length}…`;
+                // Each shape takes a moment; let the page update between them
+                await new Promise(resolve => setTimeout(resolve, 0));
+                if (run !== footprintRun) return;
+            }
+            described.push(Footprint.describe(shapes[i]));
+        }
+        
+        footprints = described;
+        const polygons = described.filter(footprint => footprint.kind === 'polygon').length;
+        const lines = described.length - polygons;
+        footprintStatus.textContent = `${label}: showing ` + [
+            polygons ? `${polygons} ${polygons === 1 ? 'polygon' : 'polygons'}` : null,
+            lines ? `${lines} ${lines === 1 ? 'line' : 'lines'}` : null
+        ].filter(Boolean).join(' and ') +
+            (described.length === 1 ? ' and its antipodal footprint.' : ', each with its antipodal footprint.');
+        renderFootprints();
+        earthVisualization.setFootprints(described.map(({ geometry, mirrored }) => ({ geometry, mirrored })));
+        focusOn(described[0].mirroredCenter);
+    }
+    
+    footprintCountrySelect.addEventListener('change', () => {
+        const outline = countryOutlines[Number(footprintCountrySelect.value)];
+        if (!outline) return;
+        showFootprints([{ name: outline.name, geometry: Footprint.normalizeGeometry(outline.geometry) }], outline.name);
+    });
+    
+    document.getElementById('footprint-open').addEventListener('click', () => footprintFileInput.click());
+    
+    footprintFileInput.addEventListener('change', async () => {
+        const [file] = footprintFileInput.files;
+        footprintFileInput.value = '';
+        if (!file) return;
+        
+        try {
+            const shapes = Footprint.readShapes(await file.text());
+            footprintCountrySelect.value = '';
+            await showFootprints(shapes, file.name);
+        } catch (err) {
+            console.error('[footprint] Failed:', err);
+            notifier.error(`Could not read ${file.name}: ${err.message}`);
+        }
+    });
+    
+    footprintList.addEventListener('click', (event) => {
+        const button = event.target.closest('button[data-action]');
+        const item = button && button.closest('li');
+        const footprint = item && footprints[Number(item.dataset.index)];
+        if (!footprint) return;
+        focusOn(button.dataset.action === 'opposite' ? footprint.mirroredCenter : footprint.center);
+    });
+    
+    footprintClearButton.addEventListener('click', () => {
+        footprintRun++;
+        footprints = [];
+        footprintCountrySelect.value = '';
+        footprintStatus.textContent = footprintHint;
+        earthVisualization.clearFootprints();
+        renderFootprints();
+    });
+    
+    // --- Land-to-land antipodes ---
+    // Where land lies opposite land (see land-overlap.js): a heatmap on the
+    // globe and statistics, worked out the first time they are shown
+    const landOverlapToggle = document.getElementById('land-overlap-toggle');
+    const landOverlapSummary = document.getElementById('land-overlap-summary');
+    const landOverlapStats = document.getElementById('land-overlap-stats');
+    const landOverlapRegions = document.getElementById('land-overlap-regions');
+    const landOverlapCountries = document.getElementById('land-overlap-countries');
+    // Grid spacing in degrees; about 55 km at the equator
+    const LAND_OVERLAP_STEP = 0.5;
+    
+    let landOverlap = null;
+    
+    function areaText(km2) {
+        return km2 >= 1e6
+            ? `${(km2 / 1e6).toFixed(1)} million km²`
+            : `${Math.round(km2).toLocaleString()} km²`;
+    }
+    
+    function renderLandOverlap() {
+        const { landShare, overlapKm2, surfaceShare, regions, countries } = landOverlap;
+        landOverlapSummary.textContent = `${percentText(landShare)} of land (${areaText(overlapKm2)}, ` +
+            `${percentText(surfaceShare)} of the Earth's surface) has land at its antipode. ` +
+            `Worked out on a ${LAND_OVERLAP_STEP}° grid from the bundled coastline.`;
+        
+        const names = list => list.slice(0, 2).join(', ') || 'Unnamed land';
+        landOverlapRegions.replaceChildren(...regions.slice(0, 10).map((region, index) => {
+            const item = createPlaceListItem([
+                `${names(region.countries)} ↔ ${names(region.opposite.countries)}`,
+                `${areaText(region.areaKm2)} on each side`
+            ], [
+                createListButton('here', 'Here', `Show ${names(region.countries)} on the globe`),
+                createListButton('opposite', 'Opposite', `Show ${names(region.opposite.countries)} on the globe`)
+            ]);
+            item.dataset.index = index;
+            return item;
+        }));
+        
+        landOverlapCountries.replaceChildren(...countries
+            .filter(entry => entry.overlapKm2 > 0)
+            .map(entry => {
+                const row = document.createElement('tr');
+                [entry.country, areaText(entry.overlapKm2), percentText(entry.share)].forEach(value => {
+                    const cell = document.createElement('td');
+                    cell.textContent = value;
+                    row.appendChild(cell);
+                });
+                return row;
+            }));
+        landOverlapStats.classList.remove('hidden');
+    }
+    
+    function showLandOverlapHeatmap() {
+        const { cols, cells, heat, step } = landOverlap;
+        const shaded = [];
+        for (let index = 0; index < cells.length; index++) {
+            if (cells[index] !== LandOverlap.LAND_TO_LAND) continue;
+            const { lat, lng } = LandOverlap.cellCenter(Math.floor(index / cols), index % cols, step);
+            shaded.push({ lat, lng, heat: heat[index] });
+        }
+        earthVisualization.setHeatmap(shaded, step);
+    }
+    
+    landOverlapToggle.addEventListener('click', async () => {
+        const show = landOverlapToggle.getAttribute('aria-pressed') !== 'true';
+        landOverlapToggle.setAttribute('aria-pressed', String(show));
+        landOverlapToggle.textContent = show ? 'Hide heatmap' : 'Show heatmap';
+        if (!show) {
+            earthVisualization.clearHeatmap();
+            return;
+        }
+        
+        if (!landOverlap) {
+            landOverlapToggle.disabled = true;
+            landOverlapSummary.textContent = 'Working out where land lies opposite land…';
+            // Let the message show before the page is busy
+            await new Promise(resolve => setTimeout(resolve, 0));
+            try {
+                landOverlap = LandOverlap.compute({ step: LAND_OVERLAP_STEP });
+                renderLandOverlap();
+            } catch (err) {
+                console.error('[land-overlap] Failed:', err);
+                notifier.error(`Could not work out the land-to-land map: ${err.message}`);
+                landOverlapSummary.textContent = 'The land-to-land map could not be worked out.';
+                landOverlapToggle.setAttribute('aria-pressed', 'false');
+                landOverlapToggle.textContent = 'Show heatmap';
+                return;
+            } finally {
+                landOverlapToggle.disabled = false;
+            }
+        }
+        showLandOverlapHeatmap();
+    });
+    
+    landOverlapRegions.addEventListener('click', (event) => {
+        const button = event.target.closest('button[data-action]');
+        const item = button && button.closest('li');
+        const region = item && landOverlap.regions[Number(item.dataset.index)];
+        if (!region) return;
+        focusOn(button.dataset.action === 'opposite' ? region.opposite.center : region.center);
     });
     
     // Reset button
     resetButton.addEventListener('click', () => {
-        // Reset Earth visualization
-        earthVisualization.reset();
-        
-        // Reset UI
-        startLocation = null;
-        endLocation = null;
-        startCoords.textContent = 'Not set';
-        startAddress.textContent = 'Not set';
-        endCoords.textContent = 'Not set';
-        endAddress.textContent = 'Not set';
-        endLocationPanel.classList.add('hidden');
-        resetButton.classList.add('hidden');
-        digButton.disabled = true;
-        journeyStatus.classList.add('hidden');
+        if (searchLookup) searchLookup.abort();
+        store.reset();
         
         // Clear input
         locationInput.value = '';
     });
+    
+    // Step back and forth through earlier selections
+    function undoSelection() {
+        if (searchLookup) searchLookup.abort();
+        store.undo();
+    }
+    
+    function redoSelection() {
+        if (searchLookup) searchLookup.abort();
+        store.redo();
+    }
+    
+    undoButton.addEventListener('click', undoSelection);
+    redoButton.addEventListener('click', redoSelection);
+    
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS, Ctrl+Y also redoes). Text fields
+    // keep their own undo.
+    document.addEventListener('keydown', (event) => {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey || event.defaultPrevented) return;
+        if (event.target.closest && event.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+        
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            undoSelection();
+        } else if ((key === 'z' && event.shiftKey) || (key === 'y' && !event.shiftKey)) {
+            event.preventDefault();
+            redoSelection();
+        }
+    });
 
     // Listen for globe click events
     earthContainer.addEventListener('location-selected', (event) => {
         console.log('Received location-selected event from globe click:', event.detail);
+        selectLocation(event.detail.start, { source: 'globe' });
+    });
+    
+    // Draw the panels and the globe from the store. `camera` is the framing
+    // to return to when undo/redo restored this selection.
+    function renderSelection(selection, camera) {
+        if (addressLookup) addressLookup.abort();
+        updateDerivedInfo();
+        saveFavouriteButton.disabled = !selection;
+        endLocationPanel.classList.toggle('hidden', !selection);
+        
+        if (!selection) {
+            earthVisualization.removeMarker('start-marker');
+            earthVisualization.removeMarker('end-marker');
+            return;
+        }
         
         try {
-            // Get the coordinates from the event
-            startLocation = event.detail.start;
-            endLocation = event.detail.end;
-            
-            // Format coordinates for display
-            const startLat = parseFloat(startLocation.lat).toFixed(6);
-            const startLng = parseFloat(startLocation.lng).toFixed(6);
-            const endLat = parseFloat(endLocation.lat).toFixed(6);
-            const endLng = parseFloat(endLocation.lng).toFixed(6);
-            
-            // Update UI with coordinates
-            startCoords.textContent = `${startLat}, ${startLng}`;
-            endCoords.textContent = `${endLat}, ${endLng}`;
-            
-            // Set location name and address
-            startAddress.textContent = `Selected Location (${parseFloat(startLat).toFixed(2)}, ${parseFloat(startLng).toFixed(2)})`;
-            endAddress.textContent = `Antipode (${parseFloat(endLat).toFixed(2)}, ${parseFloat(endLng).toFixed(2)})`;
-            
-            // Try to reverse geocode the locations in the background
-            reverseGeocode(startLocation.lat, startLocation.lng)
-                .then(address => {
-                    if (address) startAddress.textContent = address;
-                })
-                .catch((err) => {
-                    console.error('Error reverse geocoding start location:', err);
-                });
-                
-            reverseGeocode(endLocation.lat, endLocation.lng)
-                .then(address => {
-                    if (address) endAddress.textContent = address;
-                })
-                .catch((err) => {
-                    console.error('Error reverse geocoding end location:', err);
-                });
-            
-            // Update UI
-            digButton.disabled = false;
-            endLocationPanel.classList.remove('hidden');
-            
-            console.log('Successfully processed location from globe click');
+            // A globe click is already where the user is looking
+            earthVisualization.setMarkerPosition('start-marker', selection.start.lat, selection.start.lng,
+                !camera && selection.source !== 'globe');
+            earthVisualization.setMarkerPosition('end-marker', selection.end.lat, selection.end.lng, false);
         } catch (err) {
-            console.error('Error processing location from globe click:', err);
+            console.error('[renderSelection] Error setting markers:', err);
+            notifier.error('Could not place the markers on the globe. Please try again.');
+        }
+        lookUpAddresses(selection);
+    }
+    
+    function renderAddresses(addresses) {
+        startAddress.textContent = addresses.start || 'Not set';
+        endAddress.textContent = addresses.end || 'Not set';
+    }
+    
+    function renderPhase(phase, previousPhase) {
+        digButton.disabled = phase !== 'selected' && phase !== 'arrived';
+        const journeyShown = phase === 'digging' || phase === 'arrived';
+        journeyStatus.classList.toggle('hidden', !journeyShown);
+        resetButton.classList.toggle('hidden', !journeyShown);
+        
+        if (phase === 'digging') {
+            const { start, end } = store.getState().selection;
+            earthVisualization.startJourneyAnimation(start.lat, start.lng, end.lat, end.lng);
+        } else if (phase === 'idle' && previousPhase !== 'idle' && !store.getState().camera) {
+            // Undoing back to an empty globe restores its framing instead
+            earthVisualization.reset();
         }
+    }
+    
+    function renderHistory(state) {
+        const digging = state.phase === 'digging';
+        undoButton.disabled = !state.canUndo || digging;
+        redoButton.disabled = !state.canRedo || digging;
+    }
+    
+    store.subscribe((state, previous) => {
+        if (state.selection !== previous.selection) renderSelection(state.selection, state.camera);
+        if (state.addresses !== previous.addresses) renderAddresses(state.addresses);
+        if (state.phase !== previous.phase) renderPhase(state.phase, previous.phase);
+        if (state.camera && state.camera !== previous.camera) earthVisualization.setCameraView(state.camera);
+        renderHistory(state);
+        
+        // A new selection or a reset gets its own browser history entry
+        if (state.selection !== previous.selection) updateLink({ push: !state.camera });
+        else if (state.phase !== previous.phase) updateLink();
     });
+    
+    // --- Shareable links ---
+    // The address bar always describes the current dig (see deep-link.js), so
+    // it can be bookmarked or shared. Back and Forward step between earlier
+    // selections; camera moves and option changes update the current entry.
+    let applyingLink = false;
+    // The fragment that describes what is on screen
+    let linkHash = window.location.hash;
+    
+    function currentLink() {
+        const { selection, phase } = store.getState();
+        if (!selection) return '';
+        return DeepLink.encode({
+            start: selection.start,
+            name: selection.name,
+            camera: earthVisualization.getCameraView(),
+            options: {
+                ellipsoid: ellipsoidModeToggle.checked,
+                digMode: digModeSelect.value,
+                format: coordinateFormatSelect.value
+            },
+            dig: phase === 'digging' || phase === 'arrived'
+        });
+    }
+    
+    function updateLink({ push = false } = {}) {
+        if (applyingLink) return;
+        const fragment = currentLink();
+        const hash = fragment ? `#${fragment}` : '';
+        if (hash === linkHash) return;
+        linkHash = hash;
+        try {
+            const url = hash || window.location.pathname + window.location.search;
+            window.history[push ? 'pushState' : 'replaceState'](null, '', url);
+        } catch (err) {
+            // file:// pages may not use the History API; plain fragment
+            // navigation still works there
+            if (push) window.location.hash = hash;
+            else window.location.replace(hash || '#');
+        }
+    }
+    
+    function setOption(select, value) {
+        if ([...select.options].some(option => option.value === value)) {
+            select.value = value;
+        } else {
+            console.warn(`[applyLink] Ignoring unknown ${select.id} '${value}'`);
+        }
+    }
+    
+    // Show the dig a link describes. Only the link the page was opened with
+    // (`initial`) may start the journey by itself.
+    function applyLink(fragment, { initial = false } = {}) {
+        const link = DeepLink.decode(fragment);
+        linkHash = fragment;
+        if (store.getState().phase === 'digging') {
+            notifier.info('Wait for the journey to finish before choosing a new location.');
+            return;
+        }
+        if (link.errors.length) {
+            notifier.warning(`Some parts of this link could not be read and were skipped: ${link.errors.join(', ')}.`);
+        }
+        
+        applyingLink = true;
+        try {
+            const { options } = link;
+            if (options.ellipsoid !== undefined) ellipsoidModeToggle.checked = options.ellipsoid;
+            if (options.digMode) setOption(digModeSelect, options.digMode);
+            if (options.format) setOption(coordinateFormatSelect, options.format);
+            
+            const { selection } = store.getState();
+            if (!link.start) {
+                store.reset();
+            } else if (selection && selection.start.lat === link.start.lat && selection.start.lng === link.start.lng) {
+                earthVisualization.setCameraView(link.camera);
+            } else {
+                selectLocation(link.start, { name: link.name, source: 'link', camera: link.camera });
+            }
+            updateDerivedInfo();
+        } finally {
+            applyingLink = false;
+        }
+        
+        if (initial && link.dig && store.getState().selection) store.setPhase('digging');
+    }
+    
+    earthContainer.addEventListener('camera-changed', () => updateLink());
+    [ellipsoidModeToggle, digModeSelect, coordinateFormatSelect].forEach(control => {
+        control.addEventListener('change', () => updateLink());
+    });
+    // Back/Forward, or a link edited by hand. Fragments this page wrote
+    // itself are already on screen.
+    const followLink = () => {
+        if (window.location.hash !== linkHash) applyLink(window.location.hash);
+    };
+    window.addEventListener('popstate', followLink);
+    window.addEventListener('hashchange', followLink);
+    
+    if (window.location.hash) applyLink(window.location.hash, { initial: true });
 
     // Add a confirmation that event listeners are properly attached
     console.log('Event listeners for location selection attached');
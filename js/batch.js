@@ -0,0 +1,329 @@
+// Antipodes for many places at once, fully offline. Reads CSV (lat/lng or
+// place-name columns), GeoJSON points or one location per line, resolves
+// each record through CoordinateParser and the gazetteer, and describes both
+// ends with land/water and a place name. Used by the batch panel and by the
+// command-line tool (bin/antipode.js).
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(
+            require('./geo.js'),
+            require('./ellipsoid.js'),
+            require('./land-mask.js'),
+            require('./marine-regions.js'),
+            require('./offline-geocoder.js'),
+            require('./gazetteer.js'),
+            require('./coordinate-parser.js')
+        );
+    } else {
+        root.Batch = factory(root.Geo, root.Ellipsoid, root.LandMask, root.MarineRegions,
+            root.OfflineGeocoder, root.Gazetteer, root.CoordinateParser);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Geo, Ellipsoid, LandMask, MarineRegions,
+    OfflineGeocoder, Gazetteer, CoordinateParser) {
+    // Split CSV text into rows of fields, honouring quotes
+    function parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field || row.length) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows.filter(fields => fields.some(value => value.trim()));
+    }
+
+    const LAT_COLUMN = /^(lat|latitude|y)$/i;
+    const LNG_COLUMN = /^(lng|lon|long|longitude|x)$/i;
+    const NAME_COLUMN = /^(name|place|location|city|query|label)$/i;
+
+    // Records are { input, name, lat, lng } with either coordinates or an
+    // input still to be resolved
+    function recordsFromCsv(text) {
+        const rows = parseCsv(text);
+        if (!rows.length) return [];
+
+        const header = rows[0].map(value => value.trim());
+        const latIndex = header.findIndex(value => LAT_COLUMN.test(value));
+        const lngIndex = header.findIndex(value => LNG_COLUMN.test(value));
+        const nameIndex = header.findIndex(value => NAME_COLUMN.test(value));
+
+        // Without a recognised header, the first two columns are lat and lng
+        if (latIndex < 0 && nameIndex < 0) {
+            return rows.map(fields => ({ input: fields.slice(0, 2).join(', ').trim() }));
+        }
+
+        return rows.slice(1).map((fields, index) => {
+            const name = nameIndex >= 0 ? (fields[nameIndex] || '').trim() : null;
+            if (latIndex < 0 || lngIndex < 0) return { input: name, name };
+            const lat = fields[latIndex] === undefined ? '' : fields[latIndex].trim();
+            const lng = fields[lngIndex] === undefined ? '' : fields[lngIndex].trim();
+            if (!lat && !lng) {
+                // The header is row 1
+                return name ? { input: name, name } : { input: '', name, error: `Row ${index + 2} has no coordinates` };
+            }
+            return { input: `${lat}, ${lng}`, name };
+        });
+    }
+
+    function recordsFromGeoJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Input is not valid GeoJSON: ${error.message}`);
+        }
+        if (!data || typeof data !== 'object') throw new Error('Input is not valid GeoJSON');
+
+        const features = data.type === 'FeatureCollection' ? data.features || []
+            : data.type === 'Feature' ? [data]
+                : [{ type: 'Feature', geometry: data, properties: {} }];
+        if (!Array.isArray(features)) throw new Error('Input is not valid GeoJSON: features is not a list');
+
+        // A bad feature or position becomes an error record; the rest of the
+        // file still loads
+        const isPosition = position => Array.isArray(position) && position.length >= 2 &&
+            typeof position[0] === 'number' && typeof position[1] === 'number';
+        const records = [];
+        features.forEach((feature, index) => {
+            const label = `Feature ${index + 1}`;
+            if (!feature || typeof feature !== 'object') {
+                records.push({ input: label, name: null, error: `${label} is not a GeoJSON feature` });
+                return;
+            }
+            const geometry = feature.geometry;
+            const properties = feature.properties || {};
+            const name = properties.name || properties.title || null;
+            if (!geometry || typeof geometry !== 'object') {
+                records.push({ input: name || label, name, error: `${label} has no geometry` });
+                return;
+            }
+            if (geometry.type !== 'Point' && geometry.type !== 'MultiPoint') {
+                records.push({ input: name || String(geometry.type), name, error: `Only Point and MultiPoint geometries are supported, not ${geometry.type}` });
+                return;
+            }
+            const points = geometry.type === 'Point' && geometry.coordinates ? [geometry.coordinates] : geometry.coordinates;
+            if (!Array.isArray(points) || !points.length) {
+                records.push({ input: name || label, name, error: `${label} has no coordinates` });
+                return;
+            }
+            for (const position of points) {
+                if (!isPosition(position)) {
+                    records.push({ input: name || label, name, error: `${label} has a position that is not [longitude, latitude]` });
+                    continue;
+                }
+                const [lng, lat] = position;
+                records.push({ input: `${lat}, ${lng}`, name, lat, lng });
+            }
+        });
+        return records;
+    }
+
+    function recordsFromLines(text) {
+        return text.split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'))
+            .map(line => ({ input: line }));
+    }
+
+    // `input` is 'auto', 'lines', 'csv' or 'geojson'. Auto takes JSON for
+    // GeoJSON and a recognised header row for CSV.
+    function readRecords(text, input = 'auto') {
+        if (input === 'auto') {
+            const trimmed = text.trimStart();
+            const firstLine = trimmed.split(/\r?\n/, 1)[0] || '';
+            const headerFields = firstLine.split(',').map(value => value.trim());
+            if (trimmed.startsWith('{')) {
+                input = 'geojson';
+            } else if (headerFields.some(value => LAT_COLUMN.test(value) || NAME_COLUMN.test(value))) {
+                input = 'csv';
+            } else {
+                input = 'lines';
+            }
+        }
+        if (input === 'geojson') return recordsFromGeoJson(text);
+        if (input === 'csv') return recordsFromCsv(text);
+        return recordsFromLines(text);
+    }
+
+    // Coordinates from any format the app reads, or the best gazetteer match
+    function locate(record) {
+        if (Number.isFinite(record.lat) && Number.isFinite(record.lng)) {
+            return { lat: record.lat, lng: record.lng, name: record.name || null };
+        }
+        if (!record.input) throw new Error('Empty location');
+
+        const coordinates = CoordinateParser.parse(record.input, {
+            resolveLocality: name => Gazetteer.search(name, { limit: 1 })[0] || null
+        });
+        if (coordinates) return { lat: coordinates.lat, lng: coordinates.lng, name: record.name || null };
+
+        const [place] = Gazetteer.search(record.input, { limit: 1 });
+        if (!place) throw new Error(`No place called "${record.input}" in the offline gazetteer`);
+        return { lat: place.lat, lng: place.lng, name: record.name || Gazetteer.describe(place) };
+    }
+
+    // Land or water, and what the app would call the place offline
+    function describePoint(lat, lng) {
+        const surface = LandMask.classify(lat, lng);
+        if (surface === 'water') {
+            const region = MarineRegions.find(lat, lng);
+            return { lat, lng, surface, place: region ? region.name : 'Open ocean', countryCode: null };
+        }
+        const found = OfflineGeocoder.reverse(lat, lng);
+        return { lat, lng, surface, place: OfflineGeocoder.describe(found) || null, countryCode: found ? found.countryCode : null };
+    }
+
+    // A result has {input, name, start, antipode, greatCircleKm, chordKm,
+    // ellipsoidChordKm}, or {input, name, error} when the record could not
+    // be resolved
+    function resolveRecord(record) {
+        if (record.error) return { input: record.input, name: record.name || null, error: record.error };
+        try {
+            const start = locate(record);
+            if (!Geo.isValidCoordinates(start.lat, start.lng)) {
+                throw new Error('Coordinates are out of range');
+            }
+            const end = Geo.antipode(start.lat, start.lng);
+            return {
+                input: record.input,
+                name: start.name,
+                start: describePoint(start.lat, start.lng),
+                antipode: describePoint(end.lat, end.lng),
+                greatCircleKm: Geo.greatCircleDistance(start, end),
+                chordKm: Geo.chordLength(start, end),
+                ellipsoidChordKm: Ellipsoid.chordLength(start, end)
+            };
+        } catch (error) {
+            return { input: record.input, name: record.name || null, error: error.message };
+        }
+    }
+
+    // One flat row of text per result, as written to CSV
+    function flatten(result, precision) {
+        const coordinate = value => (value === undefined ? '' : value.toFixed(precision));
+        const km = value => (value === undefined ? '' : value.toFixed(3));
+        const start = result.start || {};
+        const end = result.antipode || {};
+        return {
+            input: result.input || '',
+            name: result.name || '',
+            lat: coordinate(start.lat),
+            lng: coordinate(start.lng),
+            surface: start.surface || '',
+            place: start.place || '',
+            antipode_lat: coordinate(end.lat),
+            antipode_lng: coordinate(end.lng),
+            antipode_surface: end.surface || '',
+            antipode_place: end.place || '',
+            great_circle_km: km(result.greatCircleKm),
+            chord_km: km(result.chordKm),
+            ellipsoid_chord_km: km(result.ellipsoidChordKm),
+            error: result.error || ''
+        };
+    }
+
+    // Columns of flatten() that hold numbers
+    const NUMERIC_COLUMNS = ['lat', 'lng', 'antipode_lat', 'antipode_lng', 'great_circle_km', 'chord_km', 'ellipsoid_chord_km'];
+
+    // A sorted copy of `results` by one of the flatten() columns. Results
+    // without a value in that column (usually failed ones) go last either way.
+    function sortResults(results, column, { descending = false } = {}) {
+        if (!(column in flatten({}, 0))) throw new Error(`Unknown column '${column}'`);
+        const numeric = NUMERIC_COLUMNS.includes(column);
+        const keyed = results.map((result, index) => ({ result, index, value: flatten(result, 12)[column] }));
+
+        keyed.sort((a, b) => {
+            if (!a.value || !b.value) return (a.value ? 0 : 1) - (b.value ? 0 : 1) || a.index - b.index;
+            const order = numeric
+                ? Number(a.value) - Number(b.value)
+                : a.value.localeCompare(b.value, undefined, { sensitivity: 'base', numeric: true });
+            return (descending ? -order : order) || a.index - b.index;
+        });
+        return keyed.map(entry => entry.result);
+    }
+
+    function csvField(value) {
+        return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    }
+
+    function toCsv(results, precision = 6) {
+        const rows = results.map(result => flatten(result, precision));
+        const columns = Object.keys(flatten({}, precision));
+        return [columns.join(','), ...rows.map(row => columns.map(column => csvField(row[column])).join(','))].join('\n') + '\n';
+    }
+
+    // A FeatureCollection with a Point at each start and the antipode in its
+    // properties, so the file reads back in as batch input. Records that
+    // failed keep their error and have no geometry.
+    function toGeoJson(results, precision = 6) {
+        const round = value => Number(value.toFixed(precision));
+        return JSON.stringify({
+            type: 'FeatureCollection',
+            features: results.map(result => {
+                if (result.error) {
+                    return {
+                        type: 'Feature',
+                        geometry: null,
+                        properties: { input: result.input || null, name: result.name || null, error: result.error }
+                    };
+                }
+                const { start, antipode } = result;
+                return {
+                    type: 'Feature',
+                    geometry: { type: 'Point', coordinates: [round(start.lng), round(start.lat)] },
+                    properties: {
+                        input: result.input || null,
+                        name: result.name || null,
+                        surface: start.surface,
+                        place: start.place,
+                        antipode_lat: round(antipode.lat),
+                        antipode_lng: round(antipode.lng),
+                        antipode_surface: antipode.surface,
+                        antipode_place: antipode.place,
+                        great_circle_km: Number(result.greatCircleKm.toFixed(3)),
+                        chord_km: Number(result.chordKm.toFixed(3)),
+                        ellipsoid_chord_km: Number(result.ellipsoidChordKm.toFixed(3))
+                    }
+                };
+            })
+        }, null, 2) + '\n';
+    }
+
+    return {
+        parseCsv,
+        readRecords,
+        resolveRecord,
+        flatten,
+        sortResults,
+        toCsv,
+        toGeoJson
+    };
+});
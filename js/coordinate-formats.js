@@ -0,0 +1,464 @@
+// Grid and code systems for writing down a position: geohash, Open Location
+// Code (plus codes), UTM and MGRS. Decoders return the centre of the cell
+// a code names. All positions are WGS84 latitude/longitude in degrees.
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./geo.js'), require('./ellipsoid.js'));
+    } else {
+        root.CoordinateFormats = factory(root.Geo, root.Ellipsoid);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Geo, Ellipsoid) {
+    // --- Geohash ---
+
+    const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+    // Centre of a geohash cell plus its half-size in degrees
+    function decodeGeohash(hash) {
+        const lat = [-90, 90];
+        const lng = [-180, 180];
+        let even = true;
+
+        for (const char of hash.toLowerCase()) {
+            const value = GEOHASH_ALPHABET.indexOf(char);
+            if (value < 0) {
+                throw new Error(`'${char}' is not a geohash character`);
+            }
+            for (let bit = 4; bit >= 0; bit--) {
+                const range = even ? lng : lat;
+                const mid = (range[0] + range[1]) / 2;
+                if ((value >> bit) & 1) range[0] = mid; else range[1] = mid;
+                even = !even;
+            }
+        }
+
+        return {
+            lat: (lat[0] + lat[1]) / 2,
+            lng: (lng[0] + lng[1]) / 2,
+            latError: (lat[1] - lat[0]) / 2,
+            lngError: (lng[1] - lng[0]) / 2
+        };
+    }
+
+    // Geohash of a position; 9 characters pin it to within about 5 m
+    function encodeGeohash(lat, lng, precision = 9) {
+        const latRange = [-90, 90];
+        const lngRange = [-180, 180];
+        const longitude = Geo.normalizeLongitude(lng);
+        let hash = '';
+        let value = 0;
+        let bits = 0;
+        let even = true;
+
+        while (hash.length < precision) {
+            const range = even ? lngRange : latRange;
+            const coordinate = even ? longitude : lat;
+            const mid = (range[0] + range[1]) / 2;
+            value <<= 1;
+            if (coordinate >= mid) {
+                value |= 1;
+                range[0] = mid;
+            } else {
+                range[1] = mid;
+            }
+            even = !even;
+            if (++bits === 5) {
+                hash += GEOHASH_ALPHABET[value];
+                value = 0;
+                bits = 0;
+            }
+        }
+        return hash;
+    }
+
+    // --- Open Location Code (plus codes) ---
+
+    const PLUS_CODE_ALPHABET = '23456789CFGHJMPQRVWX';
+    const PLUS_CODE_SEPARATOR_POSITION = 8;
+    const PLUS_CODE_PAIR_RESOLUTIONS = [20, 1, 0.05, 0.0025, 0.000125];
+    const PLUS_CODE_GRID_ROWS = 5;
+    const PLUS_CODE_GRID_COLUMNS = 4;
+    const PLUS_CODE_MAX_DIGITS = 15;
+
+    // Reason a plus code is malformed, or null if it is well formed
+    function plusCodeProblem(code) {
+        const separator = code.indexOf('+');
+        if (separator < 0 || separator !== code.lastIndexOf('+')) {
+            return 'it needs exactly one "+"';
+        }
+        if (separator > PLUS_CODE_SEPARATOR_POSITION || separator % 2 === 1) {
+            return `"+" cannot come after ${separator} characters`;
+        }
+
+        const upper = code.toUpperCase();
+        for (const char of upper) {
+            if (char !== '+' && char !== '0' && !PLUS_CODE_ALPHABET.includes(char)) {
+                return `'${char}' is not a plus code character`;
+            }
+        }
+
+        const padding = upper.indexOf('0');
+        if (padding >= 0) {
+            if (separator < PLUS_CODE_SEPARATOR_POSITION) return 'a short code cannot be padded with 0';
+            if (!/^0+$/.test(upper.slice(padding, separator)) || padding % 2 === 1) {
+                return 'padding 0s must come in pairs right before "+"';
+            }
+            if (upper.length > separator + 1) return 'a padded code has nothing after "+"';
+        }
+        if (upper.length - separator - 1 === 1) {
+            return 'it cannot end with a single character after "+"';
+        }
+        return null;
+    }
+
+    function isFullPlusCode(code) {
+        if (plusCodeProblem(code) !== null || code.indexOf('+') !== PLUS_CODE_SEPARATOR_POSITION) return false;
+        // The first two characters must stay within the world
+        const latValue = PLUS_CODE_ALPHABET.indexOf(code[0].toUpperCase()) * PLUS_CODE_PAIR_RESOLUTIONS[0];
+        const lngValue = PLUS_CODE_ALPHABET.indexOf(code[1].toUpperCase()) * PLUS_CODE_PAIR_RESOLUTIONS[0];
+        return latValue < 180 && lngValue < 360;
+    }
+
+    function isShortPlusCode(code) {
+        return plusCodeProblem(code) === null && code.indexOf('+') < PLUS_CODE_SEPARATOR_POSITION;
+    }
+
+    // Plus code for a position; `length` is the number of digits (10 ≈ 14 m)
+    function encodePlusCode(lat, lng, length = 10) {
+        let latitude = Math.min(Math.max(lat, -90), 90);
+        if (latitude === 90) {
+            // Keep the north pole inside the top cell
+            latitude -= length <= 10
+                ? PLUS_CODE_PAIR_RESOLUTIONS[Math.floor(length / 2) - 1]
+                : PLUS_CODE_PAIR_RESOLUTIONS[4] / Math.pow(PLUS_CODE_GRID_ROWS, length - 10);
+        }
+        // Work in integer units of the finest cell to avoid rounding drift
+        const latUnits = 8000 * Math.pow(PLUS_CODE_GRID_ROWS, 5);
+        const lngUnits = 8000 * Math.pow(PLUS_CODE_GRID_COLUMNS, 5);
+        let latValue = Math.floor(Math.round((latitude + 90) * latUnits * 1e6) / 1e6);
+        let lngValue = Math.floor(Math.round((Geo.normalizeLongitude(lng) + 180) * lngUnits * 1e6) / 1e6);
+        if (lngValue >= 360 * lngUnits) lngValue -= 360 * lngUnits;
+
+        let grid = '';
+        for (let i = 0; i < 5; i++) {
+            const row = latValue % PLUS_CODE_GRID_ROWS;
+            const column = lngValue % PLUS_CODE_GRID_COLUMNS;
+            grid = PLUS_CODE_ALPHABET[row * PLUS_CODE_GRID_COLUMNS + column] + grid;
+            latValue = Math.floor(latValue / PLUS_CODE_GRID_ROWS);
+            lngValue = Math.floor(lngValue / PLUS_CODE_GRID_COLUMNS);
+        }
+        let pairs = '';
+        for (let i = 0; i < 5; i++) {
+            pairs = PLUS_CODE_ALPHABET[latValue % 20] + PLUS_CODE_ALPHABET[lngValue % 20] + pairs;
+            latValue = Math.floor(latValue / 20);
+            lngValue = Math.floor(lngValue / 20);
+        }
+
+        const digits = (pairs + grid).slice(0, Math.min(length, PLUS_CODE_MAX_DIGITS));
+        if (digits.length < PLUS_CODE_SEPARATOR_POSITION) {
+            return digits.padEnd(PLUS_CODE_SEPARATOR_POSITION, '0') + '+';
+        }
+        return digits.slice(0, PLUS_CODE_SEPARATOR_POSITION) + '+' + digits.slice(PLUS_CODE_SEPARATOR_POSITION);
+    }
+
+    // Centre of the cell a full plus code names, with the cell size
+    function decodePlusCode(code) {
+        if (!isFullPlusCode(code)) {
+            throw new Error(`'${code}' is not a full plus code`);
+        }
+        const digits = code.toUpperCase().replace('+', '').replace(/0+$/, '').slice(0, PLUS_CODE_MAX_DIGITS);
+
+        let lat = -90;
+        let lng = -180;
+        let latSize = 0;
+        let lngSize = 0;
+        for (let i = 0; i < Math.min(digits.length, 10); i += 2) {
+            const resolution = PLUS_CODE_PAIR_RESOLUTIONS[i / 2];
+            lat += PLUS_CODE_ALPHABET.indexOf(digits[i]) * resolution;
+            lng += PLUS_CODE_ALPHABET.indexOf(digits[i + 1]) * resolution;
+            latSize = lngSize = resolution;
+        }
+        for (let i = 10; i < digits.length; i++) {
+            latSize /= PLUS_CODE_GRID_ROWS;
+            lngSize /= PLUS_CODE_GRID_COLUMNS;
+            const value = PLUS_CODE_ALPHABET.indexOf(digits[i]);
+            lat += Math.floor(value / PLUS_CODE_GRID_COLUMNS) * latSize;
+            lng += (value % PLUS_CODE_GRID_COLUMNS) * lngSize;
+        }
+
+        return {
+            lat: Math.min(lat + latSize / 2, 90),
+            lng: Geo.normalizeLongitude(lng + lngSize / 2),
+            latSize,
+            lngSize
+        };
+    }
+
+    // Full code for a short one (e.g. "CWC8+R9") using the nearest match to
+    // a reference position, per the Open Location Code specification
+    function recoverNearestPlusCode(shortCode, refLat, refLng) {
+        if (!isShortPlusCode(shortCode)) {
+            if (isFullPlusCode(shortCode)) return shortCode.toUpperCase();
+            throw new Error(`'${shortCode}' is not a short plus code`);
+        }
+        const code = shortCode.toUpperCase();
+        const paddingLength = PLUS_CODE_SEPARATOR_POSITION - code.indexOf('+');
+        const resolution = Math.pow(20, 2 - paddingLength / 2);
+        const half = resolution / 2;
+
+        const recovered = encodePlusCode(refLat, refLng).slice(0, paddingLength) + code;
+        const area = decodePlusCode(recovered);
+        let { lat, lng } = area;
+
+        if (refLat + half < lat && lat - resolution >= -90) {
+            lat -= resolution;
+        } else if (refLat - half > lat && lat + resolution <= 90) {
+            lat += resolution;
+        }
+        if (refLng + half < lng) {
+            lng -= resolution;
+        } else if (refLng - half > lng) {
+            lng += resolution;
+        }
+        return encodePlusCode(lat, lng, recovered.replace('+', '').length);
+    }
+
+    // --- UTM (Krüger series, accurate to well under a millimetre) ---
+
+    const UTM_SCALE = 0.9996;
+    const UTM_FALSE_EASTING_M = 500000;
+    const UTM_FALSE_NORTHING_SOUTH_M = 10000000;
+    const LATITUDE_BANDS = 'CDEFGHJKLMNPQRSTUVWX';
+
+    const a = Ellipsoid.SEMI_MAJOR_AXIS_KM * 1000;
+    const n = Ellipsoid.FLATTENING / (2 - Ellipsoid.FLATTENING);
+    const rectifyingRadius = a / (1 + n) * (1 + n * n / 4 + n ** 4 / 64);
+    const ALPHA = [
+        n / 2 - 2 * n * n / 3 + 5 * n ** 3 / 16,
+        13 * n * n / 48 - 3 * n ** 3 / 5,
+        61 * n ** 3 / 240
+    ];
+    const BETA = [
+        n / 2 - 2 * n * n / 3 + 37 * n ** 3 / 96,
+        n * n / 48 + n ** 3 / 15,
+        17 * n ** 3 / 480
+    ];
+    const DELTA = [
+        2 * n - 2 * n * n / 3 - 2 * n ** 3,
+        7 * n * n / 3 - 8 * n ** 3 / 5,
+        56 * n ** 3 / 15
+    ];
+
+    function centralMeridian(zone) {
+        return zone * 6 - 183;
+    }
+
+    // Latitude band letter, or null outside UTM's 80°S–84°N coverage
+    function latitudeBand(lat) {
+        if (lat < -80 || lat > 84) return null;
+        return LATITUDE_BANDS[Math.min(Math.floor((lat + 80) / 8), LATITUDE_BANDS.length - 1)];
+    }
+
+    // UTM zone, including the Norway and Svalbard exceptions
+    function utmZone(lat, lng) {
+        const longitude = Geo.normalizeLongitude(lng);
+        // 180° itself is the eastern edge of zone 60
+        let zone = Math.min(Math.floor((longitude + 180) / 6) + 1, 60);
+        if (lat >= 56 && lat < 64 && longitude >= 3 && longitude < 12) zone = 32;
+        if (lat >= 72 && lat <= 84 && longitude >= 0 && longitude < 42) {
+            if (longitude < 9) zone = 31;
+            else if (longitude < 21) zone = 33;
+            else if (longitude < 33) zone = 35;
+            else zone = 37;
+        }
+        return zone;
+    }
+
+    // { zone, band, hemisphere, easting, northing } in metres. `zone` may be
+    // forced, e.g. to express a point in a neighbouring zone.
+    function toUtm(lat, lng, zone = utmZone(lat, lng)) {
+        if (lat < -80 || lat > 84) {
+            throw new Error('UTM only covers latitudes from 80°S to 84°N');
+        }
+        const phi = Geo.toRadians(lat);
+        const lambda = Geo.toRadians(Geo.normalizeLongitude(lng - centralMeridian(zone)));
+        const twoRootN = 2 * Math.sqrt(n) / (1 + n);
+
+        const t = Math.sinh(Math.atanh(Math.sin(phi)) - twoRootN * Math.atanh(twoRootN * Math.sin(phi)));
+        const xiPrime = Math.atan2(t, Math.cos(lambda));
+        const etaPrime = Math.atanh(Math.sin(lambda) / Math.sqrt(1 + t * t));
+
+        let xi = xiPrime;
+        let eta = etaPrime;
+        ALPHA.forEach((alpha, i) => {
+            const j = 2 * (i + 1);
+            xi += alpha * Math.sin(j * xiPrime) * Math.cosh(j * etaPrime);
+            eta += alpha * Math.cos(j * xiPrime) * Math.sinh(j * etaPrime);
+        });
+
+        const hemisphere = lat < 0 ? 'S' : 'N';
+        return {
+            zone,
+            band: latitudeBand(lat),
+            hemisphere,
+            easting: UTM_FALSE_EASTING_M + UTM_SCALE * rectifyingRadius * eta,
+            northing: (hemisphere === 'S' ? UTM_FALSE_NORTHING_SOUTH_M : 0) + UTM_SCALE * rectifyingRadius * xi
+        };
+    }
+
+    // Latitude/longitude of a UTM position; `hemisphere` is 'N' or 'S'
+    function fromUtm(zone, hemisphere, easting, northing) {
+        const xi = (northing - (hemisphere === 'S' ? UTM_FALSE_NORTHING_SOUTH_M : 0)) / (UTM_SCALE * rectifyingRadius);
+        const eta = (easting - UTM_FALSE_EASTING_M) / (UTM_SCALE * rectifyingRadius);
+
+        let xiPrime = xi;
+        let etaPrime = eta;
+        BETA.forEach((beta, i) => {
+            const j = 2 * (i + 1);
+            xiPrime -= beta * Math.sin(j * xi) * Math.cosh(j * eta);
+            etaPrime -= beta * Math.cos(j * xi) * Math.sinh(j * eta);
+        });
+
+        const chi = Math.asin(Math.sin(xiPrime) / Math.cosh(etaPrime));
+        let phi = chi;
+        DELTA.forEach((delta, i) => {
+            phi += delta * Math.sin(2 * (i + 1) * chi);
+        });
+
+        return {
+            lat: Geo.toDegrees(phi),
+            lng: Geo.normalizeLongitude(centralMeridian(zone) + Geo.toDegrees(Math.atan2(Math.sinh(etaPrime), Math.cos(xiPrime))))
+        };
+    }
+
+    // --- MGRS ---
+
+    const MGRS_COLUMN_SETS = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'];
+    const MGRS_ROW_LETTERS = 'ABCDEFGHJKLMNPQRSTUV';
+
+    // Latitude/longitude of the centre of an MGRS square. `digits` is the
+    // numeric part (an even number of digits, easting then northing).
+    function fromMgrs(zone, band, square, digits) {
+        const bandIndex = LATITUDE_BANDS.indexOf(band.toUpperCase());
+        if (bandIndex < 0) {
+            throw new Error(`'${band}' is not a UTM latitude band`);
+        }
+        const columnLetter = square[0].toUpperCase();
+        const rowLetter = square[1].toUpperCase();
+        const column = MGRS_COLUMN_SETS[(zone - 1) % 3].indexOf(columnLetter);
+        if (column < 0) {
+            throw new Error(`column letter '${columnLetter}' is not used in zone ${zone}`);
+        }
+        const rowIndex = MGRS_ROW_LETTERS.indexOf(rowLetter);
+        if (rowIndex < 0) {
+            throw new Error(`'${rowLetter}' is not an MGRS row letter`);
+        }
+
+        const precision = digits.length / 2;
+        const cell = Math.pow(10, 5 - precision);
+        const eastingInSquare = precision ? Number(digits.slice(0, precision)) * cell : 0;
+        const northingInSquare = precision ? Number(digits.slice(precision)) * cell : 0;
+
+        const rowOffset = zone % 2 === 0 ? 5 : 0;
+        const easting = (column + 1) * 100000 + eastingInSquare + cell / 2;
+        let northing = ((rowIndex - rowOffset + 20) % 20) * 100000 + northingInSquare + cell / 2;
+
+        // Row letters repeat every 2,000 km: lift the northing into the band
+        const hemisphere = band.toUpperCase() >= 'N' ? 'N' : 'S';
+        const bandSouth = -80 + bandIndex * 8;
+        const bandNorthing = toUtm(bandSouth, centralMeridian(zone), zone).northing;
+        while (northing < bandNorthing - 100000) northing += 2000000;
+
+        const position = fromUtm(zone, hemisphere, easting, northing);
+        const bandNorth = band.toUpperCase() === 'X' ? 84 : bandSouth + 8;
+        if (position.lat < bandSouth - 0.5 || position.lat > bandNorth + 0.5) {
+            throw new Error(`square ${columnLetter}${rowLetter} does not lie in band ${band.toUpperCase()}`);
+        }
+        return position;
+    }
+
+    // MGRS reference such as "18T WL 85628 11322"; `digits` per axis sets the
+    // precision (5 = 1 m, 4 = 10 m, ... 0 = the 100 km square alone)
+    function toMgrs(lat, lng, digits = 5) {
+        const utm = toUtm(lat, lng);
+        const column = MGRS_COLUMN_SETS[(utm.zone - 1) % 3][Math.floor(utm.easting / 100000) - 1];
+        const rowOffset = utm.zone % 2 === 0 ? 5 : 0;
+        const row = MGRS_ROW_LETTERS[(Math.floor(utm.northing / 100000) + rowOffset) % 20];
+
+        const cell = Math.pow(10, 5 - digits);
+        const pad = value => String(Math.floor((value % 100000) / cell)).padStart(digits, '0');
+        const numbers = digits > 0 ? ` ${pad(utm.easting)} ${pad(utm.northing)}` : '';
+        return `${utm.zone}${utm.band} ${column}${row}${numbers}`;
+    }
+
+    // --- Display ---
+
+    // Degrees, minutes and seconds for one angle, e.g. 40°42′46.1″N
+    function formatDms(value, positive, negative, secondDecimals = 1) {
+        const scale = Math.pow(10, secondDecimals);
+        let totalSeconds = Math.round(Math.abs(value) * 3600 * scale) / scale;
+        const degrees = Math.floor(totalSeconds / 3600);
+        totalSeconds -= degrees * 3600;
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = (totalSeconds - minutes * 60).toFixed(secondDecimals);
+        return `${degrees}°${minutes}′${seconds}″${value < 0 ? negative : positive}`;
+    }
+
+    // Formats offered by format(), in menu order
+    const DISPLAY_FORMATS = {
+        dd: 'Decimal degrees',
+        dms: 'Degrees, minutes, seconds',
+        utm: 'UTM',
+        mgrs: 'MGRS',
+        geohash: 'Geohash',
+        pluscode: 'Plus code'
+    };
+
+    // A position written in one of DISPLAY_FORMATS, or null when that
+    // format does not cover it (UTM and MGRS stop at 80°S and 84°N). The
+    // text can be pasted back into the search box; geohashes carry a
+    // "geohash:" prefix because one without digits reads as a word.
+    function format(lat, lng, style) {
+        switch (style) {
+            case 'dd':
+                return `${lat.toFixed(6)}, ${lng.toFixed(6)}`;
+            case 'dms':
+                return `${formatDms(lat, 'N', 'S')} ${formatDms(lng, 'E', 'W')}`;
+            case 'utm': {
+                if (!latitudeBand(lat)) return null;
+                const utm = toUtm(lat, lng);
+                return `${utm.zone}${utm.band} ${Math.floor(utm.easting)}mE ${Math.floor(utm.northing)}mN`;
+            }
+            case 'mgrs':
+                return latitudeBand(lat) ? toMgrs(lat, lng) : null;
+            case 'geohash':
+                return `geohash:${encodeGeohash(lat, lng)}`;
+            case 'pluscode':
+                return encodePlusCode(lat, lng);
+            default:
+                throw new Error(`Unknown coordinate format '${style}'`);
+        }
+    }
+
+    return {
+        GEOHASH_ALPHABET,
+        PLUS_CODE_ALPHABET,
+        LATITUDE_BANDS,
+        DISPLAY_FORMATS,
+        encodeGeohash,
+        decodeGeohash,
+        plusCodeProblem,
+        isFullPlusCode,
+        isShortPlusCode,
+        encodePlusCode,
+        decodePlusCode,
+        recoverNearestPlusCode,
+        latitudeBand,
+        utmZone,
+        toUtm,
+        fromUtm,
+        toMgrs,
+        fromMgrs,
+        formatDms,
+        format
+    };
+});
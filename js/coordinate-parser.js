@@ -0,0 +1,403 @@
+// Turns pasted or typed coordinates into latitude/longitude. Understands
+// decimal degrees, degrees-minutes-seconds, hemisphere letters, geo: URIs,
+// Google Maps links, geohashes, plus codes, UTM and MGRS.
+//
+// parse() returns null for text that does not look like coordinates at all
+// (so it can be searched as a place name) and throws CoordinateParseError,
+// naming the part that failed, for text that looks like coordinates but is
+// wrong.
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./coordinate-formats.js'));
+    } else {
+        root.CoordinateParser = factory(root.CoordinateFormats);
+    }
+})(typeof self !== 'undefined' ? self : this, function (CoordinateFormats) {
+    class CoordinateParseError extends Error {
+        // `part` is the piece of the input that could not be understood
+        constructor(message, part) {
+            super(message);
+            this.name = 'CoordinateParseError';
+            this.part = part;
+        }
+    }
+
+    const NUMBER = '[-+]?\\d+(?:\\.\\d+)?';
+    const DEGREE_MARKS = '°º˚';
+    const MINUTE_MARKS = '\'′’‘';
+    const SECOND_MARKS = '"″”“';
+
+    // Characters that may appear in degree-style coordinates
+    const ANGLE_TEXT = new RegExp(`^[\\s\\d.,;:+\\-NSEWnsew${DEGREE_MARKS}${MINUTE_MARKS}${SECOND_MARKS}]+$`);
+
+    function result(lat, lng, format) {
+        return { lat, lng, format };
+    }
+
+    function checkRange(lat, lng, part) {
+        if (!Number.isFinite(lat) || lat < -90 || lat > 90) {
+            throw new CoordinateParseError(`Latitude ${lat} in '${part}' is out of range (-90 to 90)`, part);
+        }
+        if (!Number.isFinite(lng) || lng < -180 || lng > 180) {
+            throw new CoordinateParseError(`Longitude ${lng} in '${part}' is out of range (-180 to 180)`, part);
+        }
+    }
+
+    // "lat,lng" as found in URIs and URL parameters
+    function parseLatLngPair(text, part) {
+        const match = text.match(new RegExp(`^\\s*(${NUMBER})\\s*,\\s*(${NUMBER})`));
+        if (!match) return null;
+        const lat = parseFloat(match[1]);
+        const lng = parseFloat(match[2]);
+        checkRange(lat, lng, part);
+        return { lat, lng };
+    }
+
+    // --- geo: URIs (RFC 5870) ---
+
+    function parseGeoUri(text) {
+        const body = text.slice(4).split(/[;?]/)[0];
+        const crs = text.match(/;crs=([^;?]+)/i);
+        if (crs && crs[1].toLowerCase() !== 'wgs84') {
+            throw new CoordinateParseError(`Coordinate system '${crs[1]}' in the geo: URI is not supported (only wgs84)`, crs[0]);
+        }
+        const pair = parseLatLngPair(body, body);
+        if (!pair) {
+            throw new CoordinateParseError(`'${body}' in the geo: URI is not 'latitude,longitude'`, body);
+        }
+        return result(pair.lat, pair.lng, 'geo-uri');
+    }
+
+    // --- Google Maps links ---
+
+    function isGoogleMapsLink(text) {
+        return /^(https?:\/\/)?([a-z0-9-]+\.)*(google\.[a-z.]+|goo\.gl)(\/|$)/i.test(text);
+    }
+
+    function parseGoogleMapsLink(text) {
+        if (/^(https?:\/\/)?(maps\.app\.)?goo\.gl\//i.test(text)) {
+            throw new CoordinateParseError(
+                'Shortened Google Maps links cannot be opened offline; open the link and paste the full address instead',
+                text
+            );
+        }
+        const decoded = decodeURIComponent(text.replace(/\+/g, ' '));
+
+        // A dropped pin or place ("!3d<lat>!4d<lng>") is more exact than the map view
+        const place = decoded.match(new RegExp(`!3d(${NUMBER})!4d(${NUMBER})`));
+        if (place) {
+            const lat = parseFloat(place[1]);
+            const lng = parseFloat(place[2]);
+            checkRange(lat, lng, place[0]);
+            return result(lat, lng, 'google-maps');
+        }
+
+        const query = decoded.match(/[?&](?:q|query|ll|sll|center|destination|daddr)=([^&]+)/);
+        const queryPair = query && parseLatLngPair(query[1].replace(/^loc:/, ''), query[0].slice(1));
+        if (queryPair) return result(queryPair.lat, queryPair.lng, 'google-maps');
+
+        const view = decoded.match(new RegExp(`@(${NUMBER}),(${NUMBER})`));
+        if (view) {
+            const lat = parseFloat(view[1]);
+            const lng = parseFloat(view[2]);
+            checkRange(lat, lng, view[0]);
+            return result(lat, lng, 'google-maps');
+        }
+
+        const path = decoded.match(new RegExp(`/(?:place|search|dir)/(${NUMBER}),\\s*(${NUMBER})`));
+        if (path) {
+            const lat = parseFloat(path[1]);
+            const lng = parseFloat(path[2]);
+            checkRange(lat, lng, path[0]);
+            return result(lat, lng, 'google-maps');
+        }
+
+        throw new CoordinateParseError(
+            "The Google Maps link has no coordinates in it (look for '@latitude,longitude' in the address)",
+            text
+        );
+    }
+
+    // --- Plus codes ---
+
+    // "849VCWC8+R9", or a short code with a nearby place: "CWC8+R9 Mountain View"
+    function parsePlusCode(text, resolveLocality) {
+        const [code, ...rest] = text.split(/[\s,]+/);
+        const problem = CoordinateFormats.plusCodeProblem(code);
+        if (problem) {
+            throw new CoordinateParseError(`Plus code '${code}' is not valid: ${problem}`, code);
+        }
+
+        if (CoordinateFormats.isFullPlusCode(code)) {
+            const area = CoordinateFormats.decodePlusCode(code);
+            return result(area.lat, area.lng, 'plus-code');
+        }
+        if (!CoordinateFormats.isShortPlusCode(code)) {
+            throw new CoordinateParseError(`Plus code '${code}' is outside the world`, code);
+        }
+
+        const locality = rest.join(' ').trim();
+        if (!locality) {
+            throw new CoordinateParseError(
+                `Short plus code '${code}' needs a nearby town, e.g. '${code} Zurich'`,
+                code
+            );
+        }
+        const reference = resolveLocality ? resolveLocality(locality) : null;
+        if (!reference) {
+            throw new CoordinateParseError(`Could not find the place '${locality}' to complete plus code '${code}'`, locality);
+        }
+        const full = CoordinateFormats.recoverNearestPlusCode(code, reference.lat, reference.lng);
+        const area = CoordinateFormats.decodePlusCode(full);
+        return result(area.lat, area.lng, 'plus-code');
+    }
+
+    // --- UTM and MGRS ---
+
+    function checkZone(zoneText) {
+        const zone = Number(zoneText);
+        if (zone < 1 || zone > 60) {
+            throw new CoordinateParseError(`UTM zone ${zoneText} is out of range (1 to 60)`, zoneText);
+        }
+        return zone;
+    }
+
+    function checkBand(band) {
+        const upper = band.toUpperCase();
+        if ('ABYZ'.includes(upper)) {
+            throw new CoordinateParseError(`Polar band ${upper} (UPS grid) is not supported`, band);
+        }
+        if (!CoordinateFormats.LATITUDE_BANDS.includes(upper)) {
+            throw new CoordinateParseError(`'${band}' is not a UTM latitude band (C to X, without I and O)`, band);
+        }
+        return upper;
+    }
+
+    // "18T 585628 4511322", "18 north 585628 4511322", "18T 585628mE 4511322mN"
+    const UTM_PATTERN = /^(\d{1,2})\s*([A-Za-z]|north|south)\s+(\d+(?:\.\d+)?)\s*(?:m?E)?[\s,]+(\d+(?:\.\d+)?)\s*(?:m?N)?$/i;
+
+    function parseUtm(match) {
+        const [, zoneText, bandText, eastingText, northingText] = match;
+        const zone = checkZone(zoneText);
+        let hemisphere;
+        if (/^north$/i.test(bandText)) {
+            hemisphere = 'N';
+        } else if (/^south$/i.test(bandText)) {
+            hemisphere = 'S';
+        } else {
+            hemisphere = checkBand(bandText) >= 'N' ? 'N' : 'S';
+        }
+
+        const easting = Number(eastingText);
+        const northing = Number(northingText);
+        if (easting < 100000 || easting > 900000) {
+            throw new CoordinateParseError(`UTM easting ${eastingText} is out of range (100000 to 900000 m)`, eastingText);
+        }
+        if (northing < 0 || northing > 10000000) {
+            throw new CoordinateParseError(`UTM northing ${northingText} is out of range (0 to 10000000 m)`, northingText);
+        }
+        const position = CoordinateFormats.fromUtm(zone, hemisphere, easting, northing);
+        return result(position.lat, position.lng, 'utm');
+    }
+
+    // "18TWL8562811322" or "18T WL 85628 11322"
+    const MGRS_PATTERN = /^(\d{1,2})\s*([A-Za-z])\s*([A-Za-z]{2})\s*(\d*)\s*(\d*)$/;
+
+    function parseMgrs(match) {
+        const [, zoneText, bandText, square, first, second] = match;
+        const zone = checkZone(zoneText);
+        const band = checkBand(bandText);
+        const digits = first + second;
+        if (second && first.length !== second.length) {
+            throw new CoordinateParseError(
+                `MGRS easting '${first}' and northing '${second}' must have the same number of digits`,
+                `${first} ${second}`
+            );
+        }
+        if (digits.length % 2 === 1 || digits.length > 10) {
+            throw new CoordinateParseError(`MGRS digits '${digits}' must be an even count of at most 10`, digits);
+        }
+        try {
+            const position = CoordinateFormats.fromMgrs(zone, band, square, digits);
+            return result(position.lat, position.lng, 'mgrs');
+        } catch (error) {
+            throw new CoordinateParseError(`MGRS grid square '${square}' is not valid: ${error.message}`, square);
+        }
+    }
+
+    // --- Geohash ---
+
+    function parseGeohash(hash, part) {
+        if (hash.length === 0 || hash.length > 12) {
+            throw new CoordinateParseError(`Geohash '${hash}' must be 1 to 12 characters long`, part);
+        }
+        const bad = [...hash.toLowerCase()].find(char => !CoordinateFormats.GEOHASH_ALPHABET.includes(char));
+        if (bad) {
+            throw new CoordinateParseError(`'${bad}' in geohash '${hash}' is not a geohash character (a, i, l and o are never used)`, bad);
+        }
+        const cell = CoordinateFormats.decodeGeohash(hash);
+        return result(cell.lat, cell.lng, 'geohash');
+    }
+
+    // Bare geohashes need a digit and a letter so that ordinary words and
+    // numbers are never taken for one; "geohash:" forces the reading
+    function looksLikeGeohash(text) {
+        return /^[0-9b-hjkmnp-z]{5,12}$/i.test(text) && /\d/.test(text) && /[a-z]/i.test(text);
+    }
+
+    // --- Degrees, with or without minutes, seconds and hemisphere letters ---
+
+    // Split "40°42'46"N 74°0'22"W" and friends into latitude and longitude text
+    function splitAngles(text) {
+        const separated = text.split(/\s*[,;]\s*/).filter(Boolean);
+        if (separated.length === 2) return separated;
+        if (separated.length > 2) {
+            throw new CoordinateParseError(`Expected two parts (latitude and longitude) but found ${separated.length}`, text);
+        }
+
+        // Hemisphere letters after each angle: split after the first letter
+        const suffixed = text.match(/^(.*?\d[^NSEWnsew]*[NSEWnsew])\s*(\S.*)$/);
+        if (suffixed && /[NSEWnsew]\s*$/.test(text)) return [suffixed[1], suffixed[2]];
+
+        // Letters before each angle: split before the second letter
+        const prefixed = text.match(/^([NSEWnsew].*?)\s*([NSEWnsew].*)$/);
+        if (prefixed) return [prefixed[1], prefixed[2]];
+
+        // Degree marks: split before the second degree value
+        const marked = text.match(new RegExp(`^(.*?[${DEGREE_MARKS}].*?)\\s+([-+]?\\d+(?:\\.\\d+)?\\s*[${DEGREE_MARKS}].*)$`));
+        if (marked) return [marked[1], marked[2]];
+
+        // Plain numbers: the same count of components on each side
+        const tokens = text.split(/\s+/).filter(Boolean);
+        if (tokens.length % 2 === 0 && tokens.length <= 6) {
+            return [tokens.slice(0, tokens.length / 2).join(' '), tokens.slice(tokens.length / 2).join(' ')];
+        }
+        throw new CoordinateParseError(
+            "Could not tell where the latitude ends and the longitude starts; separate them with a comma",
+            text
+        );
+    }
+
+    // One angle such as "40°42'46.1"N", "N 40 42.767", "-74.006" or "74.006W"
+    function parseAngle(text) {
+        const part = text.trim();
+        const letters = part.match(/[NSEWnsew]/g) || [];
+        if (letters.length > 1) {
+            throw new CoordinateParseError(`'${part}' has more than one hemisphere letter`, part);
+        }
+        const hemisphere = letters.length ? letters[0].toUpperCase() : null;
+        const numbers = part.match(/[-+]?\d+(?:\.\d+)?/g) || [];
+        if (numbers.length === 0 || numbers.length > 3) {
+            throw new CoordinateParseError(`'${part}' is not degrees, minutes and seconds`, part);
+        }
+
+        const [degrees, minutes = '0', seconds = '0'] = numbers;
+        numbers.slice(0, -1).forEach(value => {
+            if (value.includes('.')) {
+                throw new CoordinateParseError(`Only the last number in '${part}' may have decimals`, part);
+            }
+        });
+        numbers.slice(1).forEach(value => {
+            if (/^[-+]/.test(value)) {
+                throw new CoordinateParseError(`Minutes and seconds in '${part}' cannot have a sign`, part);
+            }
+        });
+        if (Number(minutes) >= 60) {
+            throw new CoordinateParseError(`Minutes ${minutes} in '${part}' must be below 60`, part);
+        }
+        if (Number(seconds) >= 60) {
+            throw new CoordinateParseError(`Seconds ${seconds} in '${part}' must be below 60`, part);
+        }
+        const negative = degrees.startsWith('-');
+        if (negative && hemisphere) {
+            throw new CoordinateParseError(`'${part}' has both a minus sign and a hemisphere letter`, part);
+        }
+
+        const magnitude = Math.abs(Number(degrees)) + Number(minutes) / 60 + Number(seconds) / 3600;
+        const value = negative || hemisphere === 'S' || hemisphere === 'W' ? -magnitude : magnitude;
+        return { value, hemisphere, part, format: numbers.length > 1 || /[°º˚'′’‘"″”“]/.test(part) ? 'dms' : 'decimal' };
+    }
+
+    // Signs that the text was meant as coordinates: degree, minute or second
+    // marks, a comma or semicolon, hemisphere letters against a number on
+    // both halves, a decimal number, or three or more numbers. Without them a
+    // failed reading is more likely a postcode or street number ("90210",
+    // "E17", "SW1") than mistyped coordinates.
+    function looksLikeAngles(text) {
+        const hemispheres = text.match(/\d\s*[NSEWnsew]|[NSEWnsew]\s*[-+]?\d/g) || [];
+        const numbers = text.split(/\s+/).filter(token => new RegExp(`^${NUMBER}$`).test(token));
+        return new RegExp(`[,;${DEGREE_MARKS}${MINUTE_MARKS}${SECOND_MARKS}]`).test(text) ||
+            hemispheres.length >= 2 || /\d\.\d/.test(text) || numbers.length >= 3;
+    }
+
+    // null when the text is not two angles and nothing says it was meant to be
+    function parseAngles(text) {
+        let angles;
+        try {
+            angles = splitAngles(text).map(parseAngle);
+        } catch (error) {
+            if (error instanceof CoordinateParseError && !looksLikeAngles(text)) return null;
+            throw error;
+        }
+        const [first, second] = angles;
+        const axis = angle => (angle.hemisphere === null ? null : ('NS'.includes(angle.hemisphere) ? 'lat' : 'lng'));
+        const firstAxis = axis(first);
+        const secondAxis = axis(second);
+
+        if (firstAxis && firstAxis === secondAxis) {
+            const name = firstAxis === 'lat' ? 'latitudes (N/S)' : 'longitudes (E/W)';
+            throw new CoordinateParseError(`'${first.part}' and '${second.part}' are both ${name}`, second.part);
+        }
+        // Letters may put longitude first ("74W 40N"); without them it is lat, lng
+        const swapped = firstAxis === 'lng' || secondAxis === 'lat';
+        const latitude = swapped ? second : first;
+        const longitude = swapped ? first : second;
+
+        if (Math.abs(latitude.value) > 90) {
+            throw new CoordinateParseError(`Latitude ${latitude.value} in '${latitude.part}' is out of range (-90 to 90)`, latitude.part);
+        }
+        if (Math.abs(longitude.value) > 180) {
+            throw new CoordinateParseError(`Longitude ${longitude.value} in '${longitude.part}' is out of range (-180 to 180)`, longitude.part);
+        }
+        const format = first.format === 'dms' || second.format === 'dms' ? 'dms' : 'decimal';
+        return result(latitude.value, longitude.value, format);
+    }
+
+    // { lat, lng, format } for coordinate text, or null if it is not
+    // coordinates. `resolveLocality(name)` returns { lat, lng } for a place
+    // name and is used to complete short plus codes.
+    function parse(text, { resolveLocality = null } = {}) {
+        const input = String(text).trim();
+        if (!input) return null;
+
+        if (/^geo:/i.test(input)) return parseGeoUri(input);
+        if (/^geohash:/i.test(input)) {
+            const hash = input.slice(8).trim();
+            return parseGeohash(hash, hash);
+        }
+        if (isGoogleMapsLink(input)) return parseGoogleMapsLink(input);
+        if (/^https?:\/\//i.test(input)) {
+            throw new CoordinateParseError('Only Google Maps links can be read for coordinates', input);
+        }
+
+        const firstWord = input.split(/[\s,]+/)[0];
+        if (firstWord.includes('+') && /^[0-9A-Za-z]+\+[0-9A-Za-z]*$/.test(firstWord)) {
+            return parsePlusCode(input, resolveLocality);
+        }
+
+        const utm = input.match(UTM_PATTERN);
+        if (utm) return parseUtm(utm);
+        const mgrs = input.match(MGRS_PATTERN);
+        if (mgrs) return parseMgrs(mgrs);
+
+        if (looksLikeGeohash(input)) return parseGeohash(input, input);
+
+        if (/\d/.test(input) && ANGLE_TEXT.test(input)) return parseAngles(input);
+        return null;
+    }
+
+    return {
+        CoordinateParseError,
+        parse
+    };
+});
@@ -0,0 +1,151 @@
+// Links that reopen a dig: the start point, its name, the camera framing,
+// the view options and whether to start digging straight away, written as
+// the URL fragment, e.g.
+//
+//   #at=40.4168,-3.7038&name=Madrid&cam=1.2,1.1,1.4&format=dms&dig=1
+//
+// Parts that cannot be read are reported and skipped, so a link that was
+// mistyped still opens whatever it got right.
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./geo.js'));
+    } else {
+        root.DeepLink = factory(root.Geo);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Geo) {
+    const COORDINATE_DIGITS = 6;
+    const CAMERA_DIGITS = 4;
+    // How near to and far from its target the camera may be, in scene units
+    // where the globe has radius 1. The globe view's controls use the same
+    // range.
+    const CAMERA_DISTANCE = Object.freeze({ min: 1.5, max: 5 });
+
+    // Shortest decimal text for `value` at `digits` places
+    function formatNumber(value, digits) {
+        return String(Number(value.toFixed(digits)));
+    }
+
+    function formatList(values, digits) {
+        return values.map(value => formatNumber(value, digits)).join(',');
+    }
+
+    // Comma-separated numbers, or null unless there are exactly `count`
+    // finite ones (`count` may be a list of allowed lengths)
+    function parseList(text, count) {
+        const allowed = [].concat(count);
+        const values = text.split(',').map(part => (part.trim() === '' ? NaN : Number(part)));
+        if (!allowed.includes(values.length) || !values.every(Number.isFinite)) return null;
+        return values;
+    }
+
+    // {position, target} from the numbers of a cam= part, with the camera
+    // moved along its line of sight into CAMERA_DISTANCE of the target, or
+    // null if it sits inside the globe
+    function readCamera(values) {
+        const target = values.length === 6 ? values.slice(3) : [0, 0, 0];
+        if (Math.hypot(...values.slice(0, 3)) <= 1) return null;
+        const offset = values.slice(0, 3).map((value, i) => value - target[i]);
+        const distance = Math.hypot(...offset);
+        if (distance === 0) return null;
+        const clamped = Math.min(CAMERA_DISTANCE.max, Math.max(CAMERA_DISTANCE.min, distance));
+        const position = offset.map((value, i) => target[i] + value * clamped / distance);
+        return Math.hypot(...position) > 1 ? { position, target } : null;
+    }
+
+    // `state` is {start, name, camera, options: {ellipsoid, digMode, format},
+    // dig}; everything is optional. `camera` is {position, target} as
+    // [x, y, z] arrays; a target at the Earth's centre is left out. Returns
+    // the fragment without its '#', or '' when there is no start point.
+    function encode({ start = null, name = null, camera = null, options = {}, dig = false } = {}) {
+        if (!start) return '';
+
+        const parts = [`at=${formatList([start.lat, start.lng], COORDINATE_DIGITS)}`];
+        if (name) parts.push(`name=${encodeURIComponent(name)}`);
+        if (camera) {
+            const centred = camera.target.every(value => Math.abs(value) < 1e-6);
+            const values = centred ? camera.position : [...camera.position, ...camera.target];
+            parts.push(`cam=${formatList(values, CAMERA_DIGITS)}`);
+        }
+        if (options.ellipsoid !== undefined) parts.push(`ellipsoid=${options.ellipsoid ? 1 : 0}`);
+        if (options.digMode) parts.push(`mode=${encodeURIComponent(options.digMode)}`);
+        if (options.format) parts.push(`format=${encodeURIComponent(options.format)}`);
+        if (dig) parts.push('dig=1');
+        return parts.join('&');
+    }
+
+    // Reads a fragment or query string (with or without its '#' or '?').
+    // Returns {start, name, camera, options, dig, errors}; `options` only has
+    // the keys the link sets, and `errors` names the parts that were skipped.
+    function decode(text) {
+        const link = { start: null, name: null, camera: null, options: {}, dig: false, errors: [] };
+        const body = String(text || '').replace(/^[#?]/, '');
+        if (!body) return link;
+
+        for (const part of body.split('&')) {
+            if (!part) continue;
+            const separator = part.indexOf('=');
+            const key = separator === -1 ? part : part.slice(0, separator);
+            let value;
+            try {
+                value = separator === -1 ? '' : decodeURIComponent(part.slice(separator + 1).replace(/\+/g, ' '));
+            } catch (error) {
+                link.errors.push(key);
+                continue;
+            }
+
+            switch (key) {
+                case 'at': {
+                    const values = parseList(value, 2);
+                    if (values && Geo.isValidCoordinates(values[0], values[1])) {
+                        link.start = { lat: values[0], lng: values[1] };
+                    } else {
+                        link.errors.push(key);
+                    }
+                    break;
+                }
+                case 'name':
+                    link.name = value || null;
+                    break;
+                case 'cam': {
+                    const values = parseList(value, [3, 6]);
+                    const camera = values && readCamera(values);
+                    if (camera) {
+                        link.camera = camera;
+                    } else {
+                        link.errors.push(key);
+                    }
+                    break;
+                }
+                case 'ellipsoid':
+                    if (value === '1' || value === '0') link.options.ellipsoid = value === '1';
+                    else link.errors.push(key);
+                    break;
+                case 'mode':
+                    link.options.digMode = value;
+                    break;
+                case 'format':
+                    link.options.format = value;
+                    break;
+                case 'dig':
+                    link.dig = value === '' || value === '1';
+                    break;
+                default:
+                    link.errors.push(key);
+            }
+        }
+
+        // A name or camera means nothing without the place it belongs to
+        if (!link.start) {
+            link.name = null;
+            link.camera = null;
+            link.dig = false;
+        }
+        return link;
+    }
+
+    return {
+        CAMERA_DISTANCE,
+        encode,
+        decode
+    };
+});
@@ -0,0 +1,162 @@
+// The current dig as a file for GIS tools: the start point, its antipode,
+// the route between them along the surface, and the addresses, distances
+// and export time. GeoJSON suits QGIS and web maps; KML opens in Google
+// Earth.
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./geo.js'), require('./ellipsoid.js'));
+    } else {
+        root.DigExport = factory(root.Geo, root.Ellipsoid);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Geo, Ellipsoid) {
+    // Antipodes are joined by every great circle through them, so there is
+    // no single shortest route. This takes the meridian over the nearer pole
+    // and returns [lng, lat] pairs with the pole written out on both sides,
+    // so flat-map tools do not draw a stray line across the map.
+    function arcCoordinates(start, end, stepDegrees = 2) {
+        const pole = start.lat >= 0 ? 90 : -90;
+        const meridian = (lng, fromLat, toLat) => {
+            const steps = Math.max(1, Math.ceil(Math.abs(toLat - fromLat) / stepDegrees));
+            return Array.from({ length: steps + 1 }, (_, i) =>
+                [lng, i === steps ? toLat : fromLat + (toLat - fromLat) * i / steps]);
+        };
+
+        const coordinates = [...meridian(start.lng, start.lat, pole), ...meridian(end.lng, pole, end.lat)];
+        // A start on the pole repeats it; drop consecutive duplicates
+        return coordinates.filter((point, i) =>
+            i === 0 || point[0] !== coordinates[i - 1][0] || point[1] !== coordinates[i - 1][1]);
+    }
+
+    // Addresses, distances and time for `dig` ({start, end, startAddress,
+    // endAddress}); distances are in km
+    function describeDig({ start, end, startAddress = null, endAddress = null }, { now = Date.now() } = {}) {
+        return {
+            startAddress,
+            endAddress,
+            surfaceKm: Geo.greatCircleDistance(start, end),
+            tunnelKm: Geo.chordLength(start, end),
+            ellipsoidTunnelKm: Ellipsoid.chordLength(start, end),
+            exportedAt: new Date(now).toISOString()
+        };
+    }
+
+    function round(value, digits) {
+        return Number(value.toFixed(digits));
+    }
+
+    function toGeoJson(dig, { now = Date.now(), precision = 6 } = {}) {
+        const { start, end } = dig;
+        const meta = describeDig(dig, { now });
+        const position = point => [round(point.lng, precision), round(point.lat, precision)];
+
+        const feature = (geometry, properties) => ({
+            type: 'Feature',
+            geometry,
+            properties: { ...properties, exported_at: meta.exportedAt }
+        });
+
+        return JSON.stringify({
+            type: 'FeatureCollection',
+            features: [
+                feature({ type: 'Point', coordinates: position(start) }, {
+                    role: 'start',
+                    name: meta.startAddress || 'Start',
+                    address: meta.startAddress
+                }),
+                feature({ type: 'Point', coordinates: position(end) }, {
+                    role: 'antipode',
+                    name: meta.endAddress || 'Antipode',
+                    address: meta.endAddress
+                }),
+                feature({
+                    type: 'LineString',
+                    coordinates: arcCoordinates(start, end).map(([lng, lat]) => position({ lat, lng }))
+                }, {
+                    role: 'surface-route',
+                    name: 'Surface route over the pole',
+                    start_address: meta.startAddress,
+                    antipode_address: meta.endAddress,
+                    surface_km: round(meta.surfaceKm, 3),
+                    tunnel_km: round(meta.tunnelKm, 3),
+                    ellipsoid_tunnel_km: round(meta.ellipsoidTunnelKm, 3)
+                })
+            ]
+        }, null, 2) + '\n';
+    }
+
+    function escapeXml(text) {
+        return String(text).replace(/[<>&'"]/g, char => ({
+            '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;'
+        })[char]);
+    }
+
+    function toKml(dig, { now = Date.now(), precision = 6 } = {}) {
+        const { start, end } = dig;
+        const meta = describeDig(dig, { now });
+        const position = (lng, lat) => `${round(lng, precision)},${round(lat, precision)},0`;
+        const data = fields => Object.entries(fields)
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([name, value]) => `        <Data name="${name}"><value>${escapeXml(value)}</value></Data>`)
+            .join('\n');
+        const placemark = (name, style, fields, geometry) => [
+            '    <Placemark>',
+            `      <name>${escapeXml(name)}</name>`,
+            `      <styleUrl>#${style}</styleUrl>`,
+            '      <ExtendedData>',
+            data({ ...fields, exported_at: meta.exportedAt }),
+            '      </ExtendedData>',
+            geometry,
+            '    </Placemark>'
+        ].join('\n');
+
+        const startName = meta.startAddress || 'Start';
+        const endName = meta.endAddress || 'Antipode';
+        const arc = arcCoordinates(start, end).map(([lng, lat]) => position(lng, lat)).join(' ');
+
+        // KML colours are aabbggrr; these match the markers on the globe
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<kml xmlns="http://www.opengis.net/kml/2.2">',
+            '  <Document>',
+            `    <name>${escapeXml(`Antipodal dig: ${startName} to ${endName}`)}</name>`,
+            `    <description>${escapeXml(`Exported from Antipodal Explorer on ${meta.exportedAt}`)}</description>`,
+            '    <Style id="start"><IconStyle><color>ff0000ff</color></IconStyle></Style>',
+            '    <Style id="antipode"><IconStyle><color>ff00ff00</color></IconStyle></Style>',
+            '    <Style id="route"><LineStyle><color>ff00ccff</color><width>3</width></LineStyle></Style>',
+            placemark(`Start: ${startName}`, 'start', { address: meta.startAddress },
+                `      <Point><coordinates>${position(start.lng, start.lat)}</coordinates></Point>`),
+            placemark(`Antipode: ${endName}`, 'antipode', { address: meta.endAddress },
+                `      <Point><coordinates>${position(end.lng, end.lat)}</coordinates></Point>`),
+            placemark('Surface route over the pole', 'route', {
+                surface_km: meta.surfaceKm.toFixed(3),
+                tunnel_km: meta.tunnelKm.toFixed(3),
+                ellipsoid_tunnel_km: meta.ellipsoidTunnelKm.toFixed(3)
+            }, `      <LineString><tessellate>1</tessellate><coordinates>${arc}</coordinates></LineString>`),
+            '  </Document>',
+            '</kml>',
+            ''
+        ].join('\n');
+    }
+
+    // A file name from the start address, or its coordinates
+    function filename(dig, extension) {
+        const { start, startAddress } = dig;
+        const base = startAddress
+            ? startAddress
+                .normalize('NFD')
+                .replace(/[\u0300-\u036f]/g, '')
+                .toLowerCase()
+                .replace(/[^a-z0-9]+/g, '-')
+                .replace(/^-+|-+$/g, '')
+            : `${start.lat.toFixed(4)}_${start.lng.toFixed(4)}`;
+        return `antipode-${base || 'dig'}.${extension}`;
+    }
+
+    return {
+        arcCoordinates,
+        describeDig,
+        toGeoJson,
+        toKml,
+        filename
+    };
+});
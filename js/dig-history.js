@@ -0,0 +1,108 @@
+// A record of finished digs, newest first, kept in localStorage so the same
+// comparisons do not have to be typed in again. Digging from a start point
+// that is already listed moves that entry to the top and adds the time of
+// the run to it.
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./geo.js'), require('./stored-list.js'));
+    } else {
+        root.DigHistory = factory(root.Geo, root.StoredList);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Geo, StoredList) {
+    const STORAGE_KEY = 'antipodal-explorer.digHistory';
+
+    // Times kept per entry; older runs only add to its count
+    const RUNS_KEPT = 10;
+
+    function isPoint(point) {
+        return Boolean(point) && Geo.isValidCoordinates(point.lat, point.lng);
+    }
+
+    function isEntry(entry) {
+        return Boolean(entry) && typeof entry.id === 'string' &&
+            isPoint(entry.start) && isPoint(entry.end) && Number.isFinite(entry.completedAt) &&
+            Array.isArray(entry.runs) && entry.runs.length > 0 && entry.runs.every(Number.isFinite) &&
+            Number.isInteger(entry.runCount) && entry.runCount >= entry.runs.length;
+    }
+
+    function copy(entry) {
+        return Object.freeze({ ...entry, runs: Object.freeze([...entry.runs]) });
+    }
+
+    // `storage` is anything with getItem/setItem/removeItem; at most `limit`
+    // entries are kept. `now()` returns the time in milliseconds.
+    function createDigHistory({
+        storage = StoredList.defaultStorage(),
+        key = STORAGE_KEY,
+        limit = 100,
+        now = () => Date.now()
+    } = {}) {
+        const stored = StoredList.open(storage, key);
+        let entries = stored.load().filter(isEntry).slice(0, limit);
+        const createId = StoredList.idMaker(id => entries.some(entry => entry.id === id));
+
+        function save() {
+            return stored.save(entries);
+        }
+
+        return {
+            // Newest first. The entries are frozen copies; `runs` lists the
+            // times of the last RUNS_KEPT digs from that start point, oldest
+            // first, `runCount` counts them all and `completedAt` is the
+            // latest.
+            entries() {
+                return entries.map(copy);
+            },
+
+            get(id) {
+                const entry = entries.find(candidate => candidate.id === id);
+                return entry ? copy(entry) : null;
+            },
+
+            // Record a finished dig from `start` to `end` with the addresses
+            // shown for them. Returns the entry.
+            add({ start, end, startAddress = null, endAddress = null }) {
+                if (!isPoint(start) || !isPoint(end)) {
+                    throw new RangeError('A dig needs valid start and end coordinates');
+                }
+
+                const completedAt = now();
+                const previous = entries.find(entry => StoredList.samePlace(entry.start, start));
+                const entry = {
+                    id: previous ? previous.id : createId(completedAt),
+                    start: { lat: Number(start.lat), lng: Number(start.lng) },
+                    end: { lat: Number(end.lat), lng: Number(end.lng) },
+                    startAddress: startAddress || (previous && previous.startAddress) || null,
+                    endAddress: endAddress || (previous && previous.endAddress) || null,
+                    completedAt,
+                    runs: previous ? [...previous.runs, completedAt].slice(-RUNS_KEPT) : [completedAt],
+                    runCount: previous ? previous.runCount + 1 : 1
+                };
+
+                entries = [entry, ...entries.filter(other => other !== previous)].slice(0, limit);
+                save();
+                return copy(entry);
+            },
+
+            // Returns false if there was no such entry
+            remove(id) {
+                const remaining = entries.filter(entry => entry.id !== id);
+                if (remaining.length === entries.length) return false;
+                entries = remaining;
+                save();
+                return true;
+            },
+
+            clear() {
+                entries = [];
+                save();
+            }
+        };
+    }
+
+    return {
+        STORAGE_KEY,
+        RUNS_KEPT,
+        createDigHistory
+    };
+});
@@ -56,6 +56,8 @@ class EarthVisualizer {
         this.rotationSpeed = 0.0005;
         this.tunnelMeshes = [];
         this.animationCallbacks = [];
+        this.verticalDigExit = null;
+        this.verticalDigExaggeration = 10; // The real offset is < 1% of the radius
         
         // Prepare variables for animation
         this.startMarker = null;
@@ -202,13 +204,16 @@ class EarthVisualizer {
             this.controls.enablePan = false;
             this.controls.autoRotate = true;
             this.controls.autoRotateSpeed = 0.5;
-            this.controls.minDistance = 1.5;
-            this.controls.maxDistance = 5;
+            this.controls.minDistance = DeepLink.CAMERA_DISTANCE.min;
+            this.controls.maxDistance = DeepLink.CAMERA_DISTANCE.max;
             
             // Limit vertical rotation to avoid flipping
             this.controls.minPolarAngle = Math.PI * 0.1;  // Limit top view
             this.controls.maxPolarAngle = Math.PI * 0.9;  // Limit bottom view
             
+            // Let the page know when the user has finished moving the camera
+            this.controls.addEventListener('end', () => this.dispatchCameraChanged());
+            
             this.log('Camera controls initialized successfully');
             return true;
         } catch (error) {
@@ -426,8 +431,8 @@ class EarthVisualizer {
         this.controls.autoRotate = true;
         this.controls.autoRotateSpeed = 0.5;
         this.controls.enablePan = false;
-        this.controls.minDistance = 1.5;
-        this.controls.maxDistance = 5;
+        this.controls.minDistance = DeepLink.CAMERA_DISTANCE.min;
+        this.controls.maxDistance = DeepLink.CAMERA_DISTANCE.max;
         
         // Handle window resize
         window.addEventListener('resize', () => {
@@ -947,18 +952,27 @@ class EarthVisualizer {
     
     // Convert latitude and longitude to 3D position on the globe
     latLngTo3d(lat, lng, radius) {
-        const phi = (90 - lat) * (Math.PI / 180);
-        const theta = (lng + 180) * (Math.PI / 180);
-        
-        const x = -radius * Math.sin(phi) * Math.cos(theta);
-        const y = radius * Math.cos(phi);
-        const z = radius * Math.sin(phi) * Math.sin(theta);
-        
+        const { x, y, z } = Geo.latLngToVector(lat, lng, radius);
         return new THREE.Vector3(x, y, z);
     }
     
+    // Marker colours by ID: red start, green antipode, orange vertical-dig
+    // exit, blue nearest land
+    getMarkerColors(markerID) {
+        switch (markerID) {
+            case 'start-marker':
+                return { color: 0xff0000, emissive: 0x880000, css: 'red' };
+            case 'dig-marker':
+                return { color: 0xff9900, emissive: 0x884400, css: 'orange' };
+            case 'land-marker':
+                return { color: 0x33ccff, emissive: 0x116688, css: 'deepskyblue' };
+            default:
+                return { color: 0x00ff00, emissive: 0x008800, css: 'green' };
+        }
+    }
+    
     // Set marker at a specific lat,lng position and focus on it
-    setMarkerPosition(markerID, lat, lng, shouldFocus = true) {
+    setMarkerPosition(markerID, lat, lng, shouldFocus = true, labelText = null) {
         this.log(`Setting marker ${markerID} at position ${lat}, ${lng}`);
         
         // Calculate 3D position from lat/lng
@@ -985,12 +999,13 @@ class EarthVisualizer {
             // Create a new marker group
             const markerGroup = new THREE.Group();
             markerGroup.name = markerID;
+            const colors = this.getMarkerColors(markerID);
             
             // Create pin head (sphere)
             const headGeometry = new THREE.SphereGeometry(0.02, 16, 16);
             const headMaterial = new THREE.MeshPhongMaterial({
-                color: markerID === 'start-marker' ? 0xff0000 : 0x00ff00,
-                emissive: markerID === 'start-marker' ? 0x880000 : 0x008800,
+                color: colors.color,
+                emissive: colors.emissive,
                 emissiveIntensity: 0.5,
                 shininess: 30
             });
@@ -1004,7 +1019,7 @@ class EarthVisualizer {
             const cylinderHeight = 0.1;
             const stemGeometry = new THREE.CylinderGeometry(0.005, 0.005, cylinderHeight, 8);
             const stemMaterial = new THREE.MeshPhongMaterial({
-                color: markerID === 'start-marker' ? 0xff0000 : 0x00ff00
+                color: colors.color
             });
             
             const stem = new THREE.Mesh(stemGeometry, stemMaterial);
@@ -1026,7 +1041,7 @@ class EarthVisualizer {
             // Add a halo effect
             const haloGeometry = new THREE.RingGeometry(0.03, 0.04, 32);
             const haloMaterial = new THREE.MeshBasicMaterial({
-                color: markerID === 'start-marker' ? 0xff0000 : 0x00ff00,
+                color: colors.color,
                 transparent: true,
                 opacity: 0.6,
                 side: THREE.DoubleSide
@@ -1050,8 +1065,8 @@ class EarthVisualizer {
             // Add text label with coordinates
             const labelDiv = document.createElement('div');
             labelDiv.className = 'marker-label';
-            labelDiv.textContent = `${lat.toFixed(2)}, ${lng.toFixed(2)}`;
-            labelDiv.style.color = markerID === 'start-marker' ? 'red' : 'green';
+            labelDiv.textContent = labelText || `${lat.toFixed(2)}, ${lng.toFixed(2)}`;
+            labelDiv.style.color = colors.css;
             labelDiv.style.fontWeight = 'bold';
             
             const label = new CSS2DObject(labelDiv);
@@ -1080,6 +1095,248 @@ class EarthVisualizer {
         }
     }
     
+    // Remove a marker and free its resources
+    removeMarker(markerID) {
+        const markerGroup = this.markerGroups[markerID];
+        if (!markerGroup) return;
+        
+        this.scene.remove(markerGroup);
+        markerGroup.traverse((object) => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) object.material.dispose();
+        });
+        delete this.markerGroups[markerID];
+    }
+    
+    // Show where a dig along the local vertical comes out. The offset from
+    // the antipode is exaggerated on the globe so the two tunnels visibly
+    // diverge; the label keeps the true coordinates.
+    setVerticalDigExit(lat, lng, antipodeLat, antipodeLng) {
+        const antipodePos = this.latLngTo3d(antipodeLat, antipodeLng, this.earthRadius);
+        const exitPos = this.latLngTo3d(lat, lng, this.earthRadius);
+        const shownPos = antipodePos.clone().lerp(exitPos, this.verticalDigExaggeration);
+        const shown = this.pointToLatLng(shownPos);
+        
+        this.verticalDigExit = { lat, lng, shownLat: shown.lat, shownLng: shown.lng };
+        this.setMarkerPosition('dig-marker', shown.lat, shown.lng, false,
+            `${lat.toFixed(2)}, ${lng.toFixed(2)} (straight down)`);
+    }
+    
+    clearVerticalDigExit() {
+        this.verticalDigExit = null;
+        this.removeMarker('dig-marker');
+    }
+    
+    // Mark the nearest land to an oceanic point and join them with a dashed
+    // arc just above the surface
+    setNearestLand(fromLat, fromLng, lat, lng, labelText = null) {
+        this.clearNearestLand();
+        this.setMarkerPosition('land-marker', lat, lng, false, labelText);
+        
+        const arcPoints = Geo.greatCirclePoints({ lat: fromLat, lng: fromLng }, { lat, lng }, 64)
+            .map(point => this.latLngTo3d(point.lat, point.lng, this.earthRadius * 1.005));
+        const arcGeometry = new THREE.BufferGeometry().setFromPoints(arcPoints);
+        const arcMaterial = new THREE.LineDashedMaterial({
+            color: 0x33ccff,
+            dashSize: 0.02,
+            gapSize: 0.01
+        });
+        
+        this.nearestLandArc = new THREE.Line(arcGeometry, arcMaterial);
+        this.nearestLandArc.computeLineDistances(); // Required for dashed lines
+        this.scene.add(this.nearestLandArc);
+    }
+    
+    clearNearestLand() {
+        this.removeMarker('land-marker');
+        if (this.nearestLandArc) {
+            this.scene.remove(this.nearestLandArc);
+            this.nearestLandArc.geometry.dispose();
+            this.nearestLandArc.material.dispose();
+            this.nearestLandArc = null;
+        }
+    }
+    
+    // Plot many start/antipode pairs at once: a dot at each end in the marker
+    // colours and the chord joining them, drawn faintly through the globe
+    setBatchPairs(pairs) {
+        this.clearBatchPairs();
+        if (!pairs.length) return;
+        
+        const radius = this.earthRadius * 1.005;
+        const starts = [];
+        const ends = [];
+        const chords = [];
+        pairs.forEach(({ start, end }) => {
+            const startPos = this.latLngTo3d(start.lat, start.lng, radius);
+            const endPos = this.latLngTo3d(end.lat, end.lng, radius);
+            starts.push(startPos);
+            ends.push(endPos);
+            chords.push(startPos, endPos);
+        });
+        
+        const dots = (points, markerID) => new THREE.Points(
+            new THREE.BufferGeometry().setFromPoints(points),
+            new THREE.PointsMaterial({ color: this.getMarkerColors(markerID).color, size: 0.03 })
+        );
+        const chordLines = new THREE.LineSegments(
+            new THREE.BufferGeometry().setFromPoints(chords),
+            new THREE.LineBasicMaterial({
+                color: 0xffcc00,
+                transparent: true,
+                opacity: 0.35,
+                depthTest: false // Visible through the Earth
+            })
+        );
+        
+        this.batchGroup = new THREE.Group();
+        this.batchGroup.add(dots(starts, 'start-marker'), dots(ends, 'end-marker'), chordLines);
+        this.scene.add(this.batchGroup);
+    }
+    
+    clearBatchPairs() {
+        if (!this.batchGroup) return;
+        this.scene.remove(this.batchGroup);
+        this.batchGroup.traverse((object) => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) object.material.dispose();
+        });
+        this.batchGroup = null;
+    }
+    
+    // A transparent sphere just above the Earth carrying an equirectangular
+    // canvas. `draw(ctx, toCanvas)` paints on it, where toCanvas(lng, lat)
+    // gives canvas coordinates; longitudes past ±180 wrap round. Overlays
+    // with a higher `renderOrder` are drawn on top.
+    createSurfaceOverlay(draw, { radiusScale = 1.002, width = 2048, renderOrder = 0 } = {}) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = width / 2;
+        const ctx = canvas.getContext('2d');
+        const toCanvas = (lng, lat) => [(lng + 180) / 360 * canvas.width, (90 - lat) / 180 * canvas.height];
+        
+        // Draw a turn west and east as well, for shapes past the antimeridian
+        for (const offset of [-canvas.width, 0, canvas.width]) {
+            ctx.save();
+            ctx.translate(offset, 0);
+            draw(ctx, toCanvas);
+            ctx.restore();
+        }
+        
+        const texture = new THREE.CanvasTexture(canvas);
+        const overlay = new THREE.Mesh(
+            new THREE.SphereGeometry(this.earthRadius * radiusScale, 64, 64),
+            new THREE.MeshBasicMaterial({ map: texture, transparent: true, depthWrite: false })
+        );
+        overlay.renderOrder = renderOrder;
+        this.scene.add(overlay);
+        return overlay;
+    }
+    
+    removeSurfaceOverlay(overlay) {
+        if (!overlay) return;
+        this.scene.remove(overlay);
+        overlay.geometry.dispose();
+        if (overlay.material.map) overlay.material.map.dispose();
+        overlay.material.dispose();
+    }
+    
+    // Paint a GeoJSON polygon or line geometry onto a surface overlay:
+    // polygons filled at `fillAlpha` and outlined, lines stroked
+    drawSurfaceGeometry(ctx, toCanvas, geometry, css, { fillAlpha = 0.35, lineWidth = 2 } = {}) {
+        const tracePath = (positions) => {
+            positions.forEach(([lng, lat], i) => {
+                const [x, y] = toCanvas(lng, lat);
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+        };
+        const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+            : geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+        const lines = geometry.type === 'LineString' ? [geometry.coordinates]
+            : geometry.type === 'MultiLineString' ? geometry.coordinates : [];
+        
+        ctx.strokeStyle = css;
+        ctx.fillStyle = css;
+        ctx.lineJoin = 'round';
+        for (const rings of polygons) {
+            ctx.beginPath();
+            rings.forEach(ring => {
+                tracePath(ring);
+                ctx.closePath();
+            });
+            ctx.globalAlpha = fillAlpha;
+            ctx.fill('evenodd');
+            ctx.globalAlpha = 1;
+            ctx.lineWidth = lineWidth;
+            if (lineWidth > 0) ctx.stroke();
+        }
+        for (const line of lines) {
+            ctx.beginPath();
+            tracePath(line);
+            ctx.lineWidth = lineWidth + 1;
+            ctx.stroke();
+        }
+    }
+    
+    // Outline and fill GeoJSON shapes on the surface: the original in the
+    // start-marker colour and its antipodal mirror in the end-marker colour.
+    // `pairs` is [{ geometry, mirrored }].
+    setFootprints(pairs) {
+        this.clearFootprints();
+        if (!pairs.length) return;
+        
+        const startColor = this.getMarkerColors('start-marker').css;
+        const endColor = this.getMarkerColors('end-marker').css;
+        this.footprintOverlay = this.createSurfaceOverlay((ctx, toCanvas) => {
+            pairs.forEach(({ geometry, mirrored }) => {
+                this.drawSurfaceGeometry(ctx, toCanvas, geometry, startColor);
+                this.drawSurfaceGeometry(ctx, toCanvas, mirrored, endColor);
+            });
+        }, { renderOrder: 3 });
+    }
+    
+    clearFootprints() {
+        this.removeSurfaceOverlay(this.footprintOverlay);
+        this.footprintOverlay = null;
+    }
+    
+    // The classic antipode map: every landmass drawn translucently at its
+    // antipodal position, over the Earth texture and under the footprints.
+    // `geometry` is the mirrored land as a GeoJSON MultiPolygon.
+    setAntipodalLand(geometry) {
+        this.clearAntipodalLand();
+        this.antipodalLandOverlay = this.createSurfaceOverlay((ctx, toCanvas) => {
+            this.drawSurfaceGeometry(ctx, toCanvas, geometry, '#ff33cc', { fillAlpha: 0.4, lineWidth: 1 });
+        }, { radiusScale: 1.001, renderOrder: 1 });
+    }
+    
+    clearAntipodalLand() {
+        this.removeSurfaceOverlay(this.antipodalLandOverlay);
+        this.antipodalLandOverlay = null;
+    }
+    
+    // Shade grid cells from yellow (low) to red (high). `cells` is
+    // [{ lat, lng, heat }] with cell centres `step` degrees apart and heat
+    // from 0 to 1.
+    setHeatmap(cells, step) {
+        this.clearHeatmap();
+        this.heatmapOverlay = this.createSurfaceOverlay((ctx, toCanvas) => {
+            for (const { lat, lng, heat } of cells) {
+                const [left, top] = toCanvas(lng - step / 2, lat + step / 2);
+                const [right, bottom] = toCanvas(lng + step / 2, lat - step / 2);
+                ctx.fillStyle = `hsla(${Math.round(50 - 50 * heat)}, 100%, 50%, ${0.35 + 0.45 * heat})`;
+                // Whole pixels, so neighbouring cells leave no seams
+                ctx.fillRect(Math.floor(left), Math.floor(top), Math.ceil(right - left), Math.ceil(bottom - top));
+            }
+        }, { radiusScale: 1.0015, renderOrder: 2 });
+    }
+    
+    clearHeatmap() {
+        this.removeSurfaceOverlay(this.heatmapOverlay);
+        this.heatmapOverlay = null;
+    }
+    
     // Focus camera on a specific location on the globe
     focusOnLocation(position, duration = 1000, callback) {
         // Calculate an optimal camera position to view this location
@@ -1389,6 +1646,18 @@ class EarthVisualizer {
             }
         });
         
+        // Add the local-vertical tunnel next to the one through the centre
+        if (this.verticalDigExit) {
+            const exitPos = this.latLngTo3d(this.verticalDigExit.shownLat, this.verticalDigExit.shownLng, this.earthRadius);
+            const verticalGeometry = new THREE.BufferGeometry().setFromPoints([points[0], exitPos]);
+            const verticalMaterial = new THREE.LineBasicMaterial({
+                color: 0xff9900,
+                transparent: true,
+                opacity: 0.9
+            });
+            pathGroup.add(new THREE.Line(verticalGeometry, verticalMaterial));
+        }
+        
         // Store and add to scene
         this.digLine = pathGroup;
         this.scene.add(pathGroup);
@@ -1937,6 +2206,7 @@ class EarthVisualizer {
                 }
                 
                 this.isCameraAnimating = false;
+                this.dispatchCameraChanged();
                 
                 // Execute callback if provided
                 if (callback && typeof callback === 'function') {
@@ -2023,6 +2293,33 @@ class EarthVisualizer {
         }
     }
     
+    // The current framing as plain numbers, so it can be stored and handed
+    // back to setCameraView() later
+    getCameraView() {
+        if (!this.camera || !this.controls || !this.controls.target) return null;
+        return {
+            position: this.camera.position.toArray(),
+            target: this.controls.target.toArray()
+        };
+    }
+
+    // Move the camera back to a framing returned by getCameraView()
+    setCameraView(view, duration = 1000) {
+        if (!view || !this.camera || !this.controls || !this.controls.target) return false;
+
+        this.controls.autoRotate = false;
+        this.animateCameraToPosition(
+            new THREE.Vector3().fromArray(view.position),
+            new THREE.Vector3().fromArray(view.target),
+            duration
+        );
+        return true;
+    }
+
+    dispatchCameraChanged() {
+        this.container.dispatchEvent(new CustomEvent('camera-changed', { detail: this.getCameraView() }));
+    }
+
     // Add a pulsing effect to the marker for better visibility
     pulseMarker(markerID, scale = 1.0) {
         const markerGroup = this.markerGroups[markerID];
@@ -2132,27 +2429,16 @@ class EarthVisualizer {
             const intersects = raycaster.intersectObject(this.earth, true);
             
             if (intersects.length > 0) {
-                // Get the intersection point and normalize to get direction from center
-                const point = intersects[0].point.clone().normalize();
-                
-                // Convert to latitude and longitude
-                const lat = Math.asin(point.y) * (180 / Math.PI);
-                const lng = Math.atan2(point.z, point.x) * (180 / Math.PI);
+                // Convert the intersection point to latitude and longitude
+                const { lat, lng } = this.pointToLatLng(intersects[0].point);
                 
                 this.log(`Clicked at lat: ${lat.toFixed(2)}, lng: ${lng.toFixed(2)}`);
                 
-                // Set the start marker at the clicked location
-                this.setMarkerPosition('start-marker', lat, lng, true);
-                
                 // Calculate antipodal point
-                const antiLat = -lat;
-                let antiLng = lng + 180;
-                if (antiLng > 180) antiLng -= 360;
-                
-                // Set the end marker at the antipodal point
-                this.setMarkerPosition('end-marker', antiLat, antiLng, false);
+                const { lat: antiLat, lng: antiLng } = Geo.antipode(lat, lng);
                 
-                // Dispatch a custom event with the location data for app.js to use
+                // Tell app.js, which places the markers along with the rest of
+                // the selection
                 const locationEvent = new CustomEvent('location-selected', {
                     detail: {
                         start: { lat, lng },
@@ -2516,17 +2802,7 @@ class EarthVisualizer {
     
     // Convert 3D point to latitude & longitude
     pointToLatLng(point) {
-        // Normalize the point to get a direction from the center
-        const direction = point.clone().normalize();
-        
-        // Calculate latitude (-90 to 90) and longitude (-180 to 180)
-        const lat = 90 - Math.acos(direction.y) * (180 / Math.PI);
-        let lng = Math.atan2(direction.z, direction.x) * (180 / Math.PI);
-        
-        // Adjust longitude to match standard mapping (-180 to 180)
-        if (lng > 180) lng -= 360;
-        
-        return { lat, lng };
+        return Geo.vectorToLatLng(point);
     }
 }
 
@@ -0,0 +1,169 @@
+// WGS84 ellipsoid geometry for the antipode tunnel.
+// Latitudes passed in are geodetic (what GPS and maps use) unless the name
+// says otherwise. Distances are in kilometres.
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./geo.js'));
+    } else {
+        root.Ellipsoid = factory(root.Geo);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Geo) {
+    // WGS84 defining parameters
+    const SEMI_MAJOR_AXIS_KM = 6378.137;
+    const FLATTENING = 1 / 298.257223563;
+    const SEMI_MINOR_AXIS_KM = SEMI_MAJOR_AXIS_KM * (1 - FLATTENING);
+    const ECCENTRICITY_SQUARED = FLATTENING * (2 - FLATTENING);
+
+    // Angle between the equator and the line to the Earth's centre
+    function geocentricLatitude(geodeticLat) {
+        if (Math.abs(geodeticLat) === 90) return geodeticLat;
+        const phi = Geo.toRadians(geodeticLat);
+        return Geo.toDegrees(Math.atan((1 - ECCENTRICITY_SQUARED) * Math.tan(phi)));
+    }
+
+    // Angle between the equator and the local vertical (surface normal)
+    function geodeticLatitude(geocentricLat) {
+        if (Math.abs(geocentricLat) === 90) return geocentricLat;
+        const psi = Geo.toRadians(geocentricLat);
+        return Geo.toDegrees(Math.atan(Math.tan(psi) / (1 - ECCENTRICITY_SQUARED)));
+    }
+
+    // Earth-centred, Earth-fixed coordinates: X through (0°, 0°), Y through
+    // (0°, 90°E), Z through the north pole
+    function toEcef(lat, lng, height = 0) {
+        const phi = Geo.toRadians(lat);
+        const lambda = Geo.toRadians(lng);
+        const sinPhi = Math.sin(phi);
+        const primeVertical = SEMI_MAJOR_AXIS_KM / Math.sqrt(1 - ECCENTRICITY_SQUARED * sinPhi * sinPhi);
+
+        return {
+            x: (primeVertical + height) * Math.cos(phi) * Math.cos(lambda),
+            y: (primeVertical + height) * Math.cos(phi) * Math.sin(lambda),
+            z: (primeVertical * (1 - ECCENTRICITY_SQUARED) + height) * sinPhi
+        };
+    }
+
+    // Inverse of toEcef (Bowring's method, sub-millimetre for surface points)
+    function fromEcef(point) {
+        const { x, y, z } = point;
+        const p = Math.sqrt(x * x + y * y);
+        const lng = Geo.toDegrees(Math.atan2(y, x));
+
+        if (p < 1e-9) {
+            return { lat: z >= 0 ? 90 : -90, lng: 0, height: Math.abs(z) - SEMI_MINOR_AXIS_KM };
+        }
+
+        const secondEccentricitySquared = ECCENTRICITY_SQUARED / (1 - ECCENTRICITY_SQUARED);
+        const theta = Math.atan2(z * SEMI_MAJOR_AXIS_KM, p * SEMI_MINOR_AXIS_KM);
+        const phi = Math.atan2(
+            z + secondEccentricitySquared * SEMI_MINOR_AXIS_KM * Math.sin(theta) ** 3,
+            p - ECCENTRICITY_SQUARED * SEMI_MAJOR_AXIS_KM * Math.cos(theta) ** 3
+        );
+        const sinPhi = Math.sin(phi);
+        const primeVertical = SEMI_MAJOR_AXIS_KM / Math.sqrt(1 - ECCENTRICITY_SQUARED * sinPhi * sinPhi);
+
+        return {
+            lat: Geo.toDegrees(phi),
+            lng: Geo.normalizeLongitude(lng),
+            height: p / Math.cos(phi) - primeVertical
+        };
+    }
+
+    // Distance from the Earth's centre to the surface at a geodetic latitude
+    function geocentricRadius(lat) {
+        const { x, y, z } = toEcef(lat, 0);
+        return Math.sqrt(x * x + y * y + z * z);
+    }
+
+    // Straight-line distance between two surface points on the ellipsoid
+    function chordLength(from, to) {
+        const a = toEcef(from.lat, from.lng);
+        const b = toEcef(to.lat, to.lng);
+        return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2);
+    }
+
+    // Compare the ellipsoidal tunnel with the spherical model used by the globe.
+    // The sphere treats every latitude as geocentric, so it misplaces a point
+    // by the gap between the true surface point and the ellipsoid point whose
+    // geocentric latitude equals the input.
+    function compareWithSphere(from, to) {
+        const ellipsoidChordKm = chordLength(from, to);
+        const sphericalChordKm = Geo.chordLength(from, to);
+
+        const placementError = (point) => {
+            const actual = toEcef(point.lat, point.lng);
+            const assumed = toEcef(geodeticLatitude(point.lat), point.lng);
+            return Math.sqrt(
+                (actual.x - assumed.x) ** 2 + (actual.y - assumed.y) ** 2 + (actual.z - assumed.z) ** 2
+            );
+        };
+
+        return {
+            ellipsoidChordKm,
+            sphericalChordKm,
+            chordDifferenceKm: sphericalChordKm - ellipsoidChordKm,
+            start: {
+                geodeticLat: from.lat,
+                geocentricLat: geocentricLatitude(from.lat),
+                placementErrorKm: placementError(from)
+            },
+            end: {
+                geodeticLat: to.lat,
+                geocentricLat: geocentricLatitude(to.lat),
+                placementErrorKm: placementError(to)
+            }
+        };
+    }
+
+    // Follow the local vertical (the geodetic normal) down from a surface
+    // point until the line leaves the ellipsoid again. Off the equator and
+    // poles the normal misses the centre, so the exit is not the antipode.
+    function digStraightDown(start) {
+        const phi = Geo.toRadians(start.lat);
+        const lambda = Geo.toRadians(start.lng);
+        const origin = toEcef(start.lat, start.lng);
+        const direction = {
+            x: -Math.cos(phi) * Math.cos(lambda),
+            y: -Math.cos(phi) * Math.sin(lambda),
+            z: -Math.sin(phi)
+        };
+
+        // Solve |origin + t·direction| = 1 on the ellipsoid; t = 0 is the start
+        const a2 = SEMI_MAJOR_AXIS_KM * SEMI_MAJOR_AXIS_KM;
+        const b2 = SEMI_MINOR_AXIS_KM * SEMI_MINOR_AXIS_KM;
+        const quadratic = (direction.x ** 2 + direction.y ** 2) / a2 + direction.z ** 2 / b2;
+        const linear = 2 * ((origin.x * direction.x + origin.y * direction.y) / a2 + origin.z * direction.z / b2);
+        const tunnelLengthKm = -linear / quadratic;
+
+        const exitPoint = fromEcef({
+            x: origin.x + tunnelLengthKm * direction.x,
+            y: origin.y + tunnelLengthKm * direction.y,
+            z: origin.z + tunnelLengthKm * direction.z
+        });
+        const exit = { lat: exitPoint.lat, lng: exitPoint.lng };
+        const antipode = Geo.antipode(start.lat, start.lng);
+
+        return {
+            exit,
+            antipode,
+            tunnelLengthKm,
+            offsetKm: chordLength(exit, antipode),
+            bearingFromAntipode: Geo.initialBearing(antipode, exit)
+        };
+    }
+
+    return {
+        SEMI_MAJOR_AXIS_KM,
+        SEMI_MINOR_AXIS_KM,
+        FLATTENING,
+        ECCENTRICITY_SQUARED,
+        geocentricLatitude,
+        geodeticLatitude,
+        toEcef,
+        fromEcef,
+        geocentricRadius,
+        chordLength,
+        compareWithSphere,
+        digStraightDown
+    };
+});
@@ -0,0 +1,225 @@
+// Places the user has saved under a name, with optional notes and tags,
+// kept in localStorage. The collection can be exported as JSON and imported
+// elsewhere, so a team can pass round a curated set of locations.
+//
+// Export format:
+//
+//   { "format": "antipodal-explorer-favourites", "version": 1,
+//     "favourites": [{ "id", "name", "lat", "lng", "notes", "tags",
+//                      "createdAt", "updatedAt" }, ...] }
+//
+// Imports also take a bare array of favourites.
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./geo.js'), require('./stored-list.js'));
+    } else {
+        root.Favourites = factory(root.Geo, root.StoredList);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Geo, StoredList) {
+    const STORAGE_KEY = 'antipodal-explorer.favourites';
+    const FORMAT = 'antipodal-explorer-favourites';
+    const VERSION = 1;
+
+    class FavouritesError extends Error {
+        constructor(message) {
+            super(message);
+            this.name = 'FavouritesError';
+        }
+    }
+
+    // Trimmed, without blanks or case-insensitive repeats. Takes an array or
+    // a comma-separated string.
+    function normalizeTags(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+        const seen = new Set();
+        const result = [];
+        for (const tag of list) {
+            const text = String(tag).trim();
+            if (!text || seen.has(text.toLowerCase())) continue;
+            seen.add(text.toLowerCase());
+            result.push(text);
+        }
+        return result;
+    }
+
+    // Checks and tidies the editable fields; throws FavouritesError
+    function cleanFields({ name, lat, lng, notes = '', tags = [] }) {
+        const text = String(name || '').trim();
+        if (!text) throw new FavouritesError('A favourite needs a name');
+        // Number() would turn null and '' into 0
+        const blank = value => value === null || value === '';
+        if (blank(lat) || blank(lng) || !Geo.isValidCoordinates(Number(lat), Number(lng))) {
+            throw new FavouritesError(`Invalid coordinates ${lat}, ${lng} for '${text}'`);
+        }
+        return {
+            name: text,
+            lat: Number(lat),
+            lng: Number(lng),
+            notes: String(notes || '').trim(),
+            tags: normalizeTags(tags)
+        };
+    }
+
+    function byName(a, b) {
+        return a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }) || a.createdAt - b.createdAt;
+    }
+
+    function copy(favourite) {
+        return Object.freeze({ ...favourite, tags: Object.freeze([...favourite.tags]) });
+    }
+
+    // `storage` is anything with getItem/setItem/removeItem. `now()` returns
+    // the time in milliseconds.
+    function createFavourites({ storage = StoredList.defaultStorage(), key = STORAGE_KEY, now = () => Date.now() } = {}) {
+        const stored = StoredList.open(storage, key);
+        let favourites = stored.load().flatMap(item => {
+            try {
+                return [{ ...item, ...cleanFields(item) }];
+            } catch (error) {
+                return [];
+            }
+        }).filter(item => typeof item.id === 'string');
+        const createId = StoredList.idMaker(id => favourites.some(favourite => favourite.id === id));
+
+        function save() {
+            return stored.save(favourites);
+        }
+
+        function find(id) {
+            return favourites.find(favourite => favourite.id === id) || null;
+        }
+
+        const collection = {
+            // Sorted by name; `tag` keeps only favourites with that tag
+            list({ tag = null } = {}) {
+                const wanted = tag && tag.toLowerCase();
+                return favourites
+                    .filter(favourite => !wanted || favourite.tags.some(other => other.toLowerCase() === wanted))
+                    .sort(byName)
+                    .map(copy);
+            },
+
+            get(id) {
+                const favourite = find(id);
+                return favourite ? copy(favourite) : null;
+            },
+
+            // The first favourite at `lat`, `lng`, or null
+            findAt(lat, lng) {
+                const favourite = favourites.find(candidate => StoredList.samePlace(candidate, { lat, lng }));
+                return favourite ? copy(favourite) : null;
+            },
+
+            // Every tag in use, sorted
+            tags() {
+                return normalizeTags(favourites.flatMap(favourite => favourite.tags))
+                    .sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+            },
+
+            // `fields` is {name, lat, lng, notes, tags}. Returns the favourite.
+            add(fields) {
+                const time = now();
+                const favourite = { id: createId(time), ...cleanFields(fields), createdAt: time, updatedAt: time };
+                favourites.push(favourite);
+                save();
+                return copy(favourite);
+            },
+
+            // Change some of {name, lat, lng, notes, tags}. Returns the
+            // updated favourite, or null if there is no such favourite.
+            update(id, changes) {
+                const favourite = find(id);
+                if (!favourite) return null;
+                const updated = { ...favourite, ...cleanFields({ ...favourite, ...changes }), updatedAt: now() };
+                favourites = favourites.map(other => (other === favourite ? updated : other));
+                save();
+                return copy(updated);
+            },
+
+            remove(id) {
+                const remaining = favourites.filter(favourite => favourite.id !== id);
+                if (remaining.length === favourites.length) return false;
+                favourites = remaining;
+                save();
+                return true;
+            },
+
+            exportJson() {
+                return JSON.stringify({
+                    format: FORMAT,
+                    version: VERSION,
+                    exportedAt: new Date(now()).toISOString(),
+                    favourites: favourites.slice().sort(byName)
+                }, null, 2);
+            },
+
+            // Adds the favourites in `text`. One with the same id, or the same
+            // name at the same place, replaces the saved copy; `replace`
+            // drops everything saved first. Returns {added, updated, skipped},
+            // where `skipped` lists the reasons entries were left out.
+            // Throws FavouritesError when `text` is not a favourites file.
+            importJson(text, { replace = false } = {}) {
+                let data;
+                try {
+                    data = JSON.parse(text);
+                } catch (error) {
+                    throw new FavouritesError(`Not valid JSON: ${error.message}`);
+                }
+                const items = Array.isArray(data) ? data : data && data.favourites;
+                if (!Array.isArray(items) || (!Array.isArray(data) && data.format !== FORMAT)) {
+                    throw new FavouritesError('This file does not contain favourites');
+                }
+                if (!Array.isArray(data) && data.version > VERSION) {
+                    throw new FavouritesError(`Favourites file version ${data.version} is newer than this app understands`);
+                }
+
+                const result = { added: 0, updated: 0, skipped: [] };
+                const next = replace ? [] : favourites.slice();
+                const time = now();
+
+                items.forEach((item, index) => {
+                    let fields;
+                    try {
+                        fields = cleanFields(item || {});
+                    } catch (error) {
+                        result.skipped.push(`Entry ${index + 1}: ${error.message}`);
+                        return;
+                    }
+
+                    const existing = next.findIndex(other =>
+                        (item.id && other.id === item.id) ||
+                        (other.name === fields.name && StoredList.samePlace(other, fields)));
+                    if (existing !== -1) {
+                        next[existing] = { ...next[existing], ...fields, updatedAt: time };
+                        result.updated++;
+                    } else {
+                        const id = typeof item.id === 'string' && item.id && !next.some(other => other.id === item.id)
+                            ? item.id
+                            : createId(time);
+                        next.push({
+                            id,
+                            ...fields,
+                            createdAt: Number.isFinite(item.createdAt) ? item.createdAt : time,
+                            updatedAt: time
+                        });
+                        result.added++;
+                    }
+                });
+
+                favourites = next;
+                save();
+                return result;
+            }
+        };
+        return collection;
+    }
+
+    return {
+        STORAGE_KEY,
+        FORMAT,
+        VERSION,
+        FavouritesError,
+        normalizeTags,
+        createFavourites
+    };
+});
@@ -0,0 +1,329 @@
+// What lies opposite a whole shape rather than a point. Reads polygons and
+// lines from GeoJSON, mirrors them to the other side of the world, measures
+// them and finds the land under the mirrored footprint.
+//
+// Edges are straight in longitude/latitude, as GeoJSON defines them. Rings
+// are unwrapped so longitudes run on continuously across the antimeridian
+// (past 180, like the bundled data). A ring round a pole has to pass
+// through it, as Natural Earth's Antarctica does; readShapes() rejects one
+// that does not.
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(
+            require('./geo.js'),
+            require('./polygon-index.js'),
+            require('./land-mask.js'),
+            require('./offline-geocoder.js')
+        );
+    } else {
+        root.Footprint = factory(root.Geo, root.PolygonIndex, root.LandMask, root.OfflineGeocoder);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Geo, PolygonIndex, LandMask, OfflineGeocoder) {
+    const POLYGON_TYPES = ['Polygon', 'MultiPolygon'];
+    const LINE_TYPES = ['LineString', 'MultiLineString'];
+
+    // Shift `positions` so each longitude is within 180° of the one before.
+    // An edge along a pole is left as it is: it is how a ring that passes
+    // through the pole sweeps round it.
+    function unwrap(positions) {
+        let previous = null;
+        return positions.map(([lng, lat]) => {
+            let x = lng;
+            if (previous !== null && !(Math.abs(lat) === 90 && Math.abs(previous.lat) === 90)) {
+                x -= Math.round((x - previous.lng) / 360) * 360;
+            }
+            previous = { lng: x, lat };
+            return [x, lat];
+        });
+    }
+
+    // Whether an unwrapped ring goes once round a pole without touching it:
+    // its ends, the same point, are then a whole turn apart
+    function circlesPole(ring) {
+        return Math.abs(ring[ring.length - 1][0] - ring[0][0]) > 180;
+    }
+
+    // Move a whole part by turns of 360° so its longitudes start at or
+    // after -180
+    function shiftEast(rings) {
+        const min = Math.min(...rings[0].map(([lng]) => lng));
+        const turns = Math.ceil((-180 - min) / 360);
+        return turns > 0 ? rings.map(ring => ring.map(([lng, lat]) => [lng + turns * 360, lat])) : rings;
+    }
+
+    function normalizePolygon(rings) {
+        const [outer, ...holes] = rings.map(unwrap);
+        // Holes sit within 180° of their outer ring
+        const aligned = holes.map(hole => {
+            const turns = Math.round((hole[0][0] - outer[0][0]) / 360);
+            return hole.map(([lng, lat]) => [lng - turns * 360, lat]);
+        });
+        return shiftEast([outer, ...aligned]);
+    }
+
+    // Polygon parts as lists of rings and line parts as lists of positions
+    function partsOf(geometry) {
+        switch (geometry.type) {
+            case 'Polygon': return [geometry.coordinates];
+            case 'MultiPolygon': return geometry.coordinates;
+            case 'LineString': return [geometry.coordinates];
+            case 'MultiLineString': return geometry.coordinates;
+            default: return [];
+        }
+    }
+
+    // The inverse of partsOf()
+    function withParts(type, parts) {
+        const single = type === 'Polygon' || type === 'LineString';
+        return { type, coordinates: single ? parts[0] : parts };
+    }
+
+    // The same geometry with every part unwrapped and 2D positions only
+    function normalizeGeometry(geometry) {
+        const flat = positions => positions.map(([lng, lat]) => [Number(lng), Number(lat)]);
+        const polygon = POLYGON_TYPES.includes(geometry.type);
+        return withParts(geometry.type, partsOf(geometry).map(part => (polygon
+            ? normalizePolygon(part.map(flat))
+            : shiftEast([unwrap(flat(part))])[0])));
+    }
+
+    function validPositions(positions, minimum) {
+        return Array.isArray(positions) && positions.length >= minimum && positions.every(position =>
+            Array.isArray(position) && Geo.isValidCoordinates(Number(position[1]), Geo.normalizeLongitude(Number(position[0]))));
+    }
+
+    function validGeometry(geometry) {
+        const parts = partsOf(geometry);
+        if (!Array.isArray(parts) || !parts.length) return false;
+        return POLYGON_TYPES.includes(geometry.type)
+            ? parts.every(rings => Array.isArray(rings) && rings.length && rings.every(ring => validPositions(ring, 4)))
+            : parts.every(line => validPositions(line, 2));
+    }
+
+    // Shapes as { name, geometry } from GeoJSON text: every Polygon,
+    // MultiPolygon, LineString and MultiLineString in a FeatureCollection,
+    // Feature, GeometryCollection or bare geometry. Points are skipped.
+    // Throws when there is nothing to use.
+    function readShapes(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Input is not valid GeoJSON: ${error.message}`);
+        }
+        if (!data || typeof data !== 'object') throw new Error('Input is not valid GeoJSON');
+
+        const features = data.type === 'FeatureCollection' ? data.features || []
+            : data.type === 'Feature' ? [data]
+                : [{ type: 'Feature', geometry: data, properties: {} }];
+        if (!Array.isArray(features)) throw new Error('Input is not valid GeoJSON: features is not a list');
+
+        const shapes = [];
+        let invalid = 0;
+        const add = (geometry, name) => {
+            if (!geometry || ![...POLYGON_TYPES, ...LINE_TYPES].includes(geometry.type)) return;
+            if (!validGeometry(geometry)) {
+                invalid++;
+                return;
+            }
+            const normalized = normalizeGeometry(geometry);
+            if (POLYGON_TYPES.includes(normalized.type) && partsOf(normalized).some(rings => rings.some(circlesPole))) {
+                throw new Error(`${name} circles a pole without passing through it; ` +
+                    'its outline needs to run along the pole to be read');
+            }
+            shapes.push({ name, geometry: normalized });
+        };
+
+        features.forEach((feature, index) => {
+            const properties = (feature && feature.properties) || {};
+            const name = properties.name || properties.NAME || properties.ADMIN || properties.title ||
+                `Shape ${index + 1}`;
+            const geometry = feature && feature.geometry;
+            if (geometry && geometry.type === 'GeometryCollection') {
+                (geometry.geometries || []).forEach(part => add(part, name));
+            } else {
+                add(geometry, name);
+            }
+        });
+
+        if (!shapes.length) {
+            throw new Error(invalid
+                ? 'The polygons or lines in this file have invalid coordinates'
+                : 'No polygons or lines found; points can go through batch mode instead');
+        }
+        return shapes;
+    }
+
+    // The geometry moved to its antipode. Rings are reversed because the
+    // mirror turns clockwise into anticlockwise.
+    function antipodalGeometry(geometry) {
+        // One shift per part keeps a polygon's holes in place
+        const mirror = (positions, shift) => positions.map(([lng, lat]) => [lng + shift, lat === 0 ? 0 : -lat]);
+        const shiftFor = ([lng]) => (lng > 0 ? -180 : 180);
+        const polygon = POLYGON_TYPES.includes(geometry.type);
+        return withParts(geometry.type, partsOf(geometry).map(part => (polygon
+            ? shiftEast(part.map(ring => mirror(ring, shiftFor(part[0][0])).reverse()))
+            : shiftEast([mirror(part, shiftFor(part[0]))])[0])));
+    }
+
+    // Every landmass at its antipodal position, as a MultiPolygon; the layer
+    // behind the classic antipode map
+    let antipodalLandCache = null;
+    function antipodalLand() {
+        if (!antipodalLandCache) {
+            antipodalLandCache = antipodalGeometry(normalizeGeometry(LandMask.landOutlines()));
+        }
+        return antipodalLandCache;
+    }
+
+    // Area of one ring in km², after Chamberlain and Duquette, "Some
+    // algorithms for polygons on a sphere" (2007)
+    function ringArea(ring) {
+        let sum = 0;
+        for (let i = 0; i < ring.length - 1; i++) {
+            const [lng1, lat1] = ring[i];
+            const [lng2, lat2] = ring[i + 1];
+            sum += Geo.toRadians(lng2 - lng1) *
+                (2 + Math.sin(Geo.toRadians(lat1)) + Math.sin(Geo.toRadians(lat2)));
+        }
+        return Math.abs(sum) * Geo.EARTH_RADIUS_KM ** 2 / 2;
+    }
+
+    // Surface area in km²; 0 for lines. A mirrored shape has the same area.
+    function area(geometry) {
+        if (!POLYGON_TYPES.includes(geometry.type)) return 0;
+        return partsOf(geometry).reduce((total, [outer, ...holes]) =>
+            total + Math.max(0, ringArea(outer) - holes.reduce((sum, hole) => sum + ringArea(hole), 0)), 0);
+    }
+
+    function pathLength(positions) {
+        let total = 0;
+        for (let i = 1; i < positions.length; i++) {
+            total += Geo.greatCircleDistance(
+                { lat: positions[i - 1][1], lng: positions[i - 1][0] },
+                { lat: positions[i][1], lng: positions[i][0] });
+        }
+        return total;
+    }
+
+    // Length of lines, or the perimeter of polygons, in km
+    function length(geometry) {
+        const paths = POLYGON_TYPES.includes(geometry.type) ? partsOf(geometry).flat() : partsOf(geometry);
+        return paths.reduce((total, path) => total + pathLength(path), 0);
+    }
+
+    // Points spread over the geometry as { lat, lng, weight }, weighted by
+    // the area or length each stands for
+    function samplePoints(geometry, maxSamples) {
+        const samples = [];
+
+        if (POLYGON_TYPES.includes(geometry.type)) {
+            const polygons = partsOf(geometry);
+            const boxes = polygons.map(rings => {
+                const lngs = rings[0].map(([lng]) => lng);
+                const lats = rings[0].map(([, lat]) => lat);
+                return { minLng: Math.min(...lngs), maxLng: Math.max(...lngs), minLat: Math.min(...lats), maxLat: Math.max(...lats) };
+            });
+            const boxArea = boxes.reduce((sum, box) => sum + (box.maxLng - box.minLng) * (box.maxLat - box.minLat), 0);
+            const step = Math.max(0.01, Math.sqrt(boxArea / maxSamples));
+
+            polygons.forEach((rings, index) => {
+                const box = boxes[index];
+                for (let lat = box.minLat + step / 2; lat < box.maxLat; lat += step) {
+                    for (let lng = box.minLng + step / 2; lng < box.maxLng; lng += step) {
+                        if (PolygonIndex.pointInPolygon(lng, lat, rings)) {
+                            samples.push({ lat, lng, weight: Math.cos(Geo.toRadians(lat)) });
+                        }
+                    }
+                }
+            });
+            // Shapes smaller than one step fall back to their corners
+            if (!samples.length) {
+                polygons.forEach(rings => rings[0].slice(1).forEach(([lng, lat]) => samples.push({ lat, lng, weight: 1 })));
+            }
+        } else {
+            const lines = partsOf(geometry);
+            const stepKm = Math.max(0.5, lines.reduce((sum, line) => sum + pathLength(line), 0) / maxSamples);
+            lines.forEach(line => {
+                for (let i = 1; i < line.length; i++) {
+                    const [lng1, lat1] = line[i - 1];
+                    const [lng2, lat2] = line[i];
+                    const segmentKm = pathLength([line[i - 1], line[i]]);
+                    const count = Math.max(1, Math.ceil(segmentKm / stepKm));
+                    for (let j = 0; j < count; j++) {
+                        const t = (j + 0.5) / count;
+                        samples.push({ lat: lat1 + (lat2 - lat1) * t, lng: lng1 + (lng2 - lng1) * t, weight: segmentKm / count });
+                    }
+                }
+            });
+        }
+
+        return samples.map(sample => ({ ...sample, lng: Geo.normalizeLongitude(sample.lng) }));
+    }
+
+    // The land under a geometry, estimated from about `maxSamples` points:
+    // { landShare, countries: [{ country, countryCode, share }] } with
+    // shares as fractions of the whole shape, largest first
+    function landUnder(geometry, { maxSamples = 4000 } = {}) {
+        const samples = samplePoints(geometry, maxSamples);
+        const total = samples.reduce((sum, sample) => sum + sample.weight, 0);
+        const byCountry = new Map();
+        let land = 0;
+
+        for (const { lat, lng, weight } of samples) {
+            if (!LandMask.isLand(lat, lng)) continue;
+            land += weight;
+            const place = OfflineGeocoder.country(lat, lng);
+            if (!place) continue;
+            const entry = byCountry.get(place.country) || { country: place.country, countryCode: place.countryCode, share: 0 };
+            entry.share += weight;
+            byCountry.set(place.country, entry);
+        }
+
+        return {
+            landShare: total ? land / total : 0,
+            countries: [...byCountry.values()]
+                .map(entry => ({ ...entry, share: entry.share / total }))
+                .sort((a, b) => b.share - a.share || a.country.localeCompare(b.country))
+        };
+    }
+
+    // Middle of the bounding box, for pointing the camera
+    function center(geometry) {
+        const positions = partsOf(geometry).flat(POLYGON_TYPES.includes(geometry.type) ? 2 : 1);
+        const lngs = positions.map(([lng]) => lng);
+        const lats = positions.map(([, lat]) => lat);
+        return {
+            lat: (Math.min(...lats) + Math.max(...lats)) / 2,
+            lng: Geo.normalizeLongitude((Math.min(...lngs) + Math.max(...lngs)) / 2)
+        };
+    }
+
+    // Everything the footprint panel shows for one shape
+    function describe(shape, options) {
+        const mirrored = antipodalGeometry(shape.geometry);
+        const polygon = POLYGON_TYPES.includes(shape.geometry.type);
+        return {
+            name: shape.name,
+            kind: polygon ? 'polygon' : 'line',
+            geometry: shape.geometry,
+            mirrored,
+            center: center(shape.geometry),
+            mirroredCenter: center(mirrored),
+            areaKm2: area(shape.geometry),
+            lengthKm: length(shape.geometry),
+            opposite: landUnder(mirrored, options)
+        };
+    }
+
+    return {
+        readShapes,
+        normalizeGeometry,
+        antipodalGeometry,
+        antipodalLand,
+        area,
+        length,
+        landUnder,
+        describe
+    };
+});
@@ -0,0 +1,168 @@
+// Offline place-name search over the bundled gazetteer
+// (data/gazetteer-15000.js). Matches are case- and accent-insensitive and
+// forgive small typos; "Paris, Texas" style qualifiers narrow the results by
+// region or country.
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('../data/gazetteer-15000.js'));
+    } else {
+        root.Gazetteer = factory(root.GAZETTEER);
+    }
+})(typeof self !== 'undefined' ? self : this, function (data) {
+    // Informal country names people type as qualifiers
+    const COUNTRY_ALIASES = {
+        usa: 'US', america: 'US', 'united states of america': 'US',
+        uk: 'GB', britain: 'GB', 'great britain': 'GB', england: 'GB', scotland: 'GB', wales: 'GB',
+        uae: 'AE', holland: 'NL', russia: 'RU', 'south korea': 'KR', 'north korea': 'KP'
+    };
+
+    // How good a name match is, best first
+    const MATCH_QUALITY = {
+        exact: 10,
+        prefix: 8,
+        wordPrefix: 6,
+        fuzzy: 5
+    };
+
+    // Lowercase, strip accents and collapse punctuation to single spaces
+    function normalize(text) {
+        return String(text)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    }
+
+    // Levenshtein distance, giving up once it exceeds `limit`
+    function editDistance(a, b, limit) {
+        if (Math.abs(a.length - b.length) > limit) return limit + 1;
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                if (current[j] < rowMin) rowMin = current[j];
+            }
+            if (rowMin > limit) return limit + 1;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    // Typos tolerated for a query of this length
+    function allowedEdits(length) {
+        if (length >= 8) return 2;
+        if (length >= 4) return 1;
+        return 0;
+    }
+
+    // Normalized search keys, built on first use
+    let entries = null;
+
+    function getEntries() {
+        if (entries) return entries;
+
+        const countryKeys = {};
+        for (const [code, name] of Object.entries(data.countries)) {
+            countryKeys[code] = normalize(name);
+        }
+        const regionKeys = data.regions.map(normalize);
+
+        entries = data.places.map(([name, countryCode, regionIndex, population, lat, lng, alternates = []]) => ({
+            name,
+            alternates,
+            keys: [name, ...alternates].map(normalize),
+            countryCode,
+            countryKey: countryKeys[countryCode] || '',
+            regionKey: regionIndex === null ? '' : regionKeys[regionIndex],
+            regionIndex,
+            population,
+            lat,
+            lng
+        }));
+        return entries;
+    }
+
+    // Best match quality of `query` against one of the keys, or 0
+    function matchQuality(query, keys, edits) {
+        let best = 0;
+        for (const key of keys) {
+            let quality = 0;
+            if (key === query) {
+                quality = MATCH_QUALITY.exact;
+            } else if (key.startsWith(query)) {
+                quality = MATCH_QUALITY.prefix;
+            } else if (key.includes(' ' + query)) {
+                quality = MATCH_QUALITY.wordPrefix;
+            } else if (edits > 0) {
+                const distance = editDistance(query, key, edits);
+                if (distance <= edits) quality = MATCH_QUALITY.fuzzy - distance;
+            }
+            if (quality > best) best = quality;
+        }
+        return best;
+    }
+
+    // Does a qualifier such as "texas", "fr" or "uk" describe this place?
+    function matchesQualifier(entry, qualifier) {
+        if (COUNTRY_ALIASES[qualifier] === entry.countryCode) return true;
+        if (qualifier.length === 2 && qualifier === entry.countryCode.toLowerCase()) return true;
+        return [entry.countryKey, entry.regionKey].some(key =>
+            key && (key === qualifier || (qualifier.length >= 3 && key.startsWith(qualifier))));
+    }
+
+    function toResult(entry, score) {
+        return {
+            name: entry.name,
+            alternateNames: entry.alternates,
+            country: data.countries[entry.countryCode] || entry.countryCode,
+            countryCode: entry.countryCode,
+            region: entry.regionIndex === null ? null : data.regions[entry.regionIndex],
+            population: entry.population,
+            lat: entry.lat,
+            lng: entry.lng,
+            score
+        };
+    }
+
+    // Places matching free text, best first. Bigger places win between
+    // equally good name matches.
+    function search(query, { limit = 10 } = {}) {
+        const [namePart, ...qualifierParts] = String(query).split(',');
+        const name = normalize(namePart);
+        const qualifiers = qualifierParts.map(normalize).filter(Boolean);
+        if (!name) return [];
+
+        const edits = allowedEdits(name.length);
+        const matches = [];
+        for (const entry of getEntries()) {
+            const quality = matchQuality(name, entry.keys, edits);
+            if (!quality) continue;
+            if (!qualifiers.every(qualifier => matchesQualifier(entry, qualifier))) continue;
+            matches.push({ entry, score: quality + Math.log10(entry.population) });
+        }
+
+        return matches
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(({ entry, score }) => toResult(entry, score));
+    }
+
+    // Display label such as "Paris, Texas, United States"
+    function describe(place) {
+        const parts = [place.name];
+        if (place.region && normalize(place.region) !== normalize(place.name)) parts.push(place.region);
+        parts.push(place.country);
+        return parts.join(', ');
+    }
+
+    return {
+        normalize,
+        editDistance,
+        search,
+        describe
+    };
+});
@@ -0,0 +1,165 @@
+// Geodesy helpers shared by the browser app and Node tools.
+// Everything here is plain math: no THREE.js, no DOM.
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Geo = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Mean Earth radius in kilometres (IUGG)
+    const EARTH_RADIUS_KM = 6371.0088;
+
+    const DEG_TO_RAD = Math.PI / 180;
+    const RAD_TO_DEG = 180 / Math.PI;
+
+    function toRadians(degrees) {
+        return degrees * DEG_TO_RAD;
+    }
+
+    function toDegrees(radians) {
+        return radians * RAD_TO_DEG;
+    }
+
+    // Wrap a longitude into the (-180, 180] range
+    function normalizeLongitude(lng) {
+        const wrapped = ((lng % 360) + 360) % 360;
+        return wrapped > 180 ? wrapped - 360 : wrapped;
+    }
+
+    // Check if coordinates are valid numbers within range
+    function isValidCoordinates(lat, lng) {
+        return typeof lat === 'number' && typeof lng === 'number' &&
+            Number.isFinite(lat) && Number.isFinite(lng) &&
+            lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+    }
+
+    // Calculate antipodal point (opposite side of the Earth)
+    function antipode(lat, lng) {
+        return {
+            lat: lat === 0 ? 0 : -lat,
+            lng: normalizeLongitude(lng + 180)
+        };
+    }
+
+    // Central angle between two points in radians (haversine formula)
+    function centralAngle(from, to) {
+        const lat1 = toRadians(from.lat);
+        const lat2 = toRadians(to.lat);
+        const dLat = lat2 - lat1;
+        const dLng = toRadians(to.lng - from.lng);
+
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLng / 2) ** 2;
+
+        return 2 * Math.atan2(Math.sqrt(a), Math.sqrt(Math.max(0, 1 - a)));
+    }
+
+    // Great-circle (surface) distance between two points
+    function greatCircleDistance(from, to, radius = EARTH_RADIUS_KM) {
+        return centralAngle(from, to) * radius;
+    }
+
+    // Straight-line distance through the Earth between two surface points
+    function chordLength(from, to, radius = EARTH_RADIUS_KM) {
+        return 2 * radius * Math.sin(centralAngle(from, to) / 2);
+    }
+
+    // Initial bearing in degrees clockwise from north, in [0, 360)
+    function initialBearing(from, to) {
+        const lat1 = toRadians(from.lat);
+        const lat2 = toRadians(to.lat);
+        const dLng = toRadians(to.lng - from.lng);
+
+        const y = Math.sin(dLng) * Math.cos(lat2);
+        const x = Math.cos(lat1) * Math.sin(lat2) -
+            Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+
+        return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+    }
+
+    // Evenly spaced points along the great circle from one point to another,
+    // both ends included
+    function greatCirclePoints(from, to, segments = 32) {
+        const angle = centralAngle(from, to);
+        const a = latLngToVector(from.lat, from.lng);
+        const b = latLngToVector(to.lat, to.lng);
+        const points = [];
+
+        for (let i = 0; i <= segments; i++) {
+            const t = i / segments;
+            if (angle < 1e-12) {
+                points.push({ lat: from.lat, lng: from.lng });
+                continue;
+            }
+            // Spherical linear interpolation; antipodal ends have no unique
+            // great circle, so fall back to the meridian through `from`
+            const sinAngle = Math.sin(angle);
+            if (sinAngle < 1e-12) {
+                points.push({ lat: from.lat + (to.lat - from.lat) * t, lng: from.lng });
+                continue;
+            }
+            const wa = Math.sin((1 - t) * angle) / sinAngle;
+            const wb = Math.sin(t * angle) / sinAngle;
+            points.push(vectorToLatLng({
+                x: wa * a.x + wb * b.x,
+                y: wa * a.y + wb * b.y,
+                z: wa * a.z + wb * b.z
+            }));
+        }
+
+        return points;
+    }
+
+    // Name of the 16-wind compass point nearest to a bearing
+    function compassPoint(bearing) {
+        const points = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
+            'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+        const normalized = ((bearing % 360) + 360) % 360;
+        return points[Math.round(normalized / 22.5) % 16];
+    }
+
+    // Convert latitude and longitude to a position on a sphere.
+    // Y points to the north pole and the prime meridian faces +X, matching
+    // the equirectangular texture mapping of THREE.SphereGeometry.
+    function latLngToVector(lat, lng, radius = 1) {
+        const phi = toRadians(90 - lat);
+        const theta = toRadians(lng + 180);
+
+        return {
+            x: -radius * Math.sin(phi) * Math.cos(theta),
+            y: radius * Math.cos(phi),
+            z: radius * Math.sin(phi) * Math.sin(theta)
+        };
+    }
+
+    // Convert a position (any length) back to latitude and longitude
+    function vectorToLatLng(vector) {
+        const length = Math.sqrt(vector.x ** 2 + vector.y ** 2 + vector.z ** 2);
+        if (length === 0) {
+            throw new Error('Cannot convert the zero vector to latitude/longitude');
+        }
+
+        const lat = toDegrees(Math.asin(Math.max(-1, Math.min(1, vector.y / length))));
+        const lng = normalizeLongitude(toDegrees(Math.atan2(-vector.z, vector.x)));
+
+        return { lat, lng };
+    }
+
+    return {
+        EARTH_RADIUS_KM,
+        toRadians,
+        toDegrees,
+        normalizeLongitude,
+        isValidCoordinates,
+        antipode,
+        centralAngle,
+        greatCircleDistance,
+        chordLength,
+        initialBearing,
+        compassPoint,
+        greatCirclePoints,
+        latLngToVector,
+        vectorToLatLng
+    };
+});
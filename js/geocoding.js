@@ -0,0 +1,467 @@
+// Online forward and reverse geocoding behind one interface, with
+// interchangeable providers: Nominatim, Photon, any self-hosted server
+// reached through URL templates, and an in-memory mock for tests.
+//
+// A Geocoder sends each provider's requests one at a time through its own
+// queue, no faster than the provider's `minInterval`. Every call takes an
+// AbortSignal so a newer selection can cancel lookups that are still waiting
+// or in flight. Answers are cached (IndexedDB in the browser) under rounded
+// coordinates or the normalised query text.
+//
+// Providers are plain objects:
+//   { id, name, minInterval, search(query, { limit, signal }), reverse(lat, lng, { signal }) }
+// search() resolves to [{ lat, lng, name }]; reverse() resolves to
+// { name, city, region, country, countryCode } or null.
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Geocoding = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    class GeocodingError extends Error {
+        // `status` is the HTTP status when the server answered with an error
+        constructor(message, status = null) {
+            super(message);
+            this.name = 'GeocodingError';
+            this.status = status;
+        }
+    }
+
+    function abortError() {
+        return new DOMException('The geocoding request was cancelled', 'AbortError');
+    }
+
+    function isAbortError(error) {
+        return Boolean(error) && error.name === 'AbortError';
+    }
+
+    function throwIfAborted(signal) {
+        if (signal && signal.aborted) throw abortError();
+    }
+
+    // Settle with `promise`, or reject as soon as `signal` aborts
+    function abortable(promise, signal) {
+        if (!signal) return promise;
+        if (signal.aborted) return Promise.reject(abortError());
+        return new Promise((resolve, reject) => {
+            const onAbort = () => reject(abortError());
+            signal.addEventListener('abort', onAbort, { once: true });
+            promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+        });
+    }
+
+    function delay(ms, signal) {
+        return abortable(new Promise(resolve => setTimeout(resolve, ms)), signal);
+    }
+
+    // Runs tasks one after another, starting each at least `minInterval` ms
+    // after the previous one started. A task whose signal aborts while it
+    // waits is dropped without using up a slot.
+    class RequestQueue {
+        constructor(minInterval = 0) {
+            this.minInterval = minInterval;
+            this.tail = Promise.resolve();
+            this.lastStart = -Infinity;
+        }
+
+        run(task, signal = null) {
+            const result = this.tail.then(async () => {
+                throwIfAborted(signal);
+                const wait = this.lastStart + this.minInterval - Date.now();
+                if (wait > 0) await delay(wait, signal);
+                this.lastStart = Date.now();
+                return task();
+            });
+            this.tail = result.catch(() => {});
+            return abortable(result, signal);
+        }
+    }
+
+    // Cache backends share an async get/set interface. Values are stored
+    // with the time they were fetched.
+    class MemoryCache {
+        // Past `maxEntries` the entry stored longest ago is dropped
+        constructor(maxEntries = Infinity) {
+            this.entries = new Map();
+            this.maxEntries = maxEntries;
+        }
+
+        async get(key) {
+            return this.entries.get(key);
+        }
+
+        async set(key, entry) {
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+            if (this.entries.size > this.maxEntries) {
+                this.entries.delete(this.entries.keys().next().value);
+            }
+        }
+
+        async clear() {
+            this.entries.clear();
+        }
+    }
+
+    class IndexedDbCache {
+        constructor(databaseName = 'antipodal-explorer-geocoding', indexedDB = globalThis.indexedDB) {
+            this.databaseName = databaseName;
+            this.indexedDB = indexedDB;
+            this.database = null;
+        }
+
+        open() {
+            if (!this.database) {
+                this.database = new Promise((resolve, reject) => {
+                    const request = this.indexedDB.open(this.databaseName, 1);
+                    request.onupgradeneeded = () => request.result.createObjectStore(IndexedDbCache.STORE);
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                });
+            }
+            return this.database;
+        }
+
+        async transact(mode, action) {
+            const database = await this.open();
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(IndexedDbCache.STORE, mode);
+                const request = action(transaction.objectStore(IndexedDbCache.STORE));
+                transaction.oncomplete = () => resolve(request.result);
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+        }
+
+        get(key) {
+            return this.transact('readonly', store => store.get(key));
+        }
+
+        set(key, entry) {
+            return this.transact('readwrite', store => store.put(entry, key));
+        }
+
+        clear() {
+            return this.transact('readwrite', store => store.clear());
+        }
+    }
+
+    IndexedDbCache.STORE = 'responses';
+
+    // Persistent where the environment has IndexedDB, in memory otherwise
+    function createCache() {
+        return typeof indexedDB !== 'undefined' ? new IndexedDbCache() : new MemoryCache();
+    }
+
+    function defaultFetch(url, init) {
+        return fetch(url, init);
+    }
+
+    async function fetchJson(fetchImpl, url, signal) {
+        const response = await fetchImpl(url, { signal, headers: { Accept: 'application/json', 'Accept-Language': 'en' } });
+        if (!response.ok) {
+            throw new GeocodingError(`Geocoding server answered ${response.status}`, response.status);
+        }
+        return response.json();
+    }
+
+    function trimSlash(url) {
+        return url.replace(/\/+$/, '');
+    }
+
+    // Parsers for the two response shapes self-hosted servers usually speak
+    const RESPONSE_FORMATS = {
+        nominatim: {
+            search(data) {
+                return (Array.isArray(data) ? data : []).map(item => ({
+                    lat: parseFloat(item.lat),
+                    lng: parseFloat(item.lon),
+                    name: item.display_name
+                }));
+            },
+            reverse(data) {
+                if (!data || data.error || !data.address) return null;
+                const address = data.address;
+                return {
+                    name: data.display_name || null,
+                    city: address.city || address.town || address.village || null,
+                    region: address.state || address.region || null,
+                    country: address.country || null,
+                    countryCode: address.country_code ? address.country_code.toUpperCase() : null
+                };
+            }
+        },
+        photon: {
+            search(data) {
+                return ((data && data.features) || []).map(feature => ({
+                    lat: feature.geometry.coordinates[1],
+                    lng: feature.geometry.coordinates[0],
+                    name: photonName(feature.properties)
+                }));
+            },
+            reverse(data) {
+                const feature = data && data.features && data.features[0];
+                if (!feature) return null;
+                const properties = feature.properties;
+                return {
+                    name: photonName(properties),
+                    city: properties.city || (properties.type === 'city' ? properties.name : null) || null,
+                    region: properties.state || null,
+                    country: properties.country || null,
+                    countryCode: properties.countrycode ? properties.countrycode.toUpperCase() : null
+                };
+            }
+        },
+        // The companion server (server/server.js) already answers in the
+        // shapes providers resolve to
+        companion: {
+            search(data) {
+                return (data && data.results) || [];
+            },
+            reverse(data) {
+                // Throw rather than resolve to null, so the failure is not cached
+                if (data && data.onlineError) throw new GeocodingError(data.onlineError);
+                return (data && data.online) || null;
+            }
+        }
+    };
+
+    // Photon has no display name; build one without repeating parts
+    function photonName(properties) {
+        const parts = [];
+        for (const part of [properties.name, properties.city, properties.state, properties.country]) {
+            if (part && !parts.includes(part)) parts.push(part);
+        }
+        return parts.join(', ');
+    }
+
+    // Fill {query}, {lat}, {lng} and {limit} into a URL template
+    function expandTemplate(template, values) {
+        return template.replace(/\{(\w+)\}/g, (match, name) =>
+            name in values ? encodeURIComponent(values[name]) : match);
+    }
+
+    // A provider for any server, given URL templates and the response format
+    // it speaks ('nominatim', 'photon' or 'companion')
+    function customProvider({
+        searchUrl,
+        reverseUrl,
+        format = 'nominatim',
+        name = 'Custom server',
+        minInterval = 0,
+        fetch: fetchImpl = defaultFetch
+    }) {
+        const parser = RESPONSE_FORMATS[format];
+        if (!parser) throw new GeocodingError(`Unknown geocoding response format '${format}'`);
+
+        return {
+            id: `custom:${searchUrl || ''}|${reverseUrl || ''}`,
+            name,
+            minInterval,
+            async search(query, { limit = 5, signal = null } = {}) {
+                if (!searchUrl) throw new GeocodingError(`${name} has no search URL`);
+                return parser.search(await fetchJson(fetchImpl, expandTemplate(searchUrl, { query, limit }), signal));
+            },
+            async reverse(lat, lng, { signal = null } = {}) {
+                if (!reverseUrl) throw new GeocodingError(`${name} has no reverse geocoding URL`);
+                return parser.reverse(await fetchJson(fetchImpl, expandTemplate(reverseUrl, { lat, lng }), signal));
+            }
+        };
+    }
+
+    // OpenStreetMap Nominatim. The public server allows one request per
+    // second; pass `baseUrl` for a self-hosted instance.
+    function nominatimProvider({
+        baseUrl = 'https://nominatim.openstreetmap.org',
+        email = null,
+        minInterval = 1000,
+        fetch: fetchImpl = defaultFetch
+    } = {}) {
+        const base = trimSlash(baseUrl);
+        const contact = email ? `&email=${encodeURIComponent(email)}` : '';
+        const provider = customProvider({
+            searchUrl: `${base}/search?format=jsonv2&q={query}&limit={limit}${contact}`,
+            reverseUrl: `${base}/reverse?format=jsonv2&lat={lat}&lon={lng}&zoom=10${contact}`,
+            format: 'nominatim',
+            name: 'Nominatim',
+            minInterval,
+            fetch: fetchImpl
+        });
+        return { ...provider, id: `nominatim:${base}` };
+    }
+
+    // Komoot's Photon, or a self-hosted instance via `baseUrl`
+    function photonProvider({
+        baseUrl = 'https://photon.komoot.io',
+        minInterval = 500,
+        fetch: fetchImpl = defaultFetch
+    } = {}) {
+        const base = trimSlash(baseUrl);
+        const provider = customProvider({
+            searchUrl: `${base}/api/?q={query}&limit={limit}&lang=en`,
+            reverseUrl: `${base}/reverse?lat={lat}&lon={lng}&lang=en`,
+            format: 'photon',
+            name: 'Photon',
+            minInterval,
+            fetch: fetchImpl
+        });
+        return { ...provider, id: `photon:${base}` };
+    }
+
+    // The optional companion server, which forwards to its own upstream
+    // provider with a proper User-Agent and does its own rate limiting
+    function companionProvider({ baseUrl = '', fetch: fetchImpl = defaultFetch } = {}) {
+        const base = trimSlash(baseUrl);
+        const provider = customProvider({
+            searchUrl: `${base}/api/search?q={query}&limit={limit}`,
+            reverseUrl: `${base}/api/reverse?lat={lat}&lng={lng}`,
+            format: 'companion',
+            name: 'Companion server',
+            fetch: fetchImpl
+        });
+        return { ...provider, id: `companion:${base}` };
+    }
+
+    // Resolves to the companion server's /api/health answer, or null when
+    // the page is not served by it (a static host, GitHub Pages, file://)
+    async function detectCompanionServer({ baseUrl = '', timeout = 2000, fetch: fetchImpl = defaultFetch } = {}) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+        try {
+            const health = await fetchJson(fetchImpl, `${trimSlash(baseUrl)}/api/health`, controller.signal);
+            return health && health.service === 'antipodal-explorer' ? health : null;
+        } catch (error) {
+            return null;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Answers from a fixed list of places without touching the network.
+    // Search matches names case-insensitively; reverse returns the nearest
+    // place within `radiusDegrees`. Every call is recorded in `calls`.
+    function mockProvider({ places = [], minInterval = 0, latency = 0, radiusDegrees = 1 } = {}) {
+        const calls = [];
+        return {
+            id: 'mock',
+            name: 'Mock',
+            minInterval,
+            calls,
+            async search(query, { limit = 5, signal = null } = {}) {
+                calls.push({ type: 'search', query });
+                if (latency) await delay(latency, signal);
+                const needle = query.toLowerCase();
+                return places
+                    .filter(place => place.name.toLowerCase().includes(needle))
+                    .slice(0, limit)
+                    .map(({ lat, lng, name }) => ({ lat, lng, name }));
+            },
+            async reverse(lat, lng, { signal = null } = {}) {
+                calls.push({ type: 'reverse', lat, lng });
+                if (latency) await delay(latency, signal);
+                let nearest = null;
+                let nearestDistance = radiusDegrees;
+                for (const place of places) {
+                    const distance = Math.hypot(place.lat - lat, place.lng - lng);
+                    if (distance <= nearestDistance) {
+                        nearest = place;
+                        nearestDistance = distance;
+                    }
+                }
+                if (!nearest) return null;
+                return {
+                    name: nearest.name,
+                    city: nearest.city || null,
+                    region: nearest.region || null,
+                    country: nearest.country || null,
+                    countryCode: nearest.countryCode || null
+                };
+            }
+        };
+    }
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    class Geocoder {
+        // `precision` is the number of decimals reverse lookups are rounded
+        // to before they are sent and cached (3 is about 100 m)
+        constructor({ provider, cache = new MemoryCache(), precision = 3, maxAge = 30 * DAY_MS } = {}) {
+            this.provider = provider;
+            this.cache = cache;
+            this.precision = precision;
+            this.maxAge = maxAge;
+            this.queues = new Map();
+        }
+
+        setProvider(provider) {
+            this.provider = provider;
+        }
+
+        queueFor(provider) {
+            if (!this.queues.has(provider.id)) {
+                this.queues.set(provider.id, new RequestQueue(provider.minInterval || 0));
+            }
+            return this.queues.get(provider.id);
+        }
+
+        round(value) {
+            const factor = 10 ** this.precision;
+            // + 0 turns -0 into 0 so both sides of zero share a key
+            return Math.round(value * factor) / factor + 0;
+        }
+
+        // Cache failures only cost a network request, so they are ignored
+        async cached(key, signal, load) {
+            try {
+                const entry = await this.cache.get(key);
+                if (entry && Date.now() - entry.time <= this.maxAge) return entry.value;
+            } catch (error) {
+                // fall through to the provider
+            }
+            throwIfAborted(signal);
+
+            const value = await load();
+            try {
+                await this.cache.set(key, { value, time: Date.now() });
+            } catch (error) {
+                // answer is still good, just not remembered
+            }
+            return value;
+        }
+
+        search(query, { limit = 5, signal = null } = {}) {
+            const provider = this.provider;
+            const normalized = query.trim().replace(/\s+/g, ' ').toLowerCase();
+            const key = `${provider.id}|search|${limit}|${normalized}`;
+            return this.cached(key, signal, () =>
+                this.queueFor(provider).run(() => provider.search(query.trim(), { limit, signal }), signal));
+        }
+
+        reverse(lat, lng, { signal = null } = {}) {
+            const provider = this.provider;
+            const roundedLat = this.round(lat);
+            const roundedLng = this.round(lng);
+            const key = `${provider.id}|reverse|${roundedLat.toFixed(this.precision)},${roundedLng.toFixed(this.precision)}`;
+            return this.cached(key, signal, () =>
+                this.queueFor(provider).run(() => provider.reverse(roundedLat, roundedLng, { signal }), signal));
+        }
+    }
+
+    return {
+        GeocodingError,
+        isAbortError,
+        RequestQueue,
+        MemoryCache,
+        IndexedDbCache,
+        createCache,
+        expandTemplate,
+        nominatimProvider,
+        photonProvider,
+        customProvider,
+        companionProvider,
+        detectCompanionServer,
+        mockProvider,
+        Geocoder
+    };
+});
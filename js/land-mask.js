@@ -0,0 +1,114 @@
+// Offline land/water classification against the bundled Natural Earth
+// coastline (data/land-110m.js). Accurate to roughly 10 km near coasts;
+// islands smaller than the 1:110m scale count as water.
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./geo.js'), require('./polygon-index.js'), require('../data/land-110m.js'));
+    } else {
+        root.LandMask = factory(root.Geo, root.PolygonIndex, root.LAND_POLYGONS);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Geo, PolygonIndex, landPolygons) {
+    const index = new PolygonIndex(landPolygons);
+
+    function isLand(lat, lng) {
+        return index.contains(lat, lng);
+    }
+
+    // 'land' or 'water'
+    function classify(lat, lng) {
+        return isLand(lat, lng) ? 'land' : 'water';
+    }
+
+    // Coastline segments as unit vectors, built on first use
+    let coastline = null;
+    
+    function getCoastline() {
+        if (coastline) return coastline;
+        
+        coastline = [];
+        for (const rings of PolygonIndex.polygonsOf(landPolygons)) {
+            for (const ring of rings) {
+                for (let i = 0; i < ring.length - 1; i++) {
+                    const [lngA, latA] = ring[i];
+                    const [lngB, latB] = ring[i + 1];
+                    // Skip the edges that close Antarctica around the pole
+                    if (latA === -90 || latB === -90) continue;
+                    coastline.push([Geo.latLngToVector(latA, lngA), Geo.latLngToVector(latB, lngB)]);
+                }
+            }
+        }
+        return coastline;
+    }
+    
+    const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+    const cross = (a, b) => ({
+        x: a.y * b.z - a.z * b.y,
+        y: a.z * b.x - a.x * b.z,
+        z: a.x * b.y - a.y * b.x
+    });
+    
+    // Closest point to `p` on the shorter great-circle arc from `a` to `b`
+    function closestOnArc(p, a, b) {
+        const normal = cross(a, b);
+        const normalLength = Math.sqrt(dot(normal, normal));
+        if (normalLength > 1e-12) {
+            const n = { x: normal.x / normalLength, y: normal.y / normalLength, z: normal.z / normalLength };
+            const offset = dot(p, n);
+            const projected = { x: p.x - offset * n.x, y: p.y - offset * n.y, z: p.z - offset * n.z };
+            const projectedLength = Math.sqrt(dot(projected, projected));
+            if (projectedLength > 1e-12 &&
+                dot(cross(a, projected), n) >= 0 && dot(cross(projected, b), n) >= 0) {
+                return {
+                    x: projected.x / projectedLength,
+                    y: projected.y / projectedLength,
+                    z: projected.z / projectedLength
+                };
+            }
+        }
+        return dot(p, a) >= dot(p, b) ? a : b;
+    }
+    
+    // Nearest coastline point to a location, with distance (km) and initial
+    // bearing from the location. Works from land too, giving the nearest shore.
+    function nearestCoast(lat, lng) {
+        const p = Geo.latLngToVector(lat, lng);
+        let best = null;
+        let bestDot = -Infinity;
+        
+        for (const [a, b] of getCoastline()) {
+            const candidate = closestOnArc(p, a, b);
+            const similarity = dot(p, candidate);
+            if (similarity > bestDot) {
+                bestDot = similarity;
+                best = candidate;
+            }
+        }
+        
+        const point = Geo.vectorToLatLng(best);
+        const from = { lat, lng };
+        return {
+            lat: point.lat,
+            lng: point.lng,
+            distanceKm: Geo.greatCircleDistance(from, point),
+            bearing: Geo.initialBearing(from, point)
+        };
+    }
+    
+    // The bundled coastline as a GeoJSON MultiPolygon
+    function landOutlines() {
+        return landPolygons;
+    }
+    
+    // Nearest land to a water point, or null when the point is already on land
+    function nearestLand(lat, lng) {
+        return isLand(lat, lng) ? null : nearestCoast(lat, lng);
+    }
+    
+    return {
+        isLand,
+        classify,
+        nearestCoast,
+        nearestLand,
+        landOutlines
+    };
+});
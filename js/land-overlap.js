@@ -0,0 +1,260 @@
+// Where land lies opposite land. The bundled coastline and country outlines
+// are rasterised onto a latitude/longitude grid, and each land cell is
+// checked against the cell at its antipode. The grid is symmetric under the
+// antipode, so every cell has exactly one opposite cell.
+//
+// Rasterising fills each row between ring crossings, the same even-odd rule
+// PolygonIndex uses at a single point, but for a whole row at once: a
+// global grid takes milliseconds instead of the seconds it would take point
+// by point.
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(
+            require('./geo.js'),
+            require('./polygon-index.js'),
+            require('./land-mask.js'),
+            require('./offline-geocoder.js')
+        );
+    } else {
+        root.LandOverlap = factory(root.Geo, root.PolygonIndex, root.LandMask, root.OfflineGeocoder);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Geo, PolygonIndex, LandMask, OfflineGeocoder) {
+    const WATER = 0;
+    const LAND = 1;
+    // Land whose antipode is land too
+    const LAND_TO_LAND = 2;
+
+    // Sets grid[row * cols + col] = value for every cell whose centre lies
+    // inside `geometry` (Polygon or MultiPolygon). Rings may run past 180.
+    function rasterize(grid, geometry, step, value) {
+        const rows = Math.round(180 / step);
+        const cols = Math.round(360 / step);
+        const rowOf = lat => Math.ceil((lat + 90) / step - 0.5);
+
+        for (const rings of PolygonIndex.polygonsOf(geometry)) {
+            const crossings = new Map();
+            for (const ring of rings) {
+                for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                    const [xi, yi] = ring[i];
+                    const [xj, yj] = ring[j];
+                    if (yi === yj) continue;
+                    // Rows whose centre is in [low, high) cross this edge
+                    const first = Math.max(0, rowOf(Math.min(yi, yj)));
+                    const last = Math.min(rows, rowOf(Math.max(yi, yj))) - 1;
+                    for (let row = first; row <= last; row++) {
+                        const y = -90 + (row + 0.5) * step;
+                        if (!crossings.has(row)) crossings.set(row, []);
+                        crossings.get(row).push(xi + (y - yi) * (xj - xi) / (yj - yi));
+                    }
+                }
+            }
+
+            for (const [row, xs] of crossings) {
+                xs.sort((a, b) => a - b);
+                for (let k = 0; k + 1 < xs.length; k += 2) {
+                    const from = Math.ceil((xs[k] + 180) / step - 0.5);
+                    const to = Math.ceil((xs[k + 1] + 180) / step - 0.5);
+                    for (let col = from; col < to; col++) {
+                        grid[row * cols + (((col % cols) + cols) % cols)] = value;
+                    }
+                }
+            }
+        }
+    }
+
+    // Surface area of one cell in `row`, in km²
+    function cellArea(row, step) {
+        const south = Geo.toRadians(-90 + row * step);
+        const north = Geo.toRadians(-90 + (row + 1) * step);
+        return Geo.EARTH_RADIUS_KM ** 2 * Geo.toRadians(step) * (Math.sin(north) - Math.sin(south));
+    }
+
+    function cellCenter(row, col, step) {
+        return { lat: -90 + (row + 0.5) * step, lng: -180 + (col + 0.5) * step };
+    }
+
+    // Countries covering the most area among `cells`, largest first
+    function countriesIn(cells, countryGrid, areas, outlines) {
+        const byCountry = new Map();
+        for (const index of cells) {
+            const country = countryGrid[index];
+            if (country) byCountry.set(country, (byCountry.get(country) || 0) + areas[index]);
+        }
+        return [...byCountry.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .map(([country]) => outlines[country - 1].name);
+    }
+
+    // Area-weighted middle of `cells`, for pointing the camera
+    function middleOf(cells, cols, step, areas) {
+        const sum = { x: 0, y: 0, z: 0 };
+        for (const index of cells) {
+            const { lat, lng } = cellCenter(Math.floor(index / cols), index % cols, step);
+            const vector = Geo.latLngToVector(lat, lng);
+            sum.x += vector.x * areas[index];
+            sum.y += vector.y * areas[index];
+            sum.z += vector.z * areas[index];
+        }
+        return Geo.vectorToLatLng(sum);
+    }
+
+    // Connected land-to-land areas (sides touching, wrapping round the
+    // antimeridian) as lists of cell indices
+    function findRegions(cells, rows, cols) {
+        const label = new Int32Array(cells.length).fill(-1);
+        const regions = [];
+        for (let start = 0; start < cells.length; start++) {
+            if (cells[start] !== LAND_TO_LAND || label[start] !== -1) continue;
+            const members = [start];
+            label[start] = regions.length;
+            for (let k = 0; k < members.length; k++) {
+                const index = members[k];
+                const row = Math.floor(index / cols);
+                const col = index % cols;
+                const neighbours = [
+                    row * cols + (col + 1) % cols,
+                    row * cols + (col + cols - 1) % cols,
+                    row > 0 ? index - cols : -1,
+                    row < rows - 1 ? index + cols : -1
+                ];
+                for (const next of neighbours) {
+                    if (next >= 0 && cells[next] === LAND_TO_LAND && label[next] === -1) {
+                        label[next] = regions.length;
+                        members.push(next);
+                    }
+                }
+            }
+            regions.push(members);
+        }
+        return { regions, label };
+    }
+
+    // Share of land-to-land cells within `radius` degrees of each such
+    // cell, from 0 to 1: high in the middle of large overlaps, low at their
+    // edges and on small ones
+    function heatOf(cells, rows, cols, step, radius) {
+        const reach = Math.max(1, Math.round(radius / step));
+        const heat = new Float32Array(cells.length);
+        for (let index = 0; index < cells.length; index++) {
+            if (cells[index] !== LAND_TO_LAND) continue;
+            const row = Math.floor(index / cols);
+            const col = index % cols;
+            let hits = 0;
+            let total = 0;
+            for (let r = Math.max(0, row - reach); r <= Math.min(rows - 1, row + reach); r++) {
+                for (let dc = -reach; dc <= reach; dc++) {
+                    total++;
+                    if (cells[r * cols + (col + dc + cols) % cols] === LAND_TO_LAND) hits++;
+                }
+            }
+            heat[index] = hits / total;
+        }
+        return heat;
+    }
+
+    const cache = new Map();
+
+    // The land-to-land grid and its statistics at `step` degrees (180 must
+    // divide evenly). Returns
+    //   { step, rows, cols, cells, heat,
+    //     landKm2, overlapKm2, landShare, surfaceShare,
+    //     regions: [{ areaKm2, center, countries, opposite: { center, countries } }],
+    //     countries: [{ country, countryCode, landKm2, overlapKm2, share }] }
+    // where `cells` holds WATER, LAND or LAND_TO_LAND per cell (row 0 in the
+    // south, column 0 at 180°W), `heat` is heatOf() and shares run from 0
+    // to 1. Each pair of opposite regions is listed once, largest first.
+    // Results are cached per step.
+    function compute({ step = 0.5, heatRadius = 2 } = {}) {
+        const key = `${step}:${heatRadius}`;
+        if (cache.has(key)) return cache.get(key);
+
+        const rows = Math.round(180 / step);
+        const cols = Math.round(360 / step);
+        if (Math.abs(rows * step - 180) > 1e-9 || cols % 2) {
+            throw new RangeError(`A grid step of ${step}° does not divide the globe evenly`);
+        }
+
+        const cells = new Uint8Array(rows * cols);
+        rasterize(cells, LandMask.landOutlines(), step, LAND);
+
+        // Country numbers start at 1 so 0 can mean none
+        const outlines = OfflineGeocoder.countryOutlines();
+        const countryGrid = new Uint16Array(rows * cols);
+        outlines.forEach((outline, i) => rasterize(countryGrid, outline.geometry, step, i + 1));
+
+        const areas = new Float64Array(rows * cols);
+        const opposite = index => {
+            const row = Math.floor(index / cols);
+            return (rows - 1 - row) * cols + (index % cols + cols / 2) % cols;
+        };
+
+        let landKm2 = 0;
+        let overlapKm2 = 0;
+        const perCountry = new Map();
+        for (let index = 0; index < cells.length; index++) {
+            areas[index] = cellArea(Math.floor(index / cols), step);
+            if (cells[index] === WATER) continue;
+            if (cells[opposite(index)] !== WATER) cells[index] = LAND_TO_LAND;
+
+            const overlap = cells[index] === LAND_TO_LAND;
+            landKm2 += areas[index];
+            if (overlap) overlapKm2 += areas[index];
+
+            const country = countryGrid[index];
+            if (!country) continue;
+            const entry = perCountry.get(country) || { landKm2: 0, overlapKm2: 0 };
+            entry.landKm2 += areas[index];
+            if (overlap) entry.overlapKm2 += areas[index];
+            perCountry.set(country, entry);
+        }
+
+        const { regions, label } = findRegions(cells, rows, cols);
+        const pairs = [];
+        regions.forEach((members, id) => {
+            const twin = label[opposite(members[0])];
+            if (twin < id) return;
+            pairs.push({
+                areaKm2: members.reduce((sum, index) => sum + areas[index], 0),
+                center: middleOf(members, cols, step, areas),
+                countries: countriesIn(members, countryGrid, areas, outlines),
+                opposite: {
+                    center: middleOf(regions[twin], cols, step, areas),
+                    countries: countriesIn(regions[twin], countryGrid, areas, outlines)
+                }
+            });
+        });
+
+        const result = {
+            step,
+            rows,
+            cols,
+            cells,
+            heat: heatOf(cells, rows, cols, step, heatRadius),
+            landKm2,
+            overlapKm2,
+            landShare: landKm2 ? overlapKm2 / landKm2 : 0,
+            surfaceShare: overlapKm2 / (4 * Math.PI * Geo.EARTH_RADIUS_KM ** 2),
+            regions: pairs.sort((a, b) => b.areaKm2 - a.areaKm2),
+            countries: [...perCountry.entries()]
+                .map(([country, entry]) => ({
+                    country: outlines[country - 1].name,
+                    countryCode: outlines[country - 1].code,
+                    landKm2: entry.landKm2,
+                    overlapKm2: entry.overlapKm2,
+                    share: entry.overlapKm2 / entry.landKm2
+                }))
+                .sort((a, b) => b.overlapKm2 - a.overlapKm2 || a.country.localeCompare(b.country))
+        };
+        cache.set(key, result);
+        return result;
+    }
+
+    return {
+        WATER,
+        LAND,
+        LAND_TO_LAND,
+        rasterize,
+        cellCenter,
+        compute
+    };
+});
@@ -0,0 +1,151 @@
+// Dropdown of search suggestions under a text input, following the ARIA
+// combobox pattern: arrow keys move through the list, Enter picks the
+// highlighted entry and Escape closes it.
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LocationAutocomplete = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    class LocationAutocomplete {
+        // `search(query)` returns the suggestions for the current text,
+        // `onSelect(item)` receives the one picked, `label(item)` is the text
+        // written back into the input and `details(item)` the second line.
+        constructor(input, list, { search, onSelect, label, details = () => '', delay = 120 }) {
+            this.input = input;
+            this.list = list;
+            this.search = search;
+            this.onSelect = onSelect;
+            this.label = label;
+            this.details = details;
+            this.delay = delay;
+            this.items = [];
+            this.activeIndex = -1;
+            this.timer = null;
+
+            this.input.setAttribute('role', 'combobox');
+            this.input.setAttribute('aria-autocomplete', 'list');
+            this.input.setAttribute('aria-expanded', 'false');
+            this.input.setAttribute('aria-controls', this.list.id);
+            this.input.setAttribute('autocomplete', 'off');
+            this.list.setAttribute('role', 'listbox');
+
+            this.input.addEventListener('input', () => this.scheduleUpdate());
+            this.input.addEventListener('keydown', (event) => this.handleKeydown(event));
+            this.input.addEventListener('blur', () => this.close());
+            // mousedown rather than click so the input keeps focus until we are done
+            this.list.addEventListener('mousedown', (event) => {
+                const option = event.target.closest('[role="option"]');
+                if (!option) return;
+                event.preventDefault();
+                this.select(Number(option.dataset.index));
+            });
+        }
+
+        scheduleUpdate() {
+            clearTimeout(this.timer);
+            this.timer = setTimeout(() => this.update(), this.delay);
+        }
+
+        update() {
+            const query = this.input.value.trim();
+            this.items = query ? this.search(query) : [];
+            this.activeIndex = -1;
+            this.render();
+        }
+
+        render() {
+            const doc = this.list.ownerDocument;
+            this.list.innerHTML = '';
+            this.items.forEach((item, index) => {
+                const option = doc.createElement('li');
+                option.id = `${this.list.id}-option-${index}`;
+                option.className = 'autocomplete-option';
+                option.setAttribute('role', 'option');
+                option.setAttribute('aria-selected', String(index === this.activeIndex));
+                option.dataset.index = index;
+
+                const name = doc.createElement('span');
+                name.className = 'autocomplete-name';
+                name.textContent = this.label(item);
+                const details = doc.createElement('span');
+                details.className = 'autocomplete-details';
+                details.textContent = this.details(item);
+
+                option.append(name, details);
+                this.list.appendChild(option);
+            });
+
+            const open = this.items.length > 0;
+            this.list.classList.toggle('hidden', !open);
+            this.input.setAttribute('aria-expanded', String(open));
+            if (this.activeIndex >= 0) {
+                this.input.setAttribute('aria-activedescendant', `${this.list.id}-option-${this.activeIndex}`);
+                this.list.children[this.activeIndex].scrollIntoView({ block: 'nearest' });
+            } else {
+                this.input.removeAttribute('aria-activedescendant');
+            }
+        }
+
+        isOpen() {
+            return this.items.length > 0;
+        }
+
+        move(step) {
+            if (!this.isOpen()) return;
+            const count = this.items.length;
+            this.activeIndex = this.activeIndex < 0 && step < 0
+                ? count - 1
+                : (this.activeIndex + step + count) % count;
+            this.render();
+        }
+
+        handleKeydown(event) {
+            switch (event.key) {
+                case 'ArrowDown':
+                    if (!this.isOpen()) {
+                        this.update();
+                    } else {
+                        this.move(1);
+                    }
+                    event.preventDefault();
+                    break;
+                case 'ArrowUp':
+                    this.move(-1);
+                    event.preventDefault();
+                    break;
+                case 'Enter':
+                    // Without a highlighted suggestion Enter is left to the page
+                    if (this.isOpen() && this.activeIndex >= 0) {
+                        event.preventDefault();
+                        this.select(this.activeIndex);
+                    }
+                    break;
+                case 'Escape':
+                    if (this.isOpen()) {
+                        event.preventDefault();
+                        this.close();
+                    }
+                    break;
+            }
+        }
+
+        select(index) {
+            const item = this.items[index];
+            if (!item) return;
+            this.input.value = this.label(item);
+            this.close();
+            this.onSelect(item);
+        }
+
+        close() {
+            clearTimeout(this.timer);
+            this.items = [];
+            this.activeIndex = -1;
+            this.render();
+        }
+    }
+
+    return LocationAutocomplete;
+});
@@ -0,0 +1,46 @@
+// Names the ocean, sea, gulf or strait at a water point using the bundled
+// outlines in data/marine-regions.js. No network access.
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./polygon-index.js'), require('../data/marine-regions.js'));
+    } else {
+        root.MarineRegions = factory(root.PolygonIndex, root.MARINE_REGIONS);
+    }
+})(typeof self !== 'undefined' ? self : this, function (PolygonIndex, regions) {
+    const index = new PolygonIndex(regions.map(region => ({
+        properties: { name: region.name, type: region.type },
+        geometry: { type: 'Polygon', coordinates: [region.coordinates] }
+    })));
+
+    // Nearby probes for water the coarse outlines miss along the coast,
+    // nearest ring first
+    const PROBE_DISTANCES = [0.5, 1, 2]; // degrees
+    const PROBE_DIRECTIONS = [[1, 0], [0, 1], [-1, 0], [0, -1], [1, 1], [-1, 1], [-1, -1], [1, -1]];
+
+    function lookup(lat, lng) {
+        const feature = index.find(lat, lng);
+        return feature ? feature.properties : null;
+    }
+
+    // { name, type } of the body of water containing the point, or null.
+    // The outlines are coarse, so only ask about points known to be water.
+    function find(lat, lng) {
+        const direct = lookup(lat, lng);
+        if (direct) return direct;
+
+        for (const distance of PROBE_DISTANCES) {
+            for (const [dLat, dLng] of PROBE_DIRECTIONS) {
+                const probeLat = lat + dLat * distance;
+                if (Math.abs(probeLat) > 90) continue;
+                const probeLng = ((lng + dLng * distance + 540) % 360) - 180;
+                const nearby = lookup(probeLat, probeLng);
+                if (nearby) return nearby;
+            }
+        }
+        return null;
+    }
+
+    return {
+        find
+    };
+});
@@ -0,0 +1,143 @@
+// Non-blocking toast messages stacked in a corner of the page. Each toast has
+// a severity (info, success, warning or error), dismisses itself after a
+// while unless the pointer or focus is on it, and can be closed by hand.
+// The stack is a polite live region; warnings and errors are announced
+// straight away through role="alert".
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Notifier = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    class Notifier {
+        // `container` is an empty element that holds the stack
+        constructor(container, { maxVisible = 4 } = {}) {
+            this.container = container;
+            this.maxVisible = maxVisible;
+            this.toasts = [];
+
+            this.container.classList.add('toast-stack');
+            this.container.setAttribute('aria-live', 'polite');
+            this.container.setAttribute('aria-relevant', 'additions');
+        }
+
+        // Shows `message` and returns a handle with dismiss(). `duration` is in
+        // milliseconds; 0 keeps the toast until it is closed. Repeating a message
+        // that is still on screen restarts its timer instead of stacking a copy.
+        show(message, { severity = 'info', duration = Notifier.DURATIONS[severity] } = {}) {
+            if (!(severity in Notifier.DURATIONS)) {
+                throw new Error(`Unknown notification severity '${severity}'`);
+            }
+
+            const existing = this.toasts.find(toast => toast.message === message && toast.severity === severity);
+            if (existing) {
+                existing.restart(duration);
+                return existing;
+            }
+
+            const toast = this.createToast(message, severity, duration);
+            this.toasts.push(toast);
+            this.container.appendChild(toast.element);
+            while (this.toasts.length > this.maxVisible) this.toasts[0].dismiss();
+            return toast;
+        }
+
+        info(message, options = {}) {
+            return this.show(message, { ...options, severity: 'info' });
+        }
+
+        success(message, options = {}) {
+            return this.show(message, { ...options, severity: 'success' });
+        }
+
+        warning(message, options = {}) {
+            return this.show(message, { ...options, severity: 'warning' });
+        }
+
+        error(message, options = {}) {
+            return this.show(message, { ...options, severity: 'error' });
+        }
+
+        clear() {
+            [...this.toasts].forEach(toast => toast.dismiss());
+        }
+
+        createToast(message, severity, duration) {
+            const document = this.container.ownerDocument;
+            const element = document.createElement('div');
+            element.className = `toast toast-${severity}`;
+            if (severity === 'warning' || severity === 'error') element.setAttribute('role', 'alert');
+
+            const text = document.createElement('p');
+            text.className = 'toast-message';
+            text.textContent = message;
+
+            const close = document.createElement('button');
+            close.type = 'button';
+            close.className = 'toast-close';
+            close.setAttribute('aria-label', 'Dismiss notification');
+            close.textContent = '×';
+
+            element.append(text, close);
+
+            let timer = null;
+            let remaining = duration;
+            let startedAt = 0;
+
+            const toast = {
+                message,
+                severity,
+                element,
+                dismiss: () => {
+                    clearTimeout(timer);
+                    const index = this.toasts.indexOf(toast);
+                    if (index === -1) return;
+                    this.toasts.splice(index, 1);
+                    element.classList.add('toast-leaving');
+                    // Let the fade-out run, but never leave a toast behind
+                    element.addEventListener('animationend', () => element.remove(), { once: true });
+                    setTimeout(() => element.remove(), 400);
+                },
+                restart: (ms = duration) => {
+                    clearTimeout(timer);
+                    timer = null;
+                    remaining = ms;
+                    resume();
+                }
+            };
+
+            const resume = () => {
+                if (!remaining || timer) return;
+                startedAt = Date.now();
+                timer = setTimeout(toast.dismiss, remaining);
+            };
+            const pause = () => {
+                if (!remaining || !timer) return;
+                clearTimeout(timer);
+                timer = null;
+                remaining = Math.max(1000, remaining - (Date.now() - startedAt));
+            };
+
+            close.addEventListener('click', toast.dismiss);
+            // Hold still while someone is reading or tabbing through it
+            element.addEventListener('mouseenter', pause);
+            element.addEventListener('mouseleave', resume);
+            element.addEventListener('focusin', pause);
+            element.addEventListener('focusout', resume);
+
+            resume();
+            return toast;
+        }
+    }
+
+    // How long each severity stays on screen by default, in milliseconds
+    Notifier.DURATIONS = {
+        info: 4000,
+        success: 4000,
+        warning: 7000,
+        error: 10000
+    };
+
+    return Notifier;
+});
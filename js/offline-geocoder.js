@@ -0,0 +1,89 @@
+// Offline reverse geocoding to country and first-level region (state,
+// province, county...) from the bundled Natural Earth outlines. Countries use
+// the same 1:110m coastline as LandMask, so every land point has a country;
+// regions come from the finer 1:10m admin-1 layer.
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(
+            require('./polygon-index.js'),
+            require('../data/countries-110m.js'),
+            require('../data/admin1-10m.js')
+        );
+    } else {
+        root.OfflineGeocoder = factory(root.PolygonIndex, root.COUNTRY_POLYGONS, root.ADMIN1_REGIONS);
+    }
+})(typeof self !== 'undefined' ? self : this, function (PolygonIndex, countries, regions) {
+    const countryIndex = new PolygonIndex(countries);
+    const regionIndex = new PolygonIndex(regions);
+    const countryList = countries
+        .slice()
+        .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+
+    // The two layers disagree by a few kilometres along coasts and borders,
+    // so a region is also searched for slightly around the point
+    const PROBE_DISTANCES = [0.1, 0.25, 0.5, 1]; // degrees
+    const PROBE_DIRECTIONS = [[1, 0], [0, 1], [-1, 0], [0, -1], [1, 1], [-1, 1], [-1, -1], [1, -1]];
+
+    function findRegion(lat, lng, countryCode) {
+        const accept = countryCode ? region => region.countryCode === countryCode : null;
+        const direct = regionIndex.find(lat, lng, accept);
+        if (direct || !countryCode) return direct;
+
+        for (const distance of PROBE_DISTANCES) {
+            for (const [dLat, dLng] of PROBE_DIRECTIONS) {
+                const probeLat = lat + dLat * distance;
+                if (Math.abs(probeLat) > 90) continue;
+                const probeLng = ((lng + dLng * distance + 540) % 360) - 180;
+                const nearby = regionIndex.find(probeLat, probeLng, accept);
+                if (nearby) return nearby;
+            }
+        }
+        return null;
+    }
+
+    // { country, countryCode, countryCode3, region, regionCode } for a point,
+    // or null when it is in neither layer (open water). Codes are ISO 3166-1
+    // alpha-2/alpha-3 and ISO 3166-2; any of them may be null for disputed
+    // areas or regions without an assigned code.
+    function reverse(lat, lng) {
+        const country = countryIndex.find(lat, lng);
+        // Small islands are missing from the coarse country layer but may
+        // still be covered by a region, which names its own country
+        const region = findRegion(lat, lng, country ? country.code : null);
+        if (!country && !region) return null;
+
+        return {
+            country: country ? country.name : region.country,
+            countryCode: country ? country.code : region.countryCode,
+            countryCode3: country ? country.code3 : null,
+            region: region ? region.name : null,
+            regionCode: region ? region.code : null
+        };
+    }
+
+    // { country, countryCode, countryCode3 } from the country layer alone,
+    // or null; much cheaper than reverse() when the region is not needed
+    function country(lat, lng) {
+        const found = countryIndex.find(lat, lng);
+        return found ? { country: found.name, countryCode: found.code, countryCode3: found.code3 } : null;
+    }
+
+    // The bundled country outlines as { name, code, code3, geometry },
+    // sorted by name
+    function countryOutlines() {
+        return countryList.slice();
+    }
+
+    // Short label such as "California, United States"
+    function describe(place) {
+        if (!place) return null;
+        return [place.region, place.country].filter(Boolean).join(', ');
+    }
+
+    return {
+        reverse,
+        country,
+        countryOutlines,
+        describe
+    };
+});
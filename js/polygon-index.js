@@ -0,0 +1,123 @@
+// Point-in-polygon lookup over GeoJSON polygons, with a coarse grid so a
+// query only tests the few polygons whose bounding box covers the point.
+// Rings that cross the antimeridian may use longitudes past 180.
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PolygonIndex = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const CELL_SIZE = 10; // degrees
+
+    // Even-odd ray casting test against a single ring of [lng, lat] positions
+    function pointInRing(lng, lat, ring) {
+        let inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+            if ((yi > lat) !== (yj > lat) &&
+                lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    // A polygon is its outer ring minus any holes
+    function pointInPolygon(lng, lat, rings) {
+        if (!pointInRing(lng, lat, rings[0])) return false;
+        for (let i = 1; i < rings.length; i++) {
+            if (pointInRing(lng, lat, rings[i])) return false;
+        }
+        return true;
+    }
+
+    function ringBounds(ring) {
+        const bounds = { minLng: Infinity, minLat: Infinity, maxLng: -Infinity, maxLat: -Infinity };
+        for (const [lng, lat] of ring) {
+            if (lng < bounds.minLng) bounds.minLng = lng;
+            if (lng > bounds.maxLng) bounds.maxLng = lng;
+            if (lat < bounds.minLat) bounds.minLat = lat;
+            if (lat > bounds.maxLat) bounds.maxLat = lat;
+        }
+        return bounds;
+    }
+
+    // Split Polygon and MultiPolygon geometries into individual polygons
+    function polygonsOf(geometry) {
+        if (!geometry) return [];
+        if (geometry.type === 'Polygon') return [geometry.coordinates];
+        if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+        return [];
+    }
+
+    function cellKey(col, row) {
+        return `${col}:${row}`;
+    }
+
+    class PolygonIndex {
+        // `features` are GeoJSON-like objects with a Polygon or MultiPolygon
+        // geometry; a bare geometry is accepted too. Earlier features win when
+        // polygons overlap.
+        constructor(features) {
+            this.entries = [];
+            this.grid = new Map();
+
+            const list = Array.isArray(features) ? features : [features];
+            list.forEach((feature, order) => {
+                const geometry = feature.geometry || feature;
+                for (const rings of polygonsOf(geometry)) {
+                    this.addEntry({ feature, order, rings, bounds: ringBounds(rings[0]) });
+                }
+            });
+        }
+
+        addEntry(entry) {
+            const index = this.entries.push(entry) - 1;
+            const { minLng, minLat, maxLng, maxLat } = entry.bounds;
+
+            for (let col = Math.floor(minLng / CELL_SIZE); col <= Math.floor(maxLng / CELL_SIZE); col++) {
+                for (let row = Math.floor(minLat / CELL_SIZE); row <= Math.floor(maxLat / CELL_SIZE); row++) {
+                    const key = cellKey(col, row);
+                    if (!this.grid.has(key)) this.grid.set(key, []);
+                    this.grid.get(key).push(index);
+                }
+            }
+        }
+
+        candidates(lat, lng) {
+            const row = Math.floor(lat / CELL_SIZE);
+            const ids = new Set();
+            // Also look one turn east for rings unwrapped past the antimeridian
+            for (const x of [lng, lng + 360]) {
+                const bucket = this.grid.get(cellKey(Math.floor(x / CELL_SIZE), row));
+                if (bucket) bucket.forEach(id => ids.add(id));
+            }
+            return [...ids].sort((a, b) => this.entries[a].order - this.entries[b].order || a - b);
+        }
+
+        // First feature containing the point, or null. `accept` can skip
+        // features that should not count for this query.
+        find(lat, lng, accept = null) {
+            for (const id of this.candidates(lat, lng)) {
+                const { rings, feature } = this.entries[id];
+                if (accept && !accept(feature)) continue;
+                if (pointInPolygon(lng, lat, rings) || pointInPolygon(lng + 360, lat, rings)) {
+                    return feature;
+                }
+            }
+            return null;
+        }
+
+        contains(lat, lng) {
+            return this.find(lat, lng) !== null;
+        }
+    }
+
+    PolygonIndex.pointInRing = pointInRing;
+    PolygonIndex.pointInPolygon = pointInPolygon;
+    PolygonIndex.polygonsOf = polygonsOf;
+
+    return PolygonIndex;
+});
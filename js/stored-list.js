@@ -0,0 +1,77 @@
+// localStorage plumbing shared by the saved collections (dig history,
+// favourites): a JSON array kept under one key, and ids that stay unique
+// within it.
+//
+// Storage can be missing or full (private browsing, file:// pages, quota);
+// the collection then lives for the visit only.
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.StoredList = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Points closer than this (in degrees) are the same place
+    const SAME_PLACE = 1e-6;
+
+    function samePlace(a, b) {
+        return Math.abs(a.lat - b.lat) < SAME_PLACE && Math.abs(a.lng - b.lng) < SAME_PLACE;
+    }
+
+    function defaultStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            // Reading localStorage itself throws when the browser blocks it
+            return null;
+        }
+    }
+
+    // `storage` is anything with getItem/setItem/removeItem, or null
+    function open(storage, key) {
+        return {
+            // The saved array, or [] when there is none or it cannot be read
+            load() {
+                try {
+                    const saved = JSON.parse(storage && storage.getItem(key) || '[]');
+                    return Array.isArray(saved) ? saved : [];
+                } catch (error) {
+                    return [];
+                }
+            },
+
+            // Returns false if the items could not be stored
+            save(items) {
+                if (!storage) return false;
+                try {
+                    if (items.length) storage.setItem(key, JSON.stringify(items));
+                    else storage.removeItem(key);
+                    return true;
+                } catch (error) {
+                    return false;
+                }
+            }
+        };
+    }
+
+    // Returns createId(time), which makes ids such as "lx3k2a-1" from a time
+    // in milliseconds and a counter, skipping any for which `taken(id)` is true
+    function idMaker(taken) {
+        let nextId = 1;
+        return function createId(time) {
+            let id;
+            do {
+                id = `${time.toString(36)}-${(nextId++).toString(36)}`;
+            } while (taken(id));
+            return id;
+        };
+    }
+
+    return {
+        SAME_PLACE,
+        samePlace,
+        defaultStorage,
+        open,
+        idMaker
+    };
+});
@@ -0,0 +1,241 @@
+// Optional companion server for the Antipodal Explorer. Serves the static
+// app and a small JSON API:
+//
+//   GET /api/health                    identifies the server to the frontend
+//   GET /api/antipode?lat=&lng=        antipode, land/water and tunnel length
+//   GET /api/reverse?lat=&lng=         offline place, water body and online city
+//   GET /api/search?q=&limit=          forward geocoding through the upstream
+//
+// Reverse lookups fall back to the offline answer, with `onlineError` set,
+// when the upstream fails; searches answer 502.
+//
+// Geocoding calls are forwarded to Nominatim (or Photon, or a self-hosted
+// server) with a User-Agent that identifies the app, as Nominatim's usage
+// policy asks and browsers cannot do, and are rate limited and cached here.
+//
+// No dependencies beyond Node 18+. Configured with environment variables:
+//   PORT, HOST, GEOCODER (nominatim | photon), GEOCODER_URL, GEOCODER_EMAIL,
+//   USER_AGENT
+const http = require('node:http');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const Geo = require('../js/geo.js');
+const LandMask = require('../js/land-mask.js');
+const MarineRegions = require('../js/marine-regions.js');
+const OfflineGeocoder = require('../js/offline-geocoder.js');
+const Geocoding = require('../js/geocoding.js');
+
+const APP_ROOT = path.resolve(__dirname, '..');
+
+// Only these parts of the repository are served
+const STATIC_ENTRIES = ['index.html', 'texture-test.html', 'css', 'js', 'data', 'assets'];
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.webp': 'image/webp'
+};
+
+const DEFAULT_USER_AGENT = 'AntipodalExplorer/1.0 (+https://github.com/hsntrkylmz/antipodal-explorer)';
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+// Upstream provider chosen by the environment, sending our User-Agent
+function providerFromEnvironment(env = process.env) {
+    const userAgent = env.USER_AGENT || DEFAULT_USER_AGENT;
+    const fetchWithAgent = (url, init = {}) =>
+        fetch(url, { ...init, headers: { ...init.headers, 'User-Agent': userAgent } });
+
+    if ((env.GEOCODER || 'nominatim') === 'photon') {
+        return Geocoding.photonProvider({
+            ...(env.GEOCODER_URL ? { baseUrl: env.GEOCODER_URL } : {}),
+            fetch: fetchWithAgent
+        });
+    }
+    return Geocoding.nominatimProvider({
+        ...(env.GEOCODER_URL ? { baseUrl: env.GEOCODER_URL, minInterval: 0 } : {}),
+        email: env.GEOCODER_EMAIL || null,
+        fetch: fetchWithAgent
+    });
+}
+
+function readCoordinates(params) {
+    const lat = params.has('lat') ? Number(params.get('lat')) : NaN;
+    const lng = params.has('lng') ? Number(params.get('lng')) : NaN;
+    if (!Geo.isValidCoordinates(lat, lng)) {
+        throw new HttpError(400, 'lat and lng must be numbers, with lat in [-90, 90] and lng in [-180, 180]');
+    }
+    return { lat, lng };
+}
+
+// What the app shows offline for a point: the body of water, or region and
+// country
+function offlineDescription(lat, lng) {
+    const surface = LandMask.classify(lat, lng);
+    if (surface === 'water') {
+        const region = MarineRegions.find(lat, lng);
+        return { surface, water: region ? region.name : 'Open ocean', place: null };
+    }
+    return { surface, water: null, place: OfflineGeocoder.reverse(lat, lng) };
+}
+
+function antipodeAnswer(params) {
+    const start = readCoordinates(params);
+    const end = Geo.antipode(start.lat, start.lng);
+    return {
+        start: { ...start, surface: LandMask.classify(start.lat, start.lng) },
+        antipode: { ...end, surface: LandMask.classify(end.lat, end.lng) },
+        tunnelKm: Geo.chordLength(start, end),
+        surfaceKm: Geo.greatCircleDistance(start, end)
+    };
+}
+
+async function reverseAnswer(params, geocoder) {
+    const { lat, lng } = readCoordinates(params);
+    const { surface, water, place } = offlineDescription(lat, lng);
+    const wantOnline = params.get('online') !== '0' && surface === 'land';
+
+    let online = null;
+    let onlineError = null;
+    if (wantOnline) {
+        try {
+            online = await geocoder.reverse(lat, lng);
+        } catch (error) {
+            onlineError = `Upstream geocoder failed: ${error.message}`;
+        }
+    }
+
+    const offlineName = water || OfflineGeocoder.describe(place) || 'Unknown location';
+    return {
+        lat,
+        lng,
+        surface,
+        water,
+        place,
+        online,
+        onlineError,
+        address: online && online.city ? `${online.city}, ${offlineName}` : offlineName
+    };
+}
+
+async function searchAnswer(params, geocoder) {
+    const query = (params.get('q') || '').trim();
+    if (!query) throw new HttpError(400, 'q must not be empty');
+    const limit = Math.min(Math.max(parseInt(params.get('limit'), 10) || 5, 1), 20);
+
+    try {
+        return { query, results: await geocoder.search(query, { limit }) };
+    } catch (error) {
+        throw new HttpError(502, `Upstream geocoder failed: ${error.message}`);
+    }
+}
+
+function sendJson(response, status, body) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store',
+        'Access-Control-Allow-Origin': '*'
+    });
+    response.end(JSON.stringify(body));
+}
+
+// Map a URL path to a file inside the served entries, or null
+function staticFile(pathname) {
+    let relative;
+    try {
+        relative = decodeURIComponent(pathname).replace(/^\/+/, '') || 'index.html';
+    } catch (error) {
+        return null;
+    }
+    const file = path.resolve(APP_ROOT, relative);
+    const top = path.relative(APP_ROOT, file).split(path.sep)[0];
+    if (!STATIC_ENTRIES.includes(top)) return null;
+    return file;
+}
+
+function serveStatic(request, response, pathname) {
+    const file = staticFile(pathname);
+    fs.stat(file || '', (statError, stats) => {
+        if (!file || statError || !stats.isFile()) {
+            response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            response.end('Not found');
+            return;
+        }
+        response.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+            'Content-Length': stats.size
+        });
+        if (request.method === 'HEAD') {
+            response.end();
+            return;
+        }
+        fs.createReadStream(file).pipe(response);
+    });
+}
+
+// An http.Server for the app and API. `provider` defaults to the one set up
+// by the environment; tests pass Geocoding.mockProvider().
+function createServer({ provider = providerFromEnvironment(), cache = new Geocoding.MemoryCache(10000) } = {}) {
+    const geocoder = new Geocoding.Geocoder({ provider, cache });
+    const routes = {
+        '/api/health': () => ({ service: 'antipodal-explorer', geocoder: provider.name }),
+        '/api/antipode': params => antipodeAnswer(params),
+        '/api/reverse': params => reverseAnswer(params, geocoder),
+        '/api/search': params => searchAnswer(params, geocoder)
+    };
+
+    return http.createServer(async (request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+
+        if (request.method !== 'GET' && request.method !== 'HEAD') {
+            response.writeHead(405, { Allow: 'GET, HEAD' });
+            response.end();
+            return;
+        }
+
+        if (!url.pathname.startsWith('/api/')) {
+            serveStatic(request, response, url.pathname);
+            return;
+        }
+
+        const route = routes[url.pathname];
+        if (!route) {
+            sendJson(response, 404, { error: `Unknown endpoint ${url.pathname}` });
+            return;
+        }
+        try {
+            sendJson(response, 200, await route(url.searchParams));
+        } catch (error) {
+            if (!(error instanceof HttpError)) console.error('[server]', error);
+            sendJson(response, error.status || 500, { error: error instanceof HttpError ? error.message : 'Internal error' });
+        }
+    });
+}
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || 8080;
+    const host = process.env.HOST || '127.0.0.1';
+    createServer().listen(port, host, () => {
+        console.log(`Antipodal Explorer running at http://${host}:${port}/`);
+    });
+}
+
+module.exports = {
+    createServer,
+    providerFromEnvironment,
+    HttpError
+};
@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const AppState = require('../js/app-state.js');
+
+test('select computes the antipode and enters the selected phase', () => {
+    const store = AppState.createStore();
+    assert.equal(store.getState(), AppState.INITIAL_STATE);
+
+    const selection = store.select({ lat: 40.4168, lng: -3.7038 }, { name: 'Madrid', source: 'sample' });
+    const state = store.getState();
+    assert.equal(state.selection, selection);
+    assert.deepEqual(selection.start, { lat: 40.4168, lng: -3.7038 });
+    assert.deepEqual(selection.end, { lat: -40.4168, lng: 176.2962 });
+    assert.equal(selection.source, 'sample');
+    assert.deepEqual(state.addresses, { start: 'Madrid', end: null });
+    assert.equal(state.phase, 'selected');
+    assert.ok(Object.isFrozen(state) && Object.isFrozen(selection.start));
+});
+
+test('select accepts numeric strings and rejects invalid coordinates', () => {
+    const store = AppState.createStore();
+    assert.deepEqual(store.select({ lat: '10.5', lng: '-20' }).start, { lat: 10.5, lng: -20 });
+    assert.throws(() => store.select({ lat: 91, lng: 0 }), RangeError);
+    assert.throws(() => store.select({ lat: 'north', lng: 0 }), RangeError);
+    assert.equal(store.getState().selection.start.lat, 10.5);
+});
+
+test('subscribers see each change with the previous state', () => {
+    const store = AppState.createStore();
+    const seen = [];
+    const unsubscribe = store.subscribe((state, previous) => seen.push([previous.phase, state.phase]));
+
+    store.select({ lat: 1, lng: 2 });
+    store.setPhase('digging');
+    store.setPhase('digging');
+    store.setPhase('arrived');
+    store.reset();
+    store.reset();
+    assert.deepEqual(seen, [['idle', 'selected'], ['selected', 'digging'], ['digging', 'arrived'], ['arrived', 'idle']]);
+
+    unsubscribe();
+    store.select({ lat: 3, lng: 4 });
+    assert.equal(seen.length, 4);
+});
+
+test('changes made by a subscriber reach every subscriber in order', () => {
+    const store = AppState.createStore();
+    // Like the app: a new selection immediately gets offline addresses
+    store.subscribe((state, previous) => {
+        if (state.selection && state.selection !== previous.selection) {
+            store.setAddress('end', 'Pacific Ocean', state.selection.id);
+        }
+    });
+    const log = [];
+    store.subscribe((state, previous) => log.push({
+        selectionChanged: state.selection !== previous.selection,
+        end: state.addresses.end
+    }));
+
+    store.select({ lat: 0, lng: 0 });
+    assert.deepEqual(log, [
+        { selectionChanged: true, end: null },
+        { selectionChanged: false, end: 'Pacific Ocean' }
+    ]);
+});
+
+test('setAddress drops answers for a replaced selection', () => {
+    const store = AppState.createStore();
+    const first = store.select({ lat: 10, lng: 10 });
+    const second = store.select({ lat: 20, lng: 20 }, { name: 'Picked' });
+
+    assert.equal(store.setAddress('end', 'Late answer', first.id), false);
+    assert.equal(store.setAddress('end', 'Fresh answer', second.id), true);
+    assert.deepEqual(store.getState().addresses, { start: 'Picked', end: 'Fresh answer' });
+
+    assert.throws(() => store.setAddress('middle', 'x'), /Unknown address/);
+    store.reset();
+    assert.equal(store.setAddress('start', 'Nowhere'), false);
+    assert.deepEqual(store.getState().addresses, { start: null, end: null });
+});
+
+test('setPhase checks the phase and needs a selection', () => {
+    const store = AppState.createStore();
+    assert.throws(() => store.setPhase('digging'), /without a selection/);
+    assert.throws(() => store.setPhase('flying'), /Unknown phase/);
+
+    store.select({ lat: 5, lng: 5 });
+    store.setPhase('idle');
+    assert.equal(store.getState().selection, null);
+    assert.equal(store.getState().phase, 'idle');
+});
+
+test('undo and redo restore selections, addresses and the camera', () => {
+    let view = 'globe';
+    const store = AppState.createStore({ captureView: () => view });
+    const first = store.select({ lat: 10, lng: 20 }, { name: 'First' });
+    store.setAddress('end', 'Offline end', first.id, { pending: true });
+    assert.deepEqual(store.getState().pendingAddresses, ['end']);
+    store.setAddress('end', 'Online end', first.id);
+    assert.deepEqual(store.getState().pendingAddresses, []);
+
+    view = 'framing first';
+    store.select({ lat: 30, lng: 40 });
+    assert.equal(store.getState().camera, null);
+
+    view = 'framing second';
+    assert.equal(store.undo(), true);
+    let state = store.getState();
+    assert.equal(state.selection, first);
+    assert.deepEqual(state.addresses, { start: 'First', end: 'Online end' });
+    assert.equal(state.camera, 'framing first');
+    assert.equal(state.phase, 'selected');
+    assert.ok(state.canUndo && state.canRedo);
+
+    assert.equal(store.redo(), true);
+    state = store.getState();
+    assert.deepEqual(state.selection.start, { lat: 30, lng: 40 });
+    assert.equal(state.camera, 'framing second');
+    assert.equal(state.canRedo, false);
+    assert.equal(store.redo(), false);
+
+    // A reset can be undone; a new selection drops what could be redone
+    store.reset();
+    store.undo();
+    assert.deepEqual(store.getState().selection.start, { lat: 30, lng: 40 });
+    store.select({ lat: 50, lng: 60 });
+    assert.equal(store.getState().canRedo, false);
+
+    store.undo();
+    store.undo();
+    store.undo();
+    assert.equal(store.getState().selection, null);
+    assert.equal(store.getState().phase, 'idle');
+    assert.equal(store.undo(), false);
+});
+
+test('undo waits for a dig to finish and keeps a bounded history', () => {
+    const store = AppState.createStore({ historyLimit: 2 });
+    store.select({ lat: 1, lng: 1 });
+    store.select({ lat: 2, lng: 2 });
+    store.setPhase('digging');
+    assert.equal(store.undo(), false);
+    store.setPhase('arrived');
+    assert.equal(store.undo(), true);
+    assert.equal(store.getState().phase, 'selected');
+
+    store.redo();
+    store.select({ lat: 3, lng: 3 });
+    assert.equal(store.undo() && store.undo(), true);
+    assert.equal(store.getState().selection.start.lat, 1);
+    assert.equal(store.undo(), false);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Batch = require('../js/batch.js');
+
+const CSV = 'name,lat,lng\nMadrid,40.4168,-3.7038\nQuito,-0.18,-78.47\nBad,95,0\nAuckland,-36.8485,174.7633\n';
+
+test('toCsv writes one row per record with the failures kept', () => {
+    const results = Batch.readRecords(CSV).map(Batch.resolveRecord);
+    const lines = Batch.toCsv(results, 2).trimEnd().split('\n');
+    assert.equal(lines.length, 5);
+    assert.match(lines[1], /^"40\.4168, -3\.7038",Madrid,40\.42,-3\.70,land,/);
+    assert.equal(lines[3], `"95, 0",Bad,,,,,,,,,,,,Latitude 95 in '95' is out of range (-90 to 90)`);
+});
+
+test('toGeoJson writes points that read back in as batch input', () => {
+    const results = Batch.readRecords(CSV).map(Batch.resolveRecord);
+    const collection = JSON.parse(Batch.toGeoJson(results, 4));
+    assert.equal(collection.type, 'FeatureCollection');
+    assert.equal(collection.features.length, 4);
+
+    const [madrid] = collection.features;
+    assert.deepEqual(madrid.geometry, { type: 'Point', coordinates: [-3.7038, 40.4168] });
+    assert.equal(madrid.properties.name, 'Madrid');
+    assert.equal(madrid.properties.antipode_lng, 176.2962);
+    assert.equal(madrid.properties.antipode_surface, 'land');
+    assert.equal(collection.features[2].geometry, null);
+    assert.ok(collection.features[2].properties.error);
+
+    const again = Batch.readRecords(JSON.stringify(collection)).map(Batch.resolveRecord);
+    assert.deepEqual(again.filter(result => !result.error).map(result => result.name), ['Madrid', 'Quito', 'Auckland']);
+});
+
+test('sortResults orders by text or number and keeps failures last', () => {
+    const results = Batch.readRecords(CSV).map(Batch.resolveRecord);
+    const names = list => list.map(result => result.name);
+
+    assert.deepEqual(names(Batch.sortResults(results, 'name')), ['Auckland', 'Bad', 'Madrid', 'Quito']);
+    assert.deepEqual(names(Batch.sortResults(results, 'lat')), ['Auckland', 'Quito', 'Madrid', 'Bad']);
+    assert.deepEqual(names(Batch.sortResults(results, 'lat', { descending: true })), ['Madrid', 'Quito', 'Auckland', 'Bad']);
+    assert.deepEqual(names(Batch.sortResults(results, 'antipode_surface')).slice(-1), ['Bad']);
+    assert.throws(() => Batch.sortResults(results, 'colour'), /Unknown column/);
+});
+
+test('a bad GeoJSON feature or position is reported without stopping the file', () => {
+    const point = coordinates => ({ type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates } });
+    const records = Batch.readRecords(JSON.stringify({
+        type: 'FeatureCollection',
+        features: [
+            { type: 'Feature', properties: {}, geometry: { type: 'Point' } },
+            null,
+            { type: 'Feature', properties: { name: 'Nowhere' }, geometry: null },
+            point(['10', 20]),
+            { type: 'Feature', properties: {}, geometry: { type: 'MultiPoint', coordinates: [[20, 10], null] } },
+            point([3, 4])
+        ]
+    }));
+    assert.deepEqual(records.map(record => record.error || record.input), [
+        'Feature 1 has no coordinates',
+        'Feature 2 is not a GeoJSON feature',
+        'Feature 3 has no geometry',
+        'Feature 4 has a position that is not [longitude, latitude]',
+        '10, 20',
+        'Feature 5 has a position that is not [longitude, latitude]',
+        '4, 3'
+    ]);
+    assert.equal(records[2].input, 'Nowhere');
+    assert.equal(Batch.resolveRecord(records[0]).error, 'Feature 1 has no coordinates');
+
+    assert.throws(() => Batch.readRecords('{"type":"FeatureCollection","features":{}}'), /features is not a list/);
+});
+
+test('CSV rows without coordinates fall back to the name', () => {
+    const records = Batch.readRecords('name,lat,lng,notes\nWellington,,,\n,,,unnamed\nMadrid,40.4168,-3.7038,\n');
+    assert.deepEqual(records, [
+        { input: 'Wellington', name: 'Wellington' },
+        { input: '', name: '', error: 'Row 3 has no coordinates' },
+        { input: '40.4168, -3.7038', name: 'Madrid' }
+    ]);
+    const wellington = Batch.resolveRecord(records[0]);
+    assert.equal(wellington.name, 'Wellington');
+    assert.ok(Math.abs(wellington.start.lat + 41.29) < 0.1, `${wellington.start.lat}`);
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('node:stream');
+
+const Cli = require('../bin/antipode.js');
+
+// Collects what main() writes
+function sink() {
+    const stream = { text: '', write(chunk) { stream.text += chunk; } };
+    return stream;
+}
+
+async function run(argv, input = null) {
+    const stdin = input === null ? Object.assign(Readable.from([]), { isTTY: true }) : Readable.from([input]);
+    const stdout = sink();
+    const stderr = sink();
+    const code = await Cli.main(argv, { stdin, stdout, stderr });
+    return { code, stdout: stdout.text, stderr: stderr.text };
+}
+
+test('parseArguments joins the location and keeps negative numbers', () => {
+    const options = Cli.parseArguments(['40.7128', '-74.0060', '--format', 'csv', '-p', '3']);
+    assert.equal(options.location, '40.7128 -74.0060');
+    assert.equal(options.format, 'csv');
+    assert.equal(options.precision, 3);
+
+    assert.throws(() => Cli.parseArguments(['--format', 'xml']), Cli.UsageError);
+    assert.throws(() => Cli.parseArguments(['--verbose']), /Unknown option --verbose/);
+    assert.throws(() => Cli.parseArguments(['-p']), /needs a value/);
+});
+
+test('parseCsv handles quotes, escaped quotes and CRLF', () => {
+    assert.deepEqual(Cli.parseCsv('name,lat\r\n"Paris, France",48.85\r\n"Say ""hi""",1\n\n'), [
+        ['name', 'lat'],
+        ['Paris, France', '48.85'],
+        ['Say "hi"', '1']
+    ]);
+});
+
+test('readRecords recognises CSV, GeoJSON and plain lines', () => {
+    assert.deepEqual(Cli.readRecords('name,latitude,longitude\nHome,10,20\n'), [
+        { input: '10, 20', name: 'Home' }
+    ]);
+    assert.deepEqual(Cli.readRecords('city\nLima\n'), [{ input: 'Lima', name: 'Lima' }]);
+    assert.deepEqual(Cli.readRecords('10,20\n30,40\n', 'csv'), [{ input: '10, 20' }, { input: '30, 40' }]);
+
+    const geojson = JSON.stringify({
+        type: 'FeatureCollection',
+        features: [
+            { type: 'Feature', properties: { name: 'A' }, geometry: { type: 'Point', coordinates: [20, 10] } },
+            { type: 'Feature', properties: {}, geometry: { type: 'LineString', coordinates: [[0, 0], [1, 1]] } }
+        ]
+    });
+    const records = Cli.readRecords(geojson);
+    assert.deepEqual(records[0], { input: '10, 20', name: 'A', lat: 10, lng: 20 });
+    assert.match(records[1].error, /not LineString/);
+
+    assert.deepEqual(Cli.readRecords('# comment\nTokyo\n\n35 139\n'), [{ input: 'Tokyo' }, { input: '35 139' }]);
+});
+
+test('resolveRecord works offline from coordinates or place names', () => {
+    const newYork = Cli.resolveRecord({ input: '40.7128, -74.0060' });
+    assert.equal(newYork.start.place, 'New York, United States');
+    assert.deepEqual({ ...newYork.antipode, lng: Number(newYork.antipode.lng.toFixed(6)) },
+        { lat: -40.7128, lng: 105.994, surface: 'water', place: 'Indian Ocean', countryCode: null });
+    assert.ok(Math.abs(newYork.chordKm - 2 * 6371.0088) < 1e-6);
+    assert.ok(newYork.ellipsoidChordKm < newYork.chordKm);
+
+    const wellington = Cli.resolveRecord({ input: 'Wellington, New Zealand' });
+    assert.equal(wellington.name, 'Wellington, New Zealand');
+    assert.equal(wellington.antipode.countryCode, 'ES');
+
+    assert.match(Cli.resolveRecord({ input: 'qwxzzy' }).error, /No place called/);
+    assert.match(Cli.resolveRecord({ input: '95, 0', name: 'Bad' }).error, /out of range/);
+    assert.equal(Cli.resolveRecord({ input: '95, 0', name: 'Bad' }).name, 'Bad');
+});
+
+test('main prints a table for a location given as arguments', async () => {
+    const { code, stdout } = await run(['Madrid']);
+    assert.equal(code, 0);
+    const [header, rule, row] = stdout.trimEnd().split('\n');
+    assert.match(header, /^Location\s+Coordinates\s+Surface/);
+    assert.match(rule, /^-+ +-+/);
+    assert.match(row, /Madrid, Spain.*-40\.416\d+, 176\.29\d+.*New Zealand/);
+});
+
+test('main converts CSV on stdin to CSV and reports failed rows', async () => {
+    const { code, stdout } = await run(['--format', 'csv', '-p', '2'], 'name,lat,lng\n"Quito, EC",-0.18,-78.47\nBad,95,0\n');
+    assert.equal(code, 1);
+    const lines = stdout.trimEnd().split('\n');
+    assert.equal(lines[0], 'input,name,lat,lng,surface,place,antipode_lat,antipode_lng,antipode_surface,antipode_place,' +
+        'great_circle_km,chord_km,ellipsoid_chord_km,error');
+    assert.match(lines[1], /^"-0\.18, -78\.47","Quito, EC",-0\.18,-78\.47,land,"Pichincha, Ecuador",0\.18,101\.53,land,/);
+    assert.match(lines[2], /^"95, 0",Bad,(,){11}Latitude 95/);
+});
+
+test('main writes rounded JSON', async () => {
+    const { code, stdout } = await run(['-f', 'json', '-p', '4', '--', 'Wellington']);
+    assert.equal(code, 0);
+    const [result] = JSON.parse(stdout);
+    assert.equal(result.antipode.lng, -5.2244);
+});
+
+test('main explains usage errors', async () => {
+    const missing = await run([]);
+    assert.equal(missing.code, 2);
+    assert.match(missing.stderr, /give a location or pipe data/);
+
+    const help = await run(['--help']);
+    assert.equal(help.code, 0);
+    assert.match(help.stdout, /^Usage: antipode/);
+
+    const badJson = await run(['-i', 'geojson'], '{not json');
+    assert.equal(badJson.code, 2);
+    assert.match(badJson.stderr, /not valid GeoJSON/);
+});
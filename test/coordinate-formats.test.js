@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const CoordinateFormats = require('../js/coordinate-formats.js');
+
+function assertNear(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: expected ${expected}, got ${actual}`);
+}
+
+test('decodeGeohash returns the cell centre and size', () => {
+    const cell = CoordinateFormats.decodeGeohash('u4pruydqqvj');
+    assertNear(cell.lat, 57.64911, 1e-5, 'lat');
+    assertNear(cell.lng, 10.40744, 1e-5, 'lng');
+    assert.ok(cell.latError < 1e-5 && cell.lngError < 1e-5);
+    assert.throws(() => CoordinateFormats.decodeGeohash('abc'), /'a' is not a geohash character/);
+});
+
+test('plus codes decode to the reference cell centre', () => {
+    const area = CoordinateFormats.decodePlusCode('849VCWC8+R9');
+    assertNear(area.lat, 37.4220625, 1e-9, 'lat');
+    assertNear(area.lng, -122.0840625, 1e-9, 'lng');
+    assertNear(area.latSize, 0.000125, 1e-12, 'size');
+
+    const padded = CoordinateFormats.decodePlusCode('8FVC0000+');
+    assertNear(padded.lat, 47.5, 1e-9, 'padded lat');
+    assertNear(padded.lng, 8.5, 1e-9, 'padded lng');
+});
+
+test('encodePlusCode matches the reference implementation', () => {
+    assert.equal(CoordinateFormats.encodePlusCode(37.4220625, -122.0840625), '849VCWC8+R9');
+    assert.equal(CoordinateFormats.encodePlusCode(47.365590, 8.524997, 10), '8FVC9G8F+6X');
+    assert.equal(CoordinateFormats.encodePlusCode(47.0000625, 8.0000625, 11), '8FVC2222+22G');
+    assert.equal(CoordinateFormats.encodePlusCode(47.5, 8.5, 4), '8FVC0000+');
+    assert.equal(CoordinateFormats.encodePlusCode(90, 1, 10), 'CFX3X2X2+X2');
+});
+
+test('short plus codes are recovered next to a reference point', () => {
+    assert.equal(CoordinateFormats.recoverNearestPlusCode('CWC8+R9', 37.39, -122.08), '849VCWC8+R9');
+    assert.equal(CoordinateFormats.recoverNearestPlusCode('9G8F+6X', 47.4, 8.6), '8FVC9G8F+6X');
+    // The nearest match lies in the previous degree of latitude
+    assert.equal(CoordinateFormats.recoverNearestPlusCode('XXXX+', 51.3708675, -1.217765625), '9C2WXXXX+');
+});
+
+test('plusCodeProblem explains malformed codes', () => {
+    assert.equal(CoordinateFormats.plusCodeProblem('849VCWC8+R9'), null);
+    assert.match(CoordinateFormats.plusCodeProblem('849VCWC8R9'), /exactly one "\+"/);
+    assert.match(CoordinateFormats.plusCodeProblem('849VCWCA+R9'), /'A' is not a plus code character/);
+    assert.match(CoordinateFormats.plusCodeProblem('849VCWC8+R'), /single character after/);
+    assert.equal(CoordinateFormats.isFullPlusCode('849VCWC8+R9'), true);
+    assert.equal(CoordinateFormats.isShortPlusCode('CWC8+R9'), true);
+});
+
+test('toUtm and fromUtm agree with published values and each other', () => {
+    const origin = CoordinateFormats.toUtm(0, 0);
+    assert.equal(origin.zone, 31);
+    assert.equal(origin.band, 'N');
+    assertNear(origin.easting, 166021.443, 0.001, 'easting');
+    assertNear(origin.northing, 0, 0.001, 'northing');
+
+    const newYork = CoordinateFormats.toUtm(40.7128, -74.006);
+    assert.equal(newYork.zone, 18);
+    assert.equal(newYork.band, 'T');
+    assert.equal(newYork.hemisphere, 'N');
+
+    const sydney = CoordinateFormats.toUtm(-33.8688, 151.2093);
+    assert.equal(sydney.hemisphere, 'S');
+    assert.ok(sydney.northing > 6000000 && sydney.northing < 10000000);
+
+    for (const [lat, lng] of [[-33.8688, 151.2093], [0, 0.5], [64.1466, -21.9426], [-79.9, 170]]) {
+        const forward = CoordinateFormats.toUtm(lat, lng);
+        const back = CoordinateFormats.fromUtm(forward.zone, forward.hemisphere, forward.easting, forward.northing);
+        assertNear(back.lat, lat, 1e-8, `lat ${lat}`);
+        assertNear(back.lng, lng, 1e-8, `lng ${lng}`);
+    }
+    assert.throws(() => CoordinateFormats.toUtm(85, 0), /80°S to 84°N/);
+});
+
+test('utmZone handles the Norway and Svalbard exceptions', () => {
+    assert.equal(CoordinateFormats.utmZone(40.7, -74), 18);
+    assert.equal(CoordinateFormats.utmZone(60.39, 5.32), 32); // Bergen
+    assert.equal(CoordinateFormats.utmZone(78.22, 15.65), 33); // Longyearbyen
+    assert.equal(CoordinateFormats.utmZone(0, 180), 60);
+});
+
+test('fromMgrs resolves the 100 km square and the band', () => {
+    const position = CoordinateFormats.fromMgrs(18, 'T', 'WL', '8562811322');
+    assertNear(position.lat, 40.7484, 1e-4, 'lat');
+    assertNear(position.lng, -73.9857, 1e-4, 'lng');
+
+    const sydney = CoordinateFormats.fromMgrs(56, 'H', 'LH', '3478652080');
+    assertNear(sydney.lat, -33.8587, 1e-4, 'lat');
+    assertNear(sydney.lng, 151.2140, 1e-4, 'lng');
+
+    // A bare square names its centre
+    const square = CoordinateFormats.fromMgrs(18, 'T', 'WL', '');
+    assertNear(square.lat, 41.1, 0.01, 'square lat');
+
+    assert.throws(() => CoordinateFormats.fromMgrs(18, 'T', 'AL', '11'), /column letter 'A' is not used in zone 18/);
+    assert.throws(() => CoordinateFormats.fromMgrs(18, 'T', 'WA', '8562811322'), /does not lie in band T/);
+});
+
+test('encodeGeohash matches the reference hash', () => {
+    assert.equal(CoordinateFormats.encodeGeohash(57.64911, 10.40744, 11), 'u4pruydqqvj');
+    assert.equal(CoordinateFormats.encodeGeohash(40.7128, -74.006, 6), 'dr5reg');
+    const cell = CoordinateFormats.decodeGeohash(CoordinateFormats.encodeGeohash(-33.8688, 151.2093));
+    assertNear(cell.lat, -33.8688, cell.latError, 'lat');
+    assertNear(cell.lng, 151.2093, cell.lngError, 'lng');
+});
+
+test('toMgrs writes references fromMgrs reads back', () => {
+    assert.equal(CoordinateFormats.toMgrs(40.7128, -74.006), '18T WL 83959 07350');
+    assert.equal(CoordinateFormats.toMgrs(40.7128, -74.006, 2), '18T WL 83 07');
+    assert.equal(CoordinateFormats.toMgrs(40.7128, -74.006, 0), '18T WL');
+
+    for (const [lat, lng] of [[-33.8688, 151.2093], [64.1466, -21.9426], [-0.5, -179.99]]) {
+        const [zoneBand, square, easting, northing] = CoordinateFormats.toMgrs(lat, lng).split(' ');
+        const zone = parseInt(zoneBand, 10);
+        const back = CoordinateFormats.fromMgrs(zone, zoneBand.slice(-1), square, easting + northing);
+        assertNear(back.lat, lat, 2e-5, `lat ${lat}`);
+        assertNear(back.lng, lng, 2e-5, `lng ${lng}`);
+    }
+});
+
+test('format writes each display format', () => {
+    const [lat, lng] = [40.7128, -74.006];
+    assert.equal(CoordinateFormats.format(lat, lng, 'dd'), '40.712800, -74.006000');
+    assert.equal(CoordinateFormats.format(lat, lng, 'dms'), '40°42′46.1″N 74°0′21.6″W');
+    assert.equal(CoordinateFormats.format(lat, lng, 'utm'), '18T 583959mE 4507350mN');
+    assert.equal(CoordinateFormats.format(lat, lng, 'mgrs'), '18T WL 83959 07350');
+    assert.equal(CoordinateFormats.format(lat, lng, 'geohash'), 'geohash:dr5regw3p');
+    assert.equal(CoordinateFormats.format(lat, lng, 'pluscode'), '87G7PX7V+4J');
+    assert.deepEqual(Object.keys(CoordinateFormats.DISPLAY_FORMATS), ['dd', 'dms', 'utm', 'mgrs', 'geohash', 'pluscode']);
+});
+
+test('format leaves polar positions out of UTM and MGRS', () => {
+    assert.equal(CoordinateFormats.format(89.5, 10, 'utm'), null);
+    assert.equal(CoordinateFormats.format(-85, 10, 'mgrs'), null);
+    assert.equal(CoordinateFormats.format(89.5, 10, 'geohash'), 'geohash:upzj5scz2');
+    assert.throws(() => CoordinateFormats.format(0, 0, 'w3w'), /Unknown coordinate format 'w3w'/);
+});
+
+test('formatDms carries rounded seconds into minutes', () => {
+    assert.equal(CoordinateFormats.formatDms(10.999999, 'N', 'S'), '11°0′0.0″N');
+    assert.equal(CoordinateFormats.formatDms(-0.5, 'E', 'W'), '0°30′0.0″W');
+});
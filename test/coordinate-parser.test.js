@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const CoordinateFormats = require('../js/coordinate-formats.js');
+const CoordinateParser = require('../js/coordinate-parser.js');
+
+const { CoordinateParseError } = CoordinateParser;
+
+function assertParses(text, lat, lng, format, options) {
+    const parsed = CoordinateParser.parse(text, options);
+    assert.ok(parsed, `'${text}' was not recognised`);
+    assert.ok(Math.abs(parsed.lat - lat) < 1e-4, `${text}: lat ${parsed.lat}`);
+    assert.ok(Math.abs(parsed.lng - lng) < 1e-4, `${text}: lng ${parsed.lng}`);
+    assert.equal(parsed.format, format, text);
+}
+
+function assertFails(text, part, message) {
+    assert.throws(() => CoordinateParser.parse(text), (error) => {
+        assert.ok(error instanceof CoordinateParseError, `${text}: ${error}`);
+        assert.equal(error.part, part, text);
+        if (message) assert.match(error.message, message);
+        return true;
+    });
+}
+
+test('parses decimal degrees with signs or hemisphere letters', () => {
+    assertParses('40.7128, -74.0060', 40.7128, -74.006, 'decimal');
+    assertParses('-33.8688 151.2093', -33.8688, 151.2093, 'decimal');
+    assertParses('40.7128N, 74.0060W', 40.7128, -74.006, 'decimal');
+    assertParses('40.7128° N 74.0060° W', 40.7128, -74.006, 'dms');
+    assertParses('S33.8688 E151.2093', -33.8688, 151.2093, 'decimal');
+    // Hemisphere letters can put longitude first
+    assertParses('74.006W 40.7128N', 40.7128, -74.006, 'decimal');
+});
+
+test('parses degrees, minutes and seconds', () => {
+    assertParses('40°42\'46"N 74°0\'22"W', 40.712778, -74.006111, 'dms');
+    assertParses('40° 42′ 46″ N, 74° 0′ 22″ W', 40.712778, -74.006111, 'dms');
+    assertParses('N 40 42.767 W 74 0.367', 40.712783, -74.006117, 'dms');
+    assertParses('33 52 08 S 151 12 33 E', -33.868889, 151.209167, 'dms');
+    assertParses('-33°52\'08", 151°12\'33"', -33.868889, 151.209167, 'dms');
+});
+
+test('parses geo: URIs and Google Maps links', () => {
+    assertParses('geo:37.786971,-122.399677;u=35', 37.786971, -122.399677, 'geo-uri');
+    assertParses('geo:-33.8688,151.2093?z=12', -33.8688, 151.2093, 'geo-uri');
+    assertParses('https://www.google.com/maps/@35.6762,139.6503,12z', 35.6762, 139.6503, 'google-maps');
+    assertParses('https://maps.google.com/?q=51.5074,-0.1278', 51.5074, -0.1278, 'google-maps');
+    assertParses('https://www.google.com/maps/search/?api=1&query=48.8584%2C2.2945', 48.8584, 2.2945, 'google-maps');
+    // The pin (!3d/!4d) wins over the map view (@)
+    assertParses(
+        'https://www.google.com/maps/place/Eiffel+Tower/@48.8583701,2.2922926,17z/data=!3m1!4b1!4m5!3m4!1s0x0:0x0!8m2!3d48.8583701!4d2.2944813',
+        48.8583701, 2.2944813, 'google-maps'
+    );
+});
+
+test('parses geohashes and plus codes', () => {
+    assertParses('u4pruydqqvj', 57.64911, 10.40744, 'geohash');
+    assertParses('geohash:gcpvj', 51.525879, -0.109863, 'geohash');
+    assertParses('849VCWC8+R9', 37.4220625, -122.0840625, 'plus-code');
+    assertParses('cwc8+r9, Mountain View', 37.4220625, -122.0840625, 'plus-code', {
+        resolveLocality: name => (name === 'Mountain View' ? { lat: 37.39, lng: -122.08 } : null)
+    });
+});
+
+test('parses UTM and MGRS references', () => {
+    assertParses('18T 585628 4511322', 40.7484, -73.9857, 'utm');
+    assertParses('18T 585628mE 4511322mN', 40.7484, -73.9857, 'utm');
+    assertParses('56 south 334786 6252080', -33.8587, 151.2140, 'utm');
+    assertParses('18TWL8562811322', 40.7484, -73.9857, 'mgrs');
+    assertParses('18T WL 85628 11322', 40.7484, -73.9857, 'mgrs');
+    assertParses('56H LH 34786 52080', -33.8587, 151.2140, 'mgrs');
+});
+
+test('returns null for text that is not coordinates', () => {
+    for (const text of ['Paris', 'New York, NY', '10 Downing Street', 'Freudenberg', '', '   ']) {
+        assert.equal(CoordinateParser.parse(text), null, text);
+    }
+});
+
+test('returns null for postcodes made of digits and hemisphere letters', () => {
+    for (const text of ['90210', '10001', 'E17', 'N1', 'W1', 'SW1', 'SW1 2', '90210-1234']) {
+        assert.equal(CoordinateParser.parse(text), null, text);
+    }
+    // A comma, a degree mark, letters on both halves, a decimal point or
+    // several numbers still mean coordinates
+    assertFails('90210, 10001', '90210', /Latitude 90210/);
+    assertFails('90°210', '90°210', /separate them with a comma/);
+    assertFails('40N 74W 12', '40N 74W 12', /separate them with a comma/);
+    assertFails('90210.5', '90210.5', /separate them with a comma/);
+});
+
+test('errors name the part that failed', () => {
+    assertFails('95N 10E', '95N', /Latitude 95 .* out of range/);
+    assertFails('40.7, 200', '200', /Longitude 200 .* out of range/);
+    assertFails('40°75\'N 74W', '40°75\'N', /Minutes 75/);
+    assertFails('40 30 75 N 74 W', '40 30 75 N', /Seconds 75/);
+    assertFails('40N 30S', '30S', /both latitudes/);
+    assertFails('-40S 30E', '-40S', /minus sign and a hemisphere letter/);
+    assertFails('48.85 2.35 7', '48.85 2.35 7', /separate them with a comma/);
+    assertFails('40 30 75 74', '75 74', /Minutes 74/);
+    assertFails('geo:abc', 'abc', /geo: URI/);
+    assertFails('geo:1,2;crs=nad27', ';crs=nad27', /not supported/);
+    assertFails('https://goo.gl/maps/abc', 'https://goo.gl/maps/abc', /Shortened/);
+    assertFails('https://www.google.com/maps/place/Somewhere', 'https://www.google.com/maps/place/Somewhere', /no coordinates/);
+    assertFails('https://example.com/map', 'https://example.com/map', /Only Google Maps/);
+    assertFails('849VCWCA+R9', '849VCWCA+R9', /'A' is not a plus code character/);
+    assertFails('CWC8+R9', 'CWC8+R9', /needs a nearby town/);
+    assertFails('geohash:u4pa', 'a', /'a' in geohash/);
+    assertFails('61T 585628 4511322', '61', /UTM zone 61/);
+    assertFails('18Z 585628 4511322', 'Z', /Polar band Z/);
+    assertFails('18T 50 4511322', '50', /easting 50/);
+    assertFails('18TWL856281132', '856281132', /even count/);
+    assertFails('18TWA8562811322', 'WA', /does not lie in band T/);
+});
+
+test('every display format reads back as the same place', () => {
+    const places = [[40.4168, -3.7038], [-33.8688, 151.2093], [64.1466, -21.9426], [-0.18, -78.47], [90, 0], [-89.5, 179.5]];
+    for (const style of Object.keys(CoordinateFormats.DISPLAY_FORMATS)) {
+        for (const [lat, lng] of places) {
+            const text = CoordinateFormats.format(lat, lng, style);
+            if (text === null) continue;
+            const parsed = CoordinateParser.parse(text);
+            assert.ok(parsed, `${style}: '${text}' was not recognised`);
+            assert.ok(Math.abs(parsed.lat - lat) < 1e-3, `${style}: '${text}' gave lat ${parsed.lat}`);
+            // Longitude means nothing at the pole
+            if (Math.abs(lat) < 90) assert.ok(Math.abs(parsed.lng - lng) < 1e-3, `${style}: '${text}' gave lng ${parsed.lng}`);
+        }
+    }
+});
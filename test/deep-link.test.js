@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const DeepLink = require('../js/deep-link.js');
+
+test('encode writes a compact fragment', () => {
+    assert.equal(DeepLink.encode({}), '');
+    assert.equal(DeepLink.encode({ start: null, dig: true }), '');
+
+    assert.equal(DeepLink.encode({
+        start: { lat: 40.41680004, lng: -3.7038 },
+        name: 'Madrid, Spain & more',
+        camera: { position: [1.23456, 0.5, -2], target: [0, 0, 0] },
+        options: { ellipsoid: true, digMode: 'vertical', format: 'dms' },
+        dig: true
+    }), 'at=40.4168,-3.7038&name=Madrid%2C%20Spain%20%26%20more&cam=1.2346,0.5,-2&ellipsoid=1&mode=vertical&format=dms&dig=1');
+
+    assert.equal(DeepLink.encode({
+        start: { lat: 0, lng: 0 },
+        camera: { position: [0, 0, 2], target: [0, 0, 1] },
+        options: { ellipsoid: false }
+    }), 'at=0,0&cam=0,0,2,0,0,1&ellipsoid=0');
+});
+
+test('decode reads what encode writes', () => {
+    const state = {
+        start: { lat: -33.8688, lng: 151.2093 },
+        name: 'Sydney',
+        camera: { position: [1, 2, 3], target: [0.1, 0.2, 0.3] },
+        options: { ellipsoid: false, digMode: 'centre', format: 'mgrs' },
+        dig: false
+    };
+    assert.deepEqual(DeepLink.decode(`#${DeepLink.encode(state)}`), { ...state, errors: [] });
+    assert.deepEqual(DeepLink.decode('?at=1,2&name=New+York&dig').name, 'New York');
+    assert.equal(DeepLink.decode('at=1,2&dig').dig, true);
+    assert.deepEqual(DeepLink.decode('at=1,2&cam=0,0,3').camera, { position: [0, 0, 3], target: [0, 0, 0] });
+});
+
+test('decode skips parts it cannot read', () => {
+    assert.deepEqual(DeepLink.decode(''), { start: null, name: null, camera: null, options: {}, dig: false, errors: [] });
+
+    const link = DeepLink.decode('#at=10,20&cam=1,2&ellipsoid=yes&zoom=4&name=%E0%A4%A');
+    assert.deepEqual(link.start, { lat: 10, lng: 20 });
+    assert.equal(link.camera, null);
+    assert.deepEqual(link.options, {});
+    assert.deepEqual(link.errors, ['cam', 'ellipsoid', 'zoom', 'name']);
+
+    // A camera inside the globe is dropped, even at a fair distance from
+    // its target
+    for (const cam of ['0,0,0.5', '0,0,0.5,0,0,-1', '0,0,0,0,0,0']) {
+        const view = DeepLink.decode(`at=1,2&cam=${cam}`);
+        assert.equal(view.camera, null, cam);
+        assert.deepEqual(view.errors, ['cam'], cam);
+    }
+    // One beyond the zoom range is brought back into it
+    const far = DeepLink.decode('at=1,2&cam=0,0,8');
+    assert.deepEqual(far.camera, { position: [0, 0, DeepLink.CAMERA_DISTANCE.max], target: [0, 0, 0] });
+    assert.deepEqual(far.errors, []);
+    assert.deepEqual(DeepLink.decode('at=1,2&cam=0,0,1.2').camera.position, [0, 0, DeepLink.CAMERA_DISTANCE.min]);
+
+    // Without a valid start point nothing else applies
+    const invalid = DeepLink.decode('at=95,0&name=Nowhere&dig=1&format=dms');
+    assert.equal(invalid.start, null);
+    assert.equal(invalid.name, null);
+    assert.equal(invalid.dig, false);
+    assert.deepEqual(invalid.options, { format: 'dms' });
+    assert.deepEqual(invalid.errors, ['at']);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Geo = require('../js/geo.js');
+const DigExport = require('../js/dig-export.js');
+
+const MADRID = { lat: 40.4168, lng: -3.7038 };
+const DIG = {
+    start: MADRID,
+    end: Geo.antipode(MADRID.lat, MADRID.lng),
+    startAddress: 'Madrid, Spain',
+    endAddress: 'Manawatu-Wanganui, New Zealand'
+};
+const NOW = Date.UTC(2024, 0, 2, 3, 4, 5);
+
+test('arcCoordinates runs over the nearer pole for half the globe', () => {
+    const arc = DigExport.arcCoordinates(DIG.start, DIG.end);
+    assert.deepEqual(arc[0], [MADRID.lng, MADRID.lat]);
+    assert.deepEqual(arc[arc.length - 1], [DIG.end.lng, DIG.end.lat]);
+    assert.ok(arc.some(([lng, lat]) => lng === MADRID.lng && lat === 90));
+    assert.ok(arc.some(([lng, lat]) => lng === DIG.end.lng && lat === 90));
+
+    let total = 0;
+    for (let i = 1; i < arc.length; i++) {
+        total += Geo.greatCircleDistance({ lat: arc[i - 1][1], lng: arc[i - 1][0] }, { lat: arc[i][1], lng: arc[i][0] });
+    }
+    assert.ok(Math.abs(total - Geo.greatCircleDistance(DIG.start, DIG.end)) < 1e-6);
+
+    const south = DigExport.arcCoordinates({ lat: -10, lng: 20 }, { lat: 10, lng: -160 });
+    assert.ok(south.some(([, lat]) => lat === -90));
+    const fromPole = DigExport.arcCoordinates({ lat: 90, lng: 0 }, { lat: -90, lng: 180 });
+    assert.deepEqual(fromPole[0], [0, 90]);
+    assert.deepEqual(fromPole[1], [180, 90]);
+});
+
+test('toGeoJson writes both points and the route with metadata', () => {
+    const collection = JSON.parse(DigExport.toGeoJson(DIG, { now: NOW }));
+    const [start, antipode, route] = collection.features;
+
+    assert.deepEqual(start.geometry, { type: 'Point', coordinates: [-3.7038, 40.4168] });
+    assert.equal(start.properties.address, 'Madrid, Spain');
+    assert.deepEqual(antipode.geometry.coordinates, [176.2962, -40.4168]);
+    assert.equal(route.geometry.type, 'LineString');
+    assert.equal(route.properties.surface_km, 20015.114);
+    assert.equal(route.properties.tunnel_km, 12742.018);
+    assert.ok(route.properties.ellipsoid_tunnel_km < route.properties.tunnel_km);
+    assert.equal(route.properties.exported_at, '2024-01-02T03:04:05.000Z');
+});
+
+test('toKml escapes text and writes lng,lat coordinates', () => {
+    const kml = DigExport.toKml({ ...DIG, startAddress: 'Fish & "Chips" <Bay>', endAddress: null }, { now: NOW });
+    assert.match(kml, /^<\?xml version="1\.0" encoding="UTF-8"\?>\n<kml xmlns="http:\/\/www\.opengis\.net\/kml\/2\.2">/);
+    assert.match(kml, /<name>Antipodal dig: Fish &amp; &quot;Chips&quot; &lt;Bay&gt; to Antipode<\/name>/);
+    assert.match(kml, /<Point><coordinates>-3\.7038,40\.4168,0<\/coordinates><\/Point>/);
+    assert.match(kml, /<Data name="surface_km"><value>20015\.114<\/value><\/Data>/);
+    assert.match(kml, /<tessellate>1<\/tessellate><coordinates>-3\.7038,40\.4168,0 /);
+    assert.doesNotMatch(kml, /Data name="address"><value>null/);
+});
+
+test('filename comes from the start address or coordinates', () => {
+    assert.equal(DigExport.filename(DIG, 'kml'), 'antipode-madrid-spain.kml');
+    assert.equal(DigExport.filename({ ...DIG, startAddress: 'São Paulo, Brasil' }, 'geojson'), 'antipode-sao-paulo-brasil.geojson');
+    assert.equal(DigExport.filename({ start: { lat: -1.5, lng: 2 } }, 'kml'), 'antipode--1.5000_2.0000.kml');
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const DigHistory = require('../js/dig-history.js');
+const { memoryStorage } = require('./helpers/memory-storage.js');
+
+test('add records digs newest first and persists them', () => {
+    const storage = memoryStorage();
+    let time = 1000;
+    const history = DigHistory.createDigHistory({ storage, now: () => time });
+
+    history.add({ start: { lat: 40.4168, lng: -3.7038 }, end: { lat: -40.4168, lng: 176.2962 }, startAddress: 'Madrid' });
+    time = 2000;
+    const second = history.add({ start: { lat: 1, lng: 2 }, end: { lat: -1, lng: -178 } });
+
+    const entries = history.entries();
+    assert.deepEqual(entries.map(entry => entry.startAddress), [null, 'Madrid']);
+    assert.equal(entries[0].id, second.id);
+    assert.equal(entries[0].completedAt, 2000);
+    assert.deepEqual(entries[1].runs, [1000]);
+    assert.equal(entries[1].runCount, 1);
+
+    const reloaded = DigHistory.createDigHistory({ storage });
+    assert.deepEqual(reloaded.entries(), entries);
+    assert.ok(storage.items.has(DigHistory.STORAGE_KEY));
+});
+
+test('digging from the same place again moves its entry to the top and keeps every run', () => {
+    let time = 0;
+    const history = DigHistory.createDigHistory({ storage: memoryStorage(), now: () => ++time });
+    const first = history.add({ start: { lat: 10, lng: 20 }, end: { lat: -10, lng: -160 }, startAddress: 'A', endAddress: 'Ocean' });
+    history.add({ start: { lat: 30, lng: 40 }, end: { lat: -30, lng: -140 } });
+    const again = history.add({ start: { lat: 10, lng: 20 }, end: { lat: -10, lng: -160 }, startAddress: null, endAddress: 'Pacific' });
+
+    assert.equal(again.id, first.id);
+    assert.deepEqual(again.runs, [1, 3]);
+    assert.equal(again.runCount, 2);
+    assert.equal(again.completedAt, 3);
+    assert.equal(again.startAddress, 'A');
+    assert.equal(again.endAddress, 'Pacific');
+    assert.deepEqual(history.entries().map(entry => entry.start.lat), [10, 30]);
+    assert.throws(() => history.entries()[0].runs.push(4), TypeError);
+});
+
+test('only the latest runs are kept, but all are counted', () => {
+    let time = 0;
+    const history = DigHistory.createDigHistory({ storage: memoryStorage(), now: () => ++time });
+    for (let i = 0; i < DigHistory.RUNS_KEPT + 5; i++) {
+        history.add({ start: { lat: 1, lng: 2 }, end: { lat: -1, lng: -178 } });
+    }
+    const [entry] = history.entries();
+    assert.equal(entry.runCount, DigHistory.RUNS_KEPT + 5);
+    assert.equal(entry.runs.length, DigHistory.RUNS_KEPT);
+    assert.equal(entry.runs[0], 6);
+    assert.equal(entry.runs[entry.runs.length - 1], entry.completedAt);
+});
+
+test('remove, clear and the entry limit', () => {
+    const storage = memoryStorage();
+    const history = DigHistory.createDigHistory({ storage, limit: 2 });
+    const a = history.add({ start: { lat: 1, lng: 1 }, end: { lat: -1, lng: -179 } });
+    history.add({ start: { lat: 2, lng: 2 }, end: { lat: -2, lng: -178 } });
+    history.add({ start: { lat: 3, lng: 3 }, end: { lat: -3, lng: -177 } });
+    assert.deepEqual(history.entries().map(entry => entry.start.lat), [3, 2]);
+    assert.equal(history.remove(a.id), false);
+
+    const [newest] = history.entries();
+    assert.equal(history.remove(newest.id), true);
+    assert.equal(history.get(newest.id), null);
+    assert.equal(history.entries().length, 1);
+
+    history.clear();
+    assert.deepEqual(history.entries(), []);
+    assert.equal(storage.items.has(DigHistory.STORAGE_KEY), false);
+
+    assert.throws(() => history.add({ start: { lat: 91, lng: 0 }, end: { lat: -91, lng: 180 } }), RangeError);
+});
+
+test('unreadable or unavailable storage leaves an empty history that still works', () => {
+    const corrupt = memoryStorage({ [DigHistory.STORAGE_KEY]: '{not json' });
+    assert.deepEqual(DigHistory.createDigHistory({ storage: corrupt }).entries(), []);
+
+    const mixed = memoryStorage({ [DigHistory.STORAGE_KEY]: JSON.stringify([{ id: 'x' }, 42]) });
+    assert.deepEqual(DigHistory.createDigHistory({ storage: mixed }).entries(), []);
+
+    const full = {
+        getItem: () => null,
+        setItem: () => { throw new Error('QuotaExceededError'); },
+        removeItem: () => {}
+    };
+    const history = DigHistory.createDigHistory({ storage: full });
+    history.add({ start: { lat: 5, lng: 5 }, end: { lat: -5, lng: -175 } });
+    assert.equal(history.entries().length, 1);
+
+    assert.equal(DigHistory.createDigHistory({ storage: null }).entries().length, 0);
+});
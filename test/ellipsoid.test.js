@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Geo = require('../js/geo.js');
+const Ellipsoid = require('../js/ellipsoid.js');
+
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(
+        Math.abs(actual - expected) <= tolerance,
+        `${message || 'value'}: expected ${expected} ± ${tolerance}, got ${actual}`
+    );
+}
+
+test('WGS84 axes have the published values', () => {
+    assertClose(Ellipsoid.SEMI_MAJOR_AXIS_KM, 6378.137, 1e-9, 'a');
+    assertClose(Ellipsoid.SEMI_MINOR_AXIS_KM, 6356.752314245, 1e-6, 'b');
+    assertClose(Ellipsoid.ECCENTRICITY_SQUARED, 0.00669437999014, 1e-12, 'e²');
+});
+
+test('geocentric latitude is smaller than geodetic away from the equator and poles', () => {
+    assert.equal(Ellipsoid.geocentricLatitude(0), 0);
+    assert.equal(Ellipsoid.geocentricLatitude(90), 90);
+    assert.equal(Ellipsoid.geocentricLatitude(-90), -90);
+    // Maximum difference is about 0.1924° at 45°
+    assertClose(45 - Ellipsoid.geocentricLatitude(45), 0.1924, 1e-4, '45°');
+    assertClose(Ellipsoid.geocentricLatitude(-45), -Ellipsoid.geocentricLatitude(45), 1e-12, 'symmetry');
+});
+
+test('geodeticLatitude inverts geocentricLatitude', () => {
+    for (const lat of [-89.5, -60, -12.3, 0, 33.3, 51.5, 89.9]) {
+        assertClose(Ellipsoid.geodeticLatitude(Ellipsoid.geocentricLatitude(lat)), lat, 1e-10, `${lat}`);
+    }
+});
+
+test('toEcef places the equator and poles on the axes', () => {
+    const equator = Ellipsoid.toEcef(0, 0);
+    assertClose(equator.x, Ellipsoid.SEMI_MAJOR_AXIS_KM, 1e-9, 'x');
+    assertClose(equator.y, 0, 1e-9, 'y');
+    assertClose(equator.z, 0, 1e-9, 'z');
+
+    const east = Ellipsoid.toEcef(0, 90);
+    assertClose(east.y, Ellipsoid.SEMI_MAJOR_AXIS_KM, 1e-9, 'y at 90°E');
+
+    const pole = Ellipsoid.toEcef(90, 0);
+    assertClose(pole.z, Ellipsoid.SEMI_MINOR_AXIS_KM, 1e-9, 'z at pole');
+});
+
+test('fromEcef inverts toEcef including height', () => {
+    for (const [lat, lng, height] of [[40.7128, -74.006, 0], [-33.86, 151.2, 0.5], [0, 180, -10], [89.99, 10, 0]]) {
+        const result = Ellipsoid.fromEcef(Ellipsoid.toEcef(lat, lng, height));
+        assertClose(result.lat, lat, 1e-9, 'lat');
+        assertClose(result.lng, lng, 1e-9, 'lng');
+        assertClose(result.height, height, 1e-6, 'height');
+    }
+});
+
+test('chord to the antipode is twice the geocentric radius', () => {
+    const start = { lat: 40.7128, lng: -74.006 };
+    const end = Geo.antipode(start.lat, start.lng);
+    assertClose(Ellipsoid.chordLength(start, end), 2 * Ellipsoid.geocentricRadius(start.lat), 1e-9, 'km');
+    assertClose(
+        Ellipsoid.chordLength({ lat: 0, lng: 0 }, { lat: 0, lng: 180 }),
+        2 * Ellipsoid.SEMI_MAJOR_AXIS_KM, 1e-9, 'equatorial diameter'
+    );
+    assertClose(
+        Ellipsoid.chordLength({ lat: 90, lng: 0 }, { lat: -90, lng: 0 }),
+        2 * Ellipsoid.SEMI_MINOR_AXIS_KM, 1e-9, 'polar diameter'
+    );
+});
+
+test('compareWithSphere reports the spherical error', () => {
+    const equator = Ellipsoid.compareWithSphere({ lat: 0, lng: 0 }, { lat: 0, lng: 180 });
+    assertClose(equator.sphericalChordKm, 2 * Geo.EARTH_RADIUS_KM, 1e-9, 'sphere chord');
+    assertClose(equator.chordDifferenceKm, -14.26, 0.01, 'equator difference');
+    assertClose(equator.start.placementErrorKm, 0, 1e-9, 'no placement error on the equator');
+
+    const midLatitude = Ellipsoid.compareWithSphere({ lat: 45, lng: 10 }, { lat: -45, lng: -170 });
+    assertClose(midLatitude.start.geocentricLat, 44.8076, 1e-4, 'geocentric lat');
+    assertClose(midLatitude.start.placementErrorKm, 21.4, 0.2, 'placement error at 45°');
+    assertClose(midLatitude.end.placementErrorKm, midLatitude.start.placementErrorKm, 1e-9, 'symmetric');
+});
+
+test('digStraightDown exits at the antipode on the equator and at the poles', () => {
+    for (const start of [{ lat: 0, lng: 25 }, { lat: 90, lng: 0 }]) {
+        const dig = Ellipsoid.digStraightDown(start);
+        assertClose(dig.offsetKm, 0, 1e-6, `offset from ${start.lat}`);
+        assertClose(dig.tunnelLengthKm, Ellipsoid.chordLength(start, dig.antipode), 1e-6, 'length');
+    }
+});
+
+test('digStraightDown drifts poleward of the antipode at mid latitudes', () => {
+    const start = { lat: 45, lng: 10 };
+    const dig = Ellipsoid.digStraightDown(start);
+
+    // The normal crosses the axis below the centre, so the exit lands
+    // further from the equator than the antipode, on the same meridian
+    assert.ok(dig.exit.lat < dig.antipode.lat, `exit ${dig.exit.lat} should be south of ${dig.antipode.lat}`);
+    assertClose(dig.exit.lng, dig.antipode.lng, 1e-9, 'same meridian');
+    assertClose(dig.bearingFromAntipode, 180, 1e-6, 'exit due south of the antipode');
+    assertClose(dig.offsetKm, 42.7, 0.5, 'offset at 45°');
+
+    // The exit lies on the ellipsoid surface
+    const exitHeight = Ellipsoid.fromEcef(Ellipsoid.toEcef(dig.exit.lat, dig.exit.lng)).height;
+    assertClose(exitHeight, 0, 1e-6, 'height');
+});
+
+test('digStraightDown is symmetric between hemispheres', () => {
+    const north = Ellipsoid.digStraightDown({ lat: 30, lng: -60 });
+    const south = Ellipsoid.digStraightDown({ lat: -30, lng: -60 });
+    assertClose(north.exit.lat, -south.exit.lat, 1e-9, 'lat');
+    assertClose(north.offsetKm, south.offsetKm, 1e-9, 'offset');
+});
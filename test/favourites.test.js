@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Favourites = require('../js/favourites.js');
+const { memoryStorage } = require('./helpers/memory-storage.js');
+
+test('normalizeTags trims and drops blanks and repeats', () => {
+    assert.deepEqual(Favourites.normalizeTags(' ocean, Trip ,,trip, Land '), ['ocean', 'Trip', 'Land']);
+    assert.deepEqual(Favourites.normalizeTags(['a', ' A', 'b']), ['a', 'b']);
+    assert.deepEqual(Favourites.normalizeTags(undefined), []);
+});
+
+test('favourites are saved, listed by name and filtered by tag', () => {
+    const storage = memoryStorage();
+    const favourites = Favourites.createFavourites({ storage, now: () => 5000 });
+
+    const tokyo = favourites.add({ name: ' Tokyo ', lat: '35.6762', lng: 139.6503, tags: 'asia, capital' });
+    favourites.add({ name: 'buenos Aires', lat: -34.6037, lng: -58.3816, notes: 'Antipode near Shanghai', tags: ['Capital'] });
+    favourites.add({ name: 'Wellington', lat: -41.2866, lng: 174.7756 });
+
+    assert.equal(tokyo.name, 'Tokyo');
+    assert.equal(tokyo.lat, 35.6762);
+    assert.deepEqual(favourites.list().map(favourite => favourite.name), ['buenos Aires', 'Tokyo', 'Wellington']);
+    assert.deepEqual(favourites.list({ tag: 'CAPITAL' }).map(favourite => favourite.name), ['buenos Aires', 'Tokyo']);
+    assert.deepEqual(favourites.tags(), ['asia', 'capital']);
+    assert.equal(favourites.findAt(35.6762, 139.6503).id, tokyo.id);
+
+    const reloaded = Favourites.createFavourites({ storage });
+    assert.deepEqual(reloaded.list(), favourites.list());
+
+    assert.throws(() => favourites.add({ name: ' ', lat: 0, lng: 0 }), Favourites.FavouritesError);
+    assert.throws(() => favourites.add({ name: 'Nowhere', lat: '', lng: 0 }), /Invalid coordinates/);
+});
+
+test('update and remove', () => {
+    let time = 1;
+    const favourites = Favourites.createFavourites({ storage: memoryStorage(), now: () => time });
+    const home = favourites.add({ name: 'Home', lat: 10, lng: 20 });
+
+    time = 2;
+    const updated = favourites.update(home.id, { notes: 'Back garden', tags: 'dig site' });
+    assert.equal(updated.notes, 'Back garden');
+    assert.deepEqual(updated.tags, ['dig site']);
+    assert.equal(updated.createdAt, 1);
+    assert.equal(updated.updatedAt, 2);
+    assert.throws(() => favourites.update(home.id, { lat: 100 }), /Invalid coordinates/);
+    assert.equal(favourites.update('missing', { name: 'x' }), null);
+
+    assert.equal(favourites.remove(home.id), true);
+    assert.equal(favourites.remove(home.id), false);
+    assert.deepEqual(favourites.list(), []);
+});
+
+test('exported JSON imports into another collection', () => {
+    const source = Favourites.createFavourites({ storage: memoryStorage(), now: () => 0 });
+    source.add({ name: 'Madrid', lat: 40.4168, lng: -3.7038, tags: ['spain'] });
+    source.add({ name: 'Quito', lat: -0.18, lng: -78.47, notes: 'Equator' });
+    const json = source.exportJson();
+    assert.equal(JSON.parse(json).format, Favourites.FORMAT);
+
+    const target = Favourites.createFavourites({ storage: memoryStorage(), now: () => 10 });
+    target.add({ name: 'Madrid', lat: 40.4168, lng: -3.7038, notes: 'old note' });
+    const result = target.importJson(json);
+    assert.deepEqual(result, { added: 1, updated: 1, skipped: [] });
+    assert.deepEqual(target.list().map(favourite => [favourite.name, favourite.notes, favourite.tags]), [
+        ['Madrid', '', ['spain']],
+        ['Quito', 'Equator', []]
+    ]);
+
+    // Importing the same file again changes nothing new
+    assert.deepEqual(target.importJson(json), { added: 0, updated: 2, skipped: [] });
+});
+
+test('importJson accepts bare arrays, skips bad entries and rejects other files', () => {
+    const favourites = Favourites.createFavourites({ storage: memoryStorage() });
+    favourites.add({ name: 'Kept only without replace', lat: 1, lng: 1 });
+
+    const result = favourites.importJson(JSON.stringify([
+        { name: 'Lima', lat: -12.0464, lng: -77.0428 },
+        { name: 'Broken', lat: 'north', lng: 0 },
+        null
+    ]), { replace: true });
+    assert.equal(result.added, 1);
+    assert.equal(result.skipped.length, 2);
+    assert.match(result.skipped[0], /^Entry 2: Invalid coordinates/);
+    assert.deepEqual(favourites.list().map(favourite => favourite.name), ['Lima']);
+
+    assert.throws(() => favourites.importJson('{oops'), /Not valid JSON/);
+    assert.throws(() => favourites.importJson('{"type":"FeatureCollection","features":[]}'), /does not contain favourites/);
+    assert.throws(() => favourites.importJson(JSON.stringify({ format: Favourites.FORMAT, version: 99, favourites: [] })),
+        /version 99 is newer/);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Geo = require('../js/geo.js');
+const LandMask = require('../js/land-mask.js');
+const PolygonIndex = require('../js/polygon-index.js');
+const Footprint = require('../js/footprint.js');
+const OfflineGeocoder = require('../js/offline-geocoder.js');
+
+// A 2° square on the equator, about 222 km a side
+const SQUARE = { type: 'Polygon', coordinates: [[[0, -1], [2, -1], [2, 1], [0, 1], [0, -1]]] };
+
+test('readShapes keeps polygons and lines and names them', () => {
+    const shapes = Footprint.readShapes(JSON.stringify({
+        type: 'FeatureCollection',
+        features: [
+            { type: 'Feature', properties: { name: 'Square' }, geometry: SQUARE },
+            { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [0, 0] } },
+            { type: 'Feature', properties: { NAME: 'Route' }, geometry: { type: 'LineString', coordinates: [[0, 0, 12], [1, 1, 15]] } },
+            { type: 'Feature', properties: {}, geometry: { type: 'GeometryCollection', geometries: [SQUARE] } }
+        ]
+    }));
+    assert.deepEqual(shapes.map(shape => [shape.name, shape.geometry.type]),
+        [['Square', 'Polygon'], ['Route', 'LineString'], ['Shape 4', 'Polygon']]);
+    assert.deepEqual(shapes[1].geometry.coordinates, [[0, 0], [1, 1]]);
+
+    assert.throws(() => Footprint.readShapes('{'), /not valid GeoJSON/);
+    assert.throws(() => Footprint.readShapes('{"type":"Point","coordinates":[0,0]}'), /No polygons or lines/);
+    assert.throws(() => Footprint.readShapes('{"type":"LineString","coordinates":[[0,0],[0,95]]}'), /invalid coordinates/);
+    assert.throws(() => Footprint.readShapes('{"type":"FeatureCollection","features":{}}'), /features is not a list/);
+});
+
+test('readShapes rejects a ring round a pole unless it runs along the pole', () => {
+    // The Arctic Circle as a ring: seen flat, it has no inside
+    const circle = [0, 90, 180, -90, 0].map(lng => [lng, 66.5]);
+    assert.throws(() => Footprint.readShapes(JSON.stringify({
+        type: 'Feature', properties: { name: 'Arctic' }, geometry: { type: 'Polygon', coordinates: [circle] }
+    })), /Arctic circles a pole without passing through it/);
+
+    // Closed along the pole, as Natural Earth draws Antarctica, it is a cap
+    const cap = [...circle.slice(0, -1), [360, 66.5], [360, 90], [0, 90], [0, 66.5]];
+    const [shape] = Footprint.readShapes(JSON.stringify({ type: 'Polygon', coordinates: [cap] }));
+    assert.ok(Math.abs(Footprint.area(shape.geometry) - 21.2e6) < 0.2e6, `${Footprint.area(shape.geometry)}`);
+});
+
+test('shapes across the antimeridian are unwrapped and mirrored', () => {
+    const [shape] = Footprint.readShapes(JSON.stringify({
+        type: 'Polygon',
+        coordinates: [[[170, -10], [-170, -10], [-170, 10], [170, 10], [170, -10]]]
+    }));
+    assert.deepEqual(shape.geometry.coordinates[0].map(([lng]) => lng), [170, 190, 190, 170, 170]);
+
+    const mirrored = Footprint.antipodalGeometry(shape.geometry);
+    assert.deepEqual(mirrored.coordinates[0], [[-10, 10], [-10, -10], [10, -10], [10, 10], [-10, 10]]);
+    assert.equal(Math.round(Footprint.area(mirrored)), Math.round(Footprint.area(shape.geometry)));
+
+    const line = Footprint.antipodalGeometry({ type: 'LineString', coordinates: [[-3, 40], [3, 42]] });
+    assert.deepEqual(line.coordinates, [[177, -40], [183, -42]]);
+});
+
+test('area and length of simple shapes', () => {
+    // 2° × 2° at the equator is about 222.4 km × 222.4 km
+    assert.ok(Math.abs(Footprint.area(SQUARE) - 49452) < 50);
+    const holed = { type: 'Polygon', coordinates: [SQUARE.coordinates[0], [[0.5, -0.5], [0.5, 0.5], [1.5, 0.5], [1.5, -0.5], [0.5, -0.5]]] };
+    assert.ok(Math.abs(Footprint.area(holed) - 49452 * 3 / 4) < 50);
+    assert.ok(Math.abs(Footprint.length({ type: 'LineString', coordinates: [[0, 0], [0, 1], [1, 1]] }) - 222.39) < 0.1);
+    assert.equal(Footprint.area({ type: 'LineString', coordinates: [[0, 0], [0, 1]] }), 0);
+});
+
+test('the mirrored footprint of Spain lands on New Zealand', () => {
+    const spain = OfflineGeocoder.countryOutlines().find(outline => outline.code === 'ES');
+    const result = Footprint.describe({ name: spain.name, geometry: Footprint.normalizeGeometry(spain.geometry) });
+
+    assert.equal(result.kind, 'polygon');
+    assert.ok(result.areaKm2 > 480000 && result.areaKm2 < 520000, `${result.areaKm2}`);
+    assert.ok(result.opposite.landShare > 0.2 && result.opposite.landShare < 0.4);
+    assert.deepEqual(result.opposite.countries.map(entry => entry.countryCode), ['NZ']);
+    assert.ok(Math.abs(result.mirroredCenter.lat + result.center.lat) < 1e-9);
+
+    // Open ocean has nothing under it
+    const pacific = Footprint.landUnder({ type: 'LineString', coordinates: [[-150, -20], [-140, -30]] });
+    assert.deepEqual(pacific, { landShare: 0, countries: [] });
+});
+
+test('antipodalLand covers exactly the points whose antipode is land', () => {
+    const mirrored = new PolygonIndex(Footprint.antipodalLand());
+
+    // Antarctica's ring runs along the South Pole, so the mirror has to
+    // cover the North Pole
+    const latitudes = [-89.9, -89];
+    for (let lat = -87; lat <= 87; lat += 6) latitudes.push(lat);
+    latitudes.push(89, 89.9);
+
+    const mismatches = [];
+    for (const lat of latitudes) {
+        for (let lng = -177; lng <= 177; lng += 6) {
+            const opposite = Geo.antipode(lat, lng);
+            if (mirrored.contains(lat, lng) !== LandMask.isLand(opposite.lat, opposite.lng)) {
+                mismatches.push(`${lat},${lng}`);
+            }
+        }
+    }
+    assert.deepEqual(mismatches, []);
+    assert.equal(Footprint.antipodalLand(), Footprint.antipodalLand());
+});
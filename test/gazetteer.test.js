@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Gazetteer = require('../js/gazetteer.js');
+
+test('Gazetteer.normalize folds case, accents and punctuation', () => {
+    assert.equal(Gazetteer.normalize('  São Paulo '), 'sao paulo');
+    assert.equal(Gazetteer.normalize('Washington, D.C.'), 'washington d c');
+    assert.equal(Gazetteer.normalize('Zürich'), 'zurich');
+});
+
+test('Gazetteer.editDistance counts single-character edits', () => {
+    assert.equal(Gazetteer.editDistance('paris', 'paris', 2), 0);
+    assert.equal(Gazetteer.editDistance('pariss', 'paris', 2), 1);
+    assert.equal(Gazetteer.editDistance('tokio', 'tokyo', 2), 1);
+    // Gives up past the limit
+    assert.equal(Gazetteer.editDistance('london', 'lisbon', 1), 2);
+});
+
+test('Gazetteer ranks the largest exact match first', () => {
+    const [paris] = Gazetteer.search('Paris');
+    assert.equal(paris.countryCode, 'FR');
+    assert.equal(paris.country, 'France');
+    assert.ok(paris.population > 2000000);
+    assert.ok(Math.abs(paris.lat - 48.85) < 0.1 && Math.abs(paris.lng - 2.35) < 0.1);
+});
+
+test('Gazetteer narrows results with region and country qualifiers', () => {
+    const [texas] = Gazetteer.search('Paris, Texas');
+    assert.equal(texas.countryCode, 'US');
+    assert.equal(texas.region, 'Texas');
+
+    const [ontario] = Gazetteer.search('london, canada');
+    assert.equal(ontario.countryCode, 'CA');
+
+    const [springfield] = Gazetteer.search('Springfield, USA');
+    assert.equal(springfield.countryCode, 'US');
+});
+
+test('Gazetteer matches alternate names, accents and typos', () => {
+    assert.equal(Gazetteer.search('Bombay')[0].name, 'Mumbai');
+    assert.equal(Gazetteer.search('Kiev')[0].name, 'Kyiv');
+    assert.equal(Gazetteer.search('sao paulo')[0].name, 'São Paulo');
+    assert.equal(Gazetteer.search('Pariss')[0].countryCode, 'FR');
+    assert.equal(Gazetteer.search('Tokio')[0].name, 'Tokyo');
+});
+
+test('Gazetteer returns nothing for text that is not a place', () => {
+    assert.deepEqual(Gazetteer.search('zzzzqx'), []);
+    assert.deepEqual(Gazetteer.search('10 Downing Street, London'), []);
+    assert.deepEqual(Gazetteer.search('  '), []);
+});
+
+test('Gazetteer honours the result limit', () => {
+    assert.equal(Gazetteer.search('San', { limit: 5 }).length, 5);
+});
+
+test('Gazetteer.describe skips a region that repeats the name', () => {
+    assert.equal(Gazetteer.describe({ name: 'Paris', region: 'Paris', country: 'France' }), 'Paris, France');
+    assert.equal(Gazetteer.describe({ name: 'Paris', region: 'Texas', country: 'United States' }), 'Paris, Texas, United States');
+    assert.equal(Gazetteer.describe({ name: 'Tokyo', region: null, country: 'Japan' }), 'Tokyo, Japan');
+});
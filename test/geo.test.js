@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Geo = require('../js/geo.js');
+
+const NEW_YORK = { lat: 40.7128, lng: -74.0060 };
+const LONDON = { lat: 51.5074, lng: -0.1278 };
+
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(
+        Math.abs(actual - expected) <= tolerance,
+        `${message || 'value'}: expected ${expected} ± ${tolerance}, got ${actual}`
+    );
+}
+
+test('normalizeLongitude wraps into (-180, 180]', () => {
+    assert.equal(Geo.normalizeLongitude(0), 0);
+    assert.equal(Geo.normalizeLongitude(180), 180);
+    assert.equal(Geo.normalizeLongitude(-180), 180);
+    assert.equal(Geo.normalizeLongitude(190), -170);
+    assert.equal(Geo.normalizeLongitude(-190), 170);
+    assert.equal(Geo.normalizeLongitude(540), 180);
+    assert.equal(Geo.normalizeLongitude(-725), -5);
+});
+
+test('isValidCoordinates checks type and range', () => {
+    assert.equal(Geo.isValidCoordinates(0, 0), true);
+    assert.equal(Geo.isValidCoordinates(90, 180), true);
+    assert.equal(Geo.isValidCoordinates(-90, -180), true);
+    assert.equal(Geo.isValidCoordinates(90.1, 0), false);
+    assert.equal(Geo.isValidCoordinates(0, -180.5), false);
+    assert.equal(Geo.isValidCoordinates(NaN, 0), false);
+    assert.equal(Geo.isValidCoordinates(0, Infinity), false);
+    assert.equal(Geo.isValidCoordinates('10', '20'), false);
+});
+
+test('antipode mirrors latitude and shifts longitude by 180°', () => {
+    assert.deepEqual(Geo.antipode(40, -74), { lat: -40, lng: 106 });
+    assert.deepEqual(Geo.antipode(-33, 151), { lat: 33, lng: -29 });
+    assert.deepEqual(Geo.antipode(0, 0), { lat: 0, lng: 180 });
+    assert.deepEqual(Geo.antipode(0, 180), { lat: 0, lng: 0 });
+    assert.deepEqual(Geo.antipode(90, 45), { lat: -90, lng: -135 });
+});
+
+test('antipode of the antipode is the original point', () => {
+    const end = Geo.antipode(NEW_YORK.lat, NEW_YORK.lng);
+    const back = Geo.antipode(end.lat, end.lng);
+    assertClose(back.lat, NEW_YORK.lat, 1e-12, 'lat');
+    assertClose(back.lng, NEW_YORK.lng, 1e-12, 'lng');
+});
+
+test('greatCircleDistance matches known city pairs', () => {
+    assertClose(Geo.greatCircleDistance(NEW_YORK, LONDON), 5570, 10, 'NYC-LON km');
+    assert.equal(Geo.greatCircleDistance(LONDON, LONDON), 0);
+});
+
+test('greatCircleDistance to the antipode is half the circumference', () => {
+    const end = Geo.antipode(NEW_YORK.lat, NEW_YORK.lng);
+    assertClose(Geo.greatCircleDistance(NEW_YORK, end), Math.PI * Geo.EARTH_RADIUS_KM, 1e-6, 'km');
+    assertClose(Geo.greatCircleDistance(NEW_YORK, end, 1), Math.PI, 1e-12, 'unit sphere');
+});
+
+test('chordLength to the antipode is the diameter', () => {
+    const end = Geo.antipode(LONDON.lat, LONDON.lng);
+    assertClose(Geo.chordLength(LONDON, end), 2 * Geo.EARTH_RADIUS_KM, 1e-6, 'km');
+    assertClose(Geo.chordLength({ lat: 0, lng: 0 }, { lat: 0, lng: 90 }, 1), Math.SQRT2, 1e-12, 'quarter turn');
+});
+
+test('initialBearing returns compass degrees', () => {
+    assertClose(Geo.initialBearing({ lat: 0, lng: 0 }, { lat: 10, lng: 0 }), 0, 1e-9, 'north');
+    assertClose(Geo.initialBearing({ lat: 0, lng: 0 }, { lat: 0, lng: 10 }), 90, 1e-9, 'east');
+    assertClose(Geo.initialBearing({ lat: 0, lng: 0 }, { lat: -10, lng: 0 }), 180, 1e-9, 'south');
+    assertClose(Geo.initialBearing({ lat: 0, lng: 0 }, { lat: 0, lng: -10 }), 270, 1e-9, 'west');
+    assertClose(Geo.initialBearing(NEW_YORK, LONDON), 51.2, 0.5, 'NYC-LON');
+});
+
+test('compassPoint names the nearest of 16 winds', () => {
+    assert.equal(Geo.compassPoint(0), 'N');
+    assert.equal(Geo.compassPoint(11), 'N');
+    assert.equal(Geo.compassPoint(12), 'NNE');
+    assert.equal(Geo.compassPoint(90), 'E');
+    assert.equal(Geo.compassPoint(247.5), 'WSW');
+    assert.equal(Geo.compassPoint(355), 'N');
+    assert.equal(Geo.compassPoint(-90), 'W');
+});
+
+test('greatCirclePoints follows the shortest arc', () => {
+    const points = Geo.greatCirclePoints({ lat: 0, lng: 170 }, { lat: 0, lng: -170 }, 4);
+    assert.equal(points.length, 5);
+    assertClose(points[2].lat, 0, 1e-9, 'midpoint lat');
+    assertClose(Math.abs(points[2].lng), 180, 1e-9, 'midpoint crosses the antimeridian');
+
+    const total = Geo.greatCircleDistance(NEW_YORK, LONDON);
+    const path = Geo.greatCirclePoints(NEW_YORK, LONDON, 10);
+    assertClose(path[0].lat, NEW_YORK.lat, 1e-9, 'starts at from');
+    assertClose(path[10].lng, LONDON.lng, 1e-9, 'ends at to');
+    for (let i = 1; i < path.length; i++) {
+        assertClose(Geo.greatCircleDistance(path[i - 1], path[i]), total / 10, 1e-6, `step ${i}`);
+    }
+});
+
+test('latLngToVector uses the globe axes', () => {
+    const cases = [
+        [0, 0, { x: 1, y: 0, z: 0 }],
+        [90, 0, { x: 0, y: 1, z: 0 }],
+        [0, 90, { x: 0, y: 0, z: -1 }],
+        [0, -90, { x: 0, y: 0, z: 1 }]
+    ];
+
+    for (const [lat, lng, expected] of cases) {
+        const v = Geo.latLngToVector(lat, lng);
+        assertClose(v.x, expected.x, 1e-12, `${lat},${lng} x`);
+        assertClose(v.y, expected.y, 1e-12, `${lat},${lng} y`);
+        assertClose(v.z, expected.z, 1e-12, `${lat},${lng} z`);
+    }
+
+    const scaled = Geo.latLngToVector(0, 0, 2.5);
+    assertClose(scaled.x, 2.5, 1e-12, 'radius');
+});
+
+test('vectorToLatLng inverts latLngToVector', () => {
+    for (const lat of [-89, -45, 0, 12.5, 60, 89]) {
+        for (const lng of [-179, -120, -0.5, 0, 33, 179.9]) {
+            const result = Geo.vectorToLatLng(Geo.latLngToVector(lat, lng, 3));
+            assertClose(result.lat, lat, 1e-9, `lat for ${lat},${lng}`);
+            assertClose(result.lng, lng, 1e-9, `lng for ${lat},${lng}`);
+        }
+    }
+});
+
+test('vectorToLatLng rejects the zero vector', () => {
+    assert.throws(() => Geo.vectorToLatLng({ x: 0, y: 0, z: 0 }), /zero vector/);
+});
@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Geocoding = require('../js/geocoding.js');
+
+const PLACES = [
+    { name: 'Paris', lat: 48.8566, lng: 2.3522, city: 'Paris', region: 'Île-de-France', country: 'France', countryCode: 'FR' },
+    { name: 'Wellington', lat: -41.2865, lng: 174.7762, city: 'Wellington', region: 'Wellington', country: 'New Zealand', countryCode: 'NZ' }
+];
+
+// Stand-in for fetch that answers every URL with `body` and records the URLs
+function fakeFetch(body, status = 200) {
+    const urls = [];
+    const fetchImpl = async (url, init) => {
+        urls.push(url);
+        if (init && init.signal && init.signal.aborted) throw new DOMException('aborted', 'AbortError');
+        return { ok: status >= 200 && status < 300, status, json: async () => body };
+    };
+    fetchImpl.urls = urls;
+    return fetchImpl;
+}
+
+test('Geocoder searches and reverse geocodes through the mock provider', async () => {
+    const geocoder = new Geocoding.Geocoder({ provider: Geocoding.mockProvider({ places: PLACES }) });
+
+    const results = await geocoder.search('welling');
+    assert.deepEqual(results, [{ lat: -41.2865, lng: 174.7762, name: 'Wellington' }]);
+
+    const place = await geocoder.reverse(48.85, 2.35);
+    assert.equal(place.city, 'Paris');
+    assert.equal(place.countryCode, 'FR');
+    assert.equal(await geocoder.reverse(0, -140), null);
+});
+
+test('Geocoder answers repeated lookups from the cache under rounded coordinates', async () => {
+    const provider = Geocoding.mockProvider({ places: PLACES });
+    const cache = new Geocoding.MemoryCache();
+    const geocoder = new Geocoding.Geocoder({ provider, cache });
+
+    await geocoder.reverse(48.85661, 2.35221);
+    await geocoder.reverse(48.85651, 2.35204);
+    await geocoder.search('Paris');
+    await geocoder.search('  paris ');
+    assert.equal(provider.calls.length, 2);
+    assert.deepEqual(provider.calls[0], { type: 'reverse', lat: 48.857, lng: 2.352 });
+
+    // A second geocoder sharing the cache (a page reload) needs no requests
+    const reloaded = new Geocoding.Geocoder({ provider, cache });
+    assert.equal((await reloaded.reverse(48.857, 2.352)).city, 'Paris');
+    assert.equal(provider.calls.length, 2);
+});
+
+test('Geocoder ignores cache entries older than maxAge', async () => {
+    const provider = Geocoding.mockProvider({ places: PLACES });
+    const cache = new Geocoding.MemoryCache();
+    await cache.set('mock|reverse|48.857,2.352', { value: { city: 'Stale' }, time: 0 });
+
+    const geocoder = new Geocoding.Geocoder({ provider, cache, maxAge: 1000 });
+    assert.equal((await geocoder.reverse(48.857, 2.352)).city, 'Paris');
+    assert.equal(provider.calls.length, 1);
+});
+
+test('Geocoder still answers when the cache fails', async () => {
+    const broken = {
+        get: async () => { throw new Error('quota'); },
+        set: async () => { throw new Error('quota'); }
+    };
+    const geocoder = new Geocoding.Geocoder({ provider: Geocoding.mockProvider({ places: PLACES }), cache: broken });
+    assert.equal((await geocoder.reverse(-41.3, 174.8)).country, 'New Zealand');
+});
+
+test('RequestQueue spaces requests by the minimum interval', async () => {
+    const queue = new Geocoding.RequestQueue(40);
+    const starts = [];
+    await Promise.all([1, 2, 3].map(() => queue.run(async () => starts.push(Date.now()))));
+
+    assert.equal(starts.length, 3);
+    for (let i = 1; i < starts.length; i++) {
+        assert.ok(starts[i] - starts[i - 1] >= 38, `gap ${starts[i] - starts[i - 1]} ms`);
+    }
+});
+
+test('Each provider has its own rate limit', async () => {
+    const slow = { ...Geocoding.mockProvider({ places: PLACES, minInterval: 200 }), id: 'slow' };
+    const fast = { ...Geocoding.mockProvider({ places: PLACES }), id: 'fast' };
+    const geocoder = new Geocoding.Geocoder({ provider: slow });
+
+    await geocoder.reverse(48.8, 2.3);
+    const slowSecond = geocoder.reverse(-41.2, 174.7);
+
+    geocoder.setProvider(fast);
+    const started = Date.now();
+    await geocoder.reverse(-41.2, 174.7);
+    assert.ok(Date.now() - started < 150, 'fast provider waited for the slow one');
+    await slowSecond;
+});
+
+test('Cancelled lookups reject with AbortError and never reach the provider', async () => {
+    const provider = Geocoding.mockProvider({ places: PLACES, minInterval: 100 });
+    const geocoder = new Geocoding.Geocoder({ provider });
+
+    await geocoder.reverse(48.8, 2.3);
+    const controller = new AbortController();
+    const pending = geocoder.reverse(-41.2, 174.7, { signal: controller.signal });
+    controller.abort();
+
+    await assert.rejects(pending, error => Geocoding.isAbortError(error));
+    await geocoder.reverse(10, 10);
+    assert.equal(provider.calls.length, 2);
+    assert.deepEqual(provider.calls.map(call => call.lat), [48.8, 10]);
+});
+
+test('Cancelling an in-flight lookup rejects straight away', async () => {
+    const provider = Geocoding.mockProvider({ places: PLACES, latency: 1000 });
+    const geocoder = new Geocoding.Geocoder({ provider });
+    const controller = new AbortController();
+
+    const started = Date.now();
+    const pending = geocoder.search('Paris', { signal: controller.signal });
+    setTimeout(() => controller.abort(), 20);
+    await assert.rejects(pending, error => Geocoding.isAbortError(error));
+    assert.ok(Date.now() - started < 500);
+});
+
+test('nominatimProvider builds requests and reads Nominatim answers', async () => {
+    const fetchImpl = fakeFetch({
+        display_name: 'Paris, Île-de-France, France',
+        address: { city: 'Paris', state: 'Île-de-France', country: 'France', country_code: 'fr' }
+    });
+    const provider = Geocoding.nominatimProvider({ baseUrl: 'https://geo.example.org/', email: 'me@example.org', fetch: fetchImpl });
+
+    const place = await provider.reverse(48.857, 2.352);
+    assert.deepEqual(place, {
+        name: 'Paris, Île-de-France, France',
+        city: 'Paris',
+        region: 'Île-de-France',
+        country: 'France',
+        countryCode: 'FR'
+    });
+    assert.equal(fetchImpl.urls[0],
+        'https://geo.example.org/reverse?format=jsonv2&lat=48.857&lon=2.352&zoom=10&email=me%40example.org');
+    assert.equal(provider.id, 'nominatim:https://geo.example.org');
+    assert.equal(provider.minInterval, 1000);
+
+    const search = Geocoding.nominatimProvider({ fetch: fakeFetch([{ lat: '51.5', lon: '-0.12', display_name: 'London' }]) });
+    assert.deepEqual(await search.search('London', { limit: 1 }), [{ lat: 51.5, lng: -0.12, name: 'London' }]);
+    assert.equal(await Geocoding.nominatimProvider({ fetch: fakeFetch({ error: 'Unable to geocode' }) }).reverse(0, -140), null);
+});
+
+test('photonProvider reads GeoJSON answers', async () => {
+    const fetchImpl = fakeFetch({
+        features: [{
+            geometry: { type: 'Point', coordinates: [174.7762, -41.2865] },
+            properties: { name: 'Wellington', type: 'city', state: 'Wellington', country: 'New Zealand', countrycode: 'NZ' }
+        }]
+    });
+    const provider = Geocoding.photonProvider({ fetch: fetchImpl });
+
+    assert.deepEqual(await provider.search('Wellington', { limit: 2 }),
+        [{ lat: -41.2865, lng: 174.7762, name: 'Wellington, New Zealand' }]);
+    assert.equal(fetchImpl.urls[0], 'https://photon.komoot.io/api/?q=Wellington&limit=2&lang=en');
+
+    const place = await provider.reverse(-41.29, 174.78);
+    assert.equal(place.city, 'Wellington');
+    assert.equal(place.countryCode, 'NZ');
+});
+
+test('customProvider fills URL templates and reports server errors', async () => {
+    const fetchImpl = fakeFetch([], 503);
+    const provider = Geocoding.customProvider({
+        searchUrl: 'http://localhost:8080/find?text={query}&n={limit}',
+        fetch: fetchImpl
+    });
+
+    await assert.rejects(provider.search('São Paulo', { limit: 3 }), error =>
+        error instanceof Geocoding.GeocodingError && error.status === 503);
+    assert.equal(fetchImpl.urls[0], 'http://localhost:8080/find?text=S%C3%A3o%20Paulo&n=3');
+    await assert.rejects(provider.reverse(0, 0), /no reverse geocoding URL/);
+    assert.throws(() => Geocoding.customProvider({ searchUrl: 'x', format: 'esri' }), /Unknown geocoding response format/);
+});
@@ -0,0 +1,67 @@
+// Just enough of the DOM for the widgets that build their own elements:
+// attributes, classes, children and listeners. Elements come from
+// `document.createElement` and know their `ownerDocument`.
+function fakeDocument() {
+    const document = {
+        createElement: tagName => fakeElement(document, { tagName })
+    };
+    return document;
+}
+
+function fakeElement(ownerDocument, { id = '', tagName = 'div' } = {}) {
+    const attributes = new Map();
+    const listeners = new Map();
+    const classes = new Set();
+    return {
+        id,
+        tagName: tagName.toUpperCase(),
+        ownerDocument,
+        parentNode: null,
+        value: '',
+        type: '',
+        textContent: '',
+        dataset: {},
+        children: [],
+        scrolledTo: false,
+        get className() { return [...classes].join(' '); },
+        set className(value) {
+            classes.clear();
+            value.split(/\s+/).filter(Boolean).forEach(name => classes.add(name));
+        },
+        set innerHTML(html) { this.children = []; },
+        setAttribute(name, value) { attributes.set(name, String(value)); },
+        getAttribute(name) { return attributes.has(name) ? attributes.get(name) : null; },
+        removeAttribute(name) { attributes.delete(name); },
+        addEventListener(type, listener) {
+            if (!listeners.has(type)) listeners.set(type, []);
+            listeners.get(type).push(listener);
+        },
+        // Calls the listeners for `type` with `event`
+        dispatch(type, event = {}) {
+            (listeners.get(type) || []).slice().forEach(listener => listener(event));
+        },
+        append(...children) { children.forEach(child => this.appendChild(child)); },
+        appendChild(child) {
+            child.parentNode = this;
+            this.children.push(child);
+            return child;
+        },
+        remove() {
+            if (!this.parentNode) return;
+            this.parentNode.children = this.parentNode.children.filter(child => child !== this);
+            this.parentNode = null;
+        },
+        scrollIntoView() { this.scrolledTo = true; },
+        classList: {
+            add: name => classes.add(name),
+            remove: name => classes.delete(name),
+            toggle(name, force = !classes.has(name)) {
+                if (force) classes.add(name);
+                else classes.delete(name);
+            },
+            contains: name => classes.has(name)
+        }
+    };
+}
+
+module.exports = { fakeDocument, fakeElement };
@@ -0,0 +1,13 @@
+// Just enough of localStorage for the stored collections; `items` holds
+// what was saved
+function memoryStorage(initial = {}) {
+    const items = new Map(Object.entries(initial));
+    return {
+        items,
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+module.exports = { memoryStorage };
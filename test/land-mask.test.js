@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const LandMask = require('../js/land-mask.js');
+const PolygonIndex = require('../js/polygon-index.js');
+
+test('PolygonIndex honours holes and feature order', () => {
+    const square = [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]];
+    const hole = [[4, 4], [6, 4], [6, 6], [4, 6], [4, 4]];
+    const index = new PolygonIndex([
+        { properties: { name: 'small' }, geometry: { type: 'Polygon', coordinates: [[[1, 1], [3, 1], [3, 3], [1, 3], [1, 1]]] } },
+        { properties: { name: 'big' }, geometry: { type: 'Polygon', coordinates: [square, hole] } }
+    ]);
+
+    assert.equal(index.find(2, 2).properties.name, 'small');
+    assert.equal(index.find(2, 2, feature => feature.properties.name !== 'small').properties.name, 'big');
+    assert.equal(index.find(8, 8).properties.name, 'big');
+    assert.equal(index.find(5, 5), null);
+    assert.equal(index.find(20, 20), null);
+});
+
+test('PolygonIndex matches rings unwrapped past the antimeridian', () => {
+    const index = new PolygonIndex({ type: 'Polygon', coordinates: [[[170, -5], [190, -5], [190, 5], [170, 5], [170, -5]]] });
+    assert.equal(index.contains(0, 175), true);
+    assert.equal(index.contains(0, -175), true);
+    assert.equal(index.contains(0, -165), false);
+});
+
+test('LandMask classifies continental interiors as land', () => {
+    const landPoints = [
+        [40.7128, -74.006],   // New York
+        [51.5074, -0.1278],   // London
+        [35.6762, 139.6503],  // Tokyo
+        [-23.5505, -46.6333], // São Paulo
+        [-25.0, 134.0],       // Central Australia
+        [0.0, 25.0],          // Congo basin
+        [72.0, -40.0],        // Greenland ice sheet
+        [-85.0, 45.0],        // Antarctica
+        [-89.5, -120.0],      // Near the south pole
+        [66.0, -172.0],       // Chukotka, east of the antimeridian
+        [-17.8, 178.0]        // Viti Levu, Fiji
+    ];
+    for (const [lat, lng] of landPoints) {
+        assert.equal(LandMask.classify(lat, lng), 'land', `${lat}, ${lng}`);
+    }
+});
+
+test('LandMask classifies open ocean as water', () => {
+    const waterPoints = [
+        [-40.7128, 105.994],  // Antipode of New York
+        [0, 0],               // Gulf of Guinea
+        [30.0, -40.0],        // North Atlantic
+        [-30.0, -140.0],      // South Pacific
+        [-10.0, 80.0],        // Indian Ocean
+        [85.0, 0.0],          // Arctic Ocean
+        [0.0, 180.0],         // Antimeridian at the equator
+        [40.0, -175.0]        // North Pacific south of the Aleutians
+    ];
+    for (const [lat, lng] of waterPoints) {
+        assert.equal(LandMask.classify(lat, lng), 'water', `${lat}, ${lng}`);
+    }
+});
+
+test('nearestLand returns null on land', () => {
+    assert.equal(LandMask.nearestLand(51.5074, -0.1278), null);
+});
+
+test('nearestLand finds Cape Leeuwin from the antipode of New York', () => {
+    const nearest = LandMask.nearestLand(-40.7128, 105.994);
+    assert.ok(Math.abs(nearest.lat - -34.3) < 0.5, `lat ${nearest.lat}`);
+    assert.ok(Math.abs(nearest.lng - 115.1) < 0.5, `lng ${nearest.lng}`);
+    assert.ok(nearest.distanceKm > 1000 && nearest.distanceKm < 1150, `distance ${nearest.distanceKm}`);
+    assert.ok(nearest.bearing > 30 && nearest.bearing < 70, `bearing ${nearest.bearing}`);
+});
+
+test('nearestLand lands on the coastline it reports', () => {
+    const nearest = LandMask.nearestLand(0, 0);
+    // Gulf of Guinea: the Ghanaian coast lies north-north-west
+    assert.ok(nearest.lat > 4 && nearest.lat < 6, `lat ${nearest.lat}`);
+    assert.equal(LandMask.nearestCoast(nearest.lat, nearest.lng).distanceKm < 1, true);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const LandMask = require('../js/land-mask.js');
+const LandOverlap = require('../js/land-overlap.js');
+
+test('rasterize fills cells whose centre is inside, across the antimeridian', () => {
+    const grid = new Uint8Array(18 * 36);
+    // 10° grid; a box from 170°E to 190° (170°W) and 0° to 20°N
+    LandOverlap.rasterize(grid, { type: 'Polygon', coordinates: [[[170, 0], [190, 0], [190, 20], [170, 20], [170, 0]]] }, 10, 1);
+    const filled = [...grid.keys()].filter(index => grid[index]).map(index => [Math.floor(index / 36), index % 36]);
+    assert.deepEqual(filled, [[9, 0], [9, 35], [10, 0], [10, 35]]);
+    assert.deepEqual(LandOverlap.cellCenter(9, 35, 10), { lat: 5, lng: 175 });
+});
+
+test('the grid matches LandMask and is symmetric under the antipode', () => {
+    const result = LandOverlap.compute({ step: 1 });
+    const { rows, cols, cells } = result;
+
+    for (let row = 0; row < rows; row += 5) {
+        for (let col = 0; col < cols; col += 5) {
+            const { lat, lng } = LandOverlap.cellCenter(row, col, 1);
+            assert.equal(cells[row * cols + col] !== LandOverlap.WATER, LandMask.isLand(lat, lng), `${lat},${lng}`);
+        }
+    }
+    for (let index = 0; index < cells.length; index++) {
+        if (cells[index] !== LandOverlap.LAND_TO_LAND) continue;
+        const row = Math.floor(index / cols);
+        const opposite = (rows - 1 - row) * cols + (index % cols + cols / 2) % cols;
+        assert.equal(cells[opposite], LandOverlap.LAND_TO_LAND);
+    }
+    assert.equal(LandOverlap.compute({ step: 1 }), result);
+    assert.throws(() => LandOverlap.compute({ step: 0.7 }), RangeError);
+});
+
+test('statistics: about one seventh of land is opposite land', () => {
+    const result = LandOverlap.compute({ step: 1 });
+    assert.ok(result.landShare > 0.12 && result.landShare < 0.16, `${result.landShare}`);
+    assert.ok(result.surfaceShare > 0.03 && result.surfaceShare < 0.05, `${result.surfaceShare}`);
+
+    const [largest] = result.regions;
+    assert.deepEqual(largest.countries.slice(0, 2), ['Argentina', 'Chile']);
+    assert.deepEqual(largest.opposite.countries.slice(0, 2), ['China', 'Mongolia']);
+    assert.ok(largest.center.lat < -20 && largest.opposite.center.lat > 20);
+
+    const argentina = result.countries.find(entry => entry.countryCode === 'AR');
+    assert.ok(argentina.share > 0.8);
+    const australia = result.countries.find(entry => entry.countryCode === 'AU');
+    assert.equal(australia.overlapKm2, 0);
+    assert.ok(result.heat.every((value, index) => (value > 0) === (result.cells[index] === LandOverlap.LAND_TO_LAND)));
+});
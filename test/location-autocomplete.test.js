@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const LocationAutocomplete = require('../js/location-autocomplete.js');
+const { fakeDocument, fakeElement } = require('./helpers/fake-dom.js');
+
+function setup() {
+    const document = fakeDocument();
+    const input = fakeElement(document, { id: 'location', tagName: 'input' });
+    const list = fakeElement(document, { id: 'suggestions', tagName: 'ul' });
+    const selected = [];
+    const autocomplete = new LocationAutocomplete(input, list, {
+        search: query => ['Paris', 'Perth', 'Porto'].filter(name => name.startsWith(query)),
+        onSelect: item => selected.push(item),
+        label: item => item
+    });
+    input.value = 'P';
+    autocomplete.update();
+    return { autocomplete, input, list, selected };
+}
+
+function keydown(input, key) {
+    const event = { key, defaultPrevented: false, preventDefault() { this.defaultPrevented = true; } };
+    input.dispatch('keydown', event);
+    return event;
+}
+
+test('move wraps around at both ends of the list', () => {
+    const { autocomplete, input, list } = setup();
+    assert.equal(autocomplete.activeIndex, -1);
+
+    autocomplete.move(-1);
+    assert.equal(autocomplete.activeIndex, 2);
+    autocomplete.move(1);
+    assert.equal(autocomplete.activeIndex, 0);
+    autocomplete.move(-1);
+    assert.equal(autocomplete.activeIndex, 2);
+
+    assert.equal(input.getAttribute('aria-activedescendant'), 'suggestions-option-2');
+    assert.equal(list.children[2].getAttribute('aria-selected'), 'true');
+    assert.ok(list.children[2].scrolledTo);
+});
+
+test('Enter selects the highlighted suggestion', () => {
+    const { input, selected } = setup();
+    assert.equal(keydown(input, 'Enter').defaultPrevented, false);
+    assert.deepEqual(selected, []);
+
+    keydown(input, 'ArrowDown');
+    keydown(input, 'ArrowDown');
+    assert.equal(keydown(input, 'Enter').defaultPrevented, true);
+    assert.deepEqual(selected, ['Perth']);
+});
+
+test('Escape closes the list', () => {
+    const { autocomplete, input, list, selected } = setup();
+    assert.equal(input.getAttribute('aria-expanded'), 'true');
+    assert.equal(list.children.length, 3);
+
+    assert.equal(keydown(input, 'Escape').defaultPrevented, true);
+    assert.equal(autocomplete.isOpen(), false);
+    assert.equal(list.children.length, 0);
+    assert.ok(list.classList.contains('hidden'));
+    assert.equal(input.getAttribute('aria-expanded'), 'false');
+    assert.deepEqual(selected, []);
+    // Nothing left to close
+    assert.equal(keydown(input, 'Escape').defaultPrevented, false);
+});
+
+test('select writes the label into the input', () => {
+    const { autocomplete, input, selected } = setup();
+    autocomplete.select(2);
+    assert.equal(input.value, 'Porto');
+    assert.deepEqual(selected, ['Porto']);
+    assert.equal(autocomplete.isOpen(), false);
+
+    autocomplete.select(5);
+    assert.deepEqual(selected, ['Porto']);
+});
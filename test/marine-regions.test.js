@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const MarineRegions = require('../js/marine-regions.js');
+const LandMask = require('../js/land-mask.js');
+
+test('MarineRegions names well-known waters', () => {
+    const cases = [
+        [-40.7128, 105.994, 'Indian Ocean'],      // Antipode of New York
+        [-34.0522, 61.7563, 'Indian Ocean'],      // Antipode of Los Angeles
+        [-51.5074, 179.8722, 'South Pacific Ocean'], // Antipode of London
+        [30.0, -40.0, 'North Atlantic Ocean'],
+        [-30.0, -20.0, 'South Atlantic Ocean'],
+        [20.0, -150.0, 'North Pacific Ocean'],
+        [-30.0, -140.0, 'South Pacific Ocean'],
+        [0.0, 0.0, 'Gulf of Guinea'],
+        [-38.0, 160.0, 'Tasman Sea'],
+        [-18.0, 155.0, 'Coral Sea'],
+        [38.0, 19.0, 'Ionian Sea'],
+        [34.0, 25.0, 'Mediterranean Sea'],
+        [43.0, 34.0, 'Black Sea'],
+        [25.0, -90.0, 'Gulf of Mexico'],
+        [15.0, -75.0, 'Caribbean Sea'],
+        [56.0, 3.0, 'North Sea'],
+        [57.0, 178.0, 'Bering Sea'],
+        [57.0, -175.0, 'Bering Sea'],
+        [-65.0, 90.0, 'Southern Ocean'],
+        [85.0, 0.0, 'Arctic Ocean']
+    ];
+
+    for (const [lat, lng, name] of cases) {
+        assert.equal(LandMask.isLand(lat, lng), false, `${name} sample should be water`);
+        const region = MarineRegions.find(lat, lng);
+        assert.ok(region, `no region for ${lat}, ${lng}`);
+        assert.equal(region.name, name, `${lat}, ${lng}`);
+    }
+});
+
+test('MarineRegions reports the kind of water body', () => {
+    assert.equal(MarineRegions.find(-40, 100).type, 'ocean');
+    assert.equal(MarineRegions.find(-38, 160).type, 'sea');
+    assert.equal(MarineRegions.find(25, -90).type, 'gulf');
+    assert.equal(MarineRegions.find(36.0, -5.6).type, 'strait');
+});
+
+test('every water point on a coarse grid gets a name', () => {
+    const unnamed = [];
+    for (let lat = -88; lat <= 88; lat += 4) {
+        for (let lng = -178; lng <= 178; lng += 4) {
+            if (!LandMask.isLand(lat, lng) && !MarineRegions.find(lat, lng)) {
+                unnamed.push(`${lat},${lng}`);
+            }
+        }
+    }
+    assert.deepEqual(unnamed, []);
+});
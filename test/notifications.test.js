@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Notifier = require('../js/notifications.js');
+const { fakeDocument, fakeElement } = require('./helpers/fake-dom.js');
+
+function setup(t, options) {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const container = fakeElement(fakeDocument(), { id: 'notifications' });
+    return { container, notifier: new Notifier(container, options) };
+}
+
+function messages(container) {
+    return container.children.map(toast => toast.children[0].textContent);
+}
+
+test('the stack is a polite live region', t => {
+    const { container } = setup(t);
+    assert.ok(container.classList.contains('toast-stack'));
+    assert.equal(container.getAttribute('aria-live'), 'polite');
+    assert.equal(container.getAttribute('aria-relevant'), 'additions');
+});
+
+test('each severity gets its own class, and warnings and errors are alerts', t => {
+    const { container, notifier } = setup(t);
+    notifier.info('Saved to favourites');
+    notifier.success('Copied');
+    notifier.warning('Storage is full');
+    notifier.error('Search failed');
+
+    const [info, success, warning, error] = container.children;
+    assert.equal(info.className, 'toast toast-info');
+    assert.equal(success.className, 'toast toast-success');
+    assert.equal(warning.className, 'toast toast-warning');
+    assert.equal(error.className, 'toast toast-error');
+    assert.equal(info.getAttribute('role'), null);
+    assert.equal(success.getAttribute('role'), null);
+    assert.equal(warning.getAttribute('role'), 'alert');
+    assert.equal(error.getAttribute('role'), 'alert');
+    assert.equal(error.children[1].getAttribute('aria-label'), 'Dismiss notification');
+
+    assert.throws(() => notifier.show('Odd', { severity: 'fatal' }), /Unknown notification severity 'fatal'/);
+});
+
+test('toasts stack up to maxVisible, oldest first out', t => {
+    const { container, notifier } = setup(t, { maxVisible: 2 });
+    notifier.info('One');
+    notifier.info('Two');
+    notifier.info('Three');
+    assert.deepEqual(notifier.toasts.map(toast => toast.message), ['Two', 'Three']);
+
+    // The dropped toast fades out before it leaves the page
+    assert.ok(container.children[0].classList.contains('toast-leaving'));
+    t.mock.timers.tick(400);
+    assert.deepEqual(messages(container), ['Two', 'Three']);
+
+    // A repeat does not stack a copy
+    assert.equal(notifier.info('Two'), notifier.toasts[0]);
+    assert.deepEqual(messages(container), ['Two', 'Three']);
+});
+
+test('toasts dismiss themselves after their duration', t => {
+    const { container, notifier } = setup(t);
+    notifier.info('Copied');
+    notifier.error('Search failed');
+    notifier.warning('Stays', { duration: 0 });
+
+    t.mock.timers.tick(Notifier.DURATIONS.info);
+    t.mock.timers.tick(400);
+    assert.deepEqual(messages(container), ['Search failed', 'Stays']);
+
+    t.mock.timers.tick(Notifier.DURATIONS.error);
+    t.mock.timers.tick(400);
+    assert.deepEqual(messages(container), ['Stays']);
+
+    container.children[0].children[1].dispatch('click');
+    t.mock.timers.tick(400);
+    assert.deepEqual(messages(container), []);
+});
+
+test('repeating a message restarts its timer', t => {
+    const { container, notifier } = setup(t);
+    notifier.info('Copied');
+    t.mock.timers.tick(Notifier.DURATIONS.info - 1000);
+    notifier.info('Copied');
+    t.mock.timers.tick(Notifier.DURATIONS.info - 1000);
+    assert.deepEqual(messages(container), ['Copied']);
+
+    t.mock.timers.tick(1000);
+    t.mock.timers.tick(400);
+    assert.deepEqual(messages(container), []);
+});
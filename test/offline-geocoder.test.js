@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const OfflineGeocoder = require('../js/offline-geocoder.js');
+const LandMask = require('../js/land-mask.js');
+
+test('OfflineGeocoder finds country and region with ISO codes', () => {
+    const cases = [
+        [40.75, -73.98, 'US', 'US-NY', 'New York'],
+        [34.0522, -118.2437, 'US', 'US-CA', 'California'],
+        [-33.87, 151.21, 'AU', 'AU-NSW', 'New South Wales'],
+        [35.6762, 139.6503, 'JP', 'JP-13', 'Tokyo'],
+        [28.6, 77.2, 'IN', 'IN-DL', 'Delhi'],
+        [21.3, -157.8, 'US', 'US-HI', 'Hawaii'],
+        [66.0, -178.0, 'RU', 'RU-CHU', null]
+    ];
+
+    for (const [lat, lng, countryCode, regionCode, region] of cases) {
+        const place = OfflineGeocoder.reverse(lat, lng);
+        assert.ok(place, `no place for ${lat}, ${lng}`);
+        assert.equal(place.countryCode, countryCode, `${lat}, ${lng}`);
+        assert.equal(place.regionCode, regionCode, `${lat}, ${lng}`);
+        if (region) assert.equal(place.region, region);
+    }
+});
+
+test('OfflineGeocoder returns null in open water', () => {
+    assert.equal(OfflineGeocoder.reverse(-40.7128, 105.994), null);
+    assert.equal(OfflineGeocoder.reverse(0, -140), null);
+});
+
+test('OfflineGeocoder leaves codes null for areas without one', () => {
+    const kosovo = OfflineGeocoder.reverse(42.66, 21.16);
+    assert.equal(kosovo.country, 'Kosovo');
+    assert.equal(kosovo.regionCode, null);
+});
+
+test('OfflineGeocoder names a country for every land point on a coarse grid', () => {
+    const unnamed = [];
+    for (let lat = -84; lat <= 84; lat += 4) {
+        for (let lng = -178; lng <= 178; lng += 4) {
+            if (LandMask.isLand(lat, lng) && !OfflineGeocoder.reverse(lat, lng)) {
+                unnamed.push(`${lat},${lng}`);
+            }
+        }
+    }
+    assert.deepEqual(unnamed, []);
+});
+
+test('OfflineGeocoder.describe builds a short label', () => {
+    assert.equal(OfflineGeocoder.describe(OfflineGeocoder.reverse(34.0522, -118.2437)), 'California, United States');
+    assert.equal(OfflineGeocoder.describe({ country: 'Kosovo', region: null }), 'Kosovo');
+    assert.equal(OfflineGeocoder.describe(null), null);
+});
+
+test('OfflineGeocoder.country skips the region lookup', () => {
+    assert.deepEqual(OfflineGeocoder.country(40.4168, -3.7038), { country: 'Spain', countryCode: 'ES', countryCode3: 'ESP' });
+    assert.equal(OfflineGeocoder.country(0, -140), null);
+
+    const outlines = OfflineGeocoder.countryOutlines();
+    assert.equal(outlines.find(outline => outline.code === 'ES').geometry.type, 'Polygon');
+    const names = outlines.map(outline => outline.name);
+    assert.deepEqual(names, names.slice().sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' })));
+});
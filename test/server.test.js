@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Geocoding = require('../js/geocoding.js');
+const { createServer } = require('../server/server.js');
+
+const PLACES = [
+    { name: 'Madrid', lat: 40.4168, lng: -3.7038, city: 'Madrid', region: 'Community of Madrid', country: 'Spain', countryCode: 'ES' }
+];
+
+// Run `body` against a server on a free port, then shut it down
+async function withServer(provider, body) {
+    const server = createServer({ provider });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    try {
+        await body(base);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+async function getJson(url) {
+    const response = await fetch(url);
+    return { status: response.status, body: await response.json() };
+}
+
+test('server identifies itself for frontend detection', async () => {
+    await withServer(Geocoding.mockProvider(), async base => {
+        const health = await Geocoding.detectCompanionServer({ baseUrl: base });
+        assert.deepEqual(health, { service: 'antipodal-explorer', geocoder: 'Mock' });
+    });
+    assert.equal(await Geocoding.detectCompanionServer({ baseUrl: 'http://127.0.0.1:9' }), null);
+});
+
+test('/api/antipode returns the opposite point and the tunnel length', async () => {
+    await withServer(Geocoding.mockProvider(), async base => {
+        const { status, body } = await getJson(`${base}/api/antipode?lat=40.4168&lng=-3.7038`);
+        assert.equal(status, 200);
+        assert.deepEqual(body.antipode, { lat: -40.4168, lng: 176.2962, surface: 'land' });
+        assert.equal(body.start.surface, 'land');
+        assert.ok(Math.abs(body.tunnelKm - 2 * 6371.0088) < 1e-6);
+
+        const bad = await getJson(`${base}/api/antipode?lat=95&lng=0`);
+        assert.equal(bad.status, 400);
+        assert.match(bad.body.error, /lat and lng/);
+    });
+});
+
+test('/api/reverse combines offline and upstream answers', async () => {
+    const provider = Geocoding.mockProvider({ places: PLACES });
+    await withServer(provider, async base => {
+        const land = (await getJson(`${base}/api/reverse?lat=40.4168&lng=-3.7038`)).body;
+        assert.equal(land.surface, 'land');
+        assert.equal(land.place.countryCode, 'ES');
+        assert.equal(land.online.city, 'Madrid');
+        assert.equal(land.onlineError, null);
+        assert.equal(land.address, 'Madrid, Madrid, Spain');
+
+        // Water points and online=0 are answered without the upstream
+        const sea = (await getJson(`${base}/api/reverse?lat=-40.4168&lng=-176.2962`)).body;
+        assert.equal(sea.surface, 'water');
+        assert.equal(sea.address, 'South Pacific Ocean');
+        await getJson(`${base}/api/reverse?lat=48.8566&lng=2.3522&online=0`);
+        assert.equal(provider.calls.length, 1);
+
+        // The second lookup of a nearby point comes from the cache
+        await getJson(`${base}/api/reverse?lat=40.41681&lng=-3.70379`);
+        assert.equal(provider.calls.length, 1);
+    });
+});
+
+test('/api/search proxies to the upstream provider', async () => {
+    await withServer(Geocoding.mockProvider({ places: PLACES }), async base => {
+        const { status, body } = await getJson(`${base}/api/search?q=madr&limit=3`);
+        assert.equal(status, 200);
+        assert.deepEqual(body.results, [{ lat: 40.4168, lng: -3.7038, name: 'Madrid' }]);
+
+        const companion = Geocoding.companionProvider({ baseUrl: base });
+        assert.equal((await companion.reverse(40.4168, -3.7038)).country, 'Spain');
+        assert.deepEqual(await companion.search('Madrid'), body.results);
+
+        assert.equal((await getJson(`${base}/api/search?q=`)).status, 400);
+    });
+});
+
+test('upstream failures fail searches but not reverse lookups', async () => {
+    const failing = {
+        ...Geocoding.mockProvider(),
+        search: async () => { throw new Error('connection refused'); },
+        reverse: async () => { throw new Error('connection refused'); }
+    };
+    await withServer(failing, async base => {
+        const { status, body } = await getJson(`${base}/api/search?q=anything`);
+        assert.equal(status, 502);
+        assert.match(body.error, /connection refused/);
+
+        const reverse = await getJson(`${base}/api/reverse?lat=40.4168&lng=-3.7038`);
+        assert.equal(reverse.status, 200);
+        assert.equal(reverse.body.online, null);
+        assert.match(reverse.body.onlineError, /connection refused/);
+        assert.equal(reverse.body.address, 'Madrid, Spain');
+
+        // The companion provider passes the failure on instead of a null
+        const companion = Geocoding.companionProvider({ baseUrl: base });
+        await assert.rejects(companion.reverse(40.4168, -3.7038), /connection refused/);
+        assert.equal((await getJson(`${base}/api/nothing`)).status, 404);
+    });
+});
+
+test('server serves the app but nothing outside it', async () => {
+    await withServer(Geocoding.mockProvider(), async base => {
+        const page = await fetch(`${base}/`);
+        assert.equal(page.status, 200);
+        assert.match(page.headers.get('content-type'), /text\/html/);
+        assert.match(await page.text(), /<script src="js\/app.js">/);
+
+        const script = await fetch(`${base}/js/geo.js`);
+        assert.match(script.headers.get('content-type'), /javascript/);
+        await script.arrayBuffer();
+
+        for (const hidden of ['/README.md', '/server/server.js', '/js/%2e%2e/README.md', '/.git/config']) {
+            const response = await fetch(`${base}${hidden}`);
+            assert.equal(response.status, 404, hidden);
+            await response.arrayBuffer();
+        }
+    });
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const StoredList = require('../js/stored-list.js');
+const { memoryStorage } = require('./helpers/memory-storage.js');
+
+test('open loads and saves a JSON array under its key', () => {
+    const storage = memoryStorage({ other: 'kept' });
+    const list = StoredList.open(storage, 'items');
+    assert.deepEqual(list.load(), []);
+
+    assert.equal(list.save([{ id: 'a' }]), true);
+    assert.equal(storage.items.get('items'), '[{"id":"a"}]');
+    assert.deepEqual(list.load(), [{ id: 'a' }]);
+
+    // An empty list removes the key
+    assert.equal(list.save([]), true);
+    assert.equal(storage.items.has('items'), false);
+    assert.equal(storage.items.get('other'), 'kept');
+});
+
+test('unreadable, missing or full storage', () => {
+    assert.deepEqual(StoredList.open(memoryStorage({ items: '{not json' }), 'items').load(), []);
+    assert.deepEqual(StoredList.open(memoryStorage({ items: '{"id":"a"}' }), 'items').load(), []);
+
+    const none = StoredList.open(null, 'items');
+    assert.deepEqual(none.load(), []);
+    assert.equal(none.save([1]), false);
+
+    const full = { getItem: () => null, setItem: () => { throw new Error('QuotaExceededError'); }, removeItem: () => {} };
+    assert.equal(StoredList.open(full, 'items').save([1]), false);
+});
+
+test('idMaker skips ids already taken', () => {
+    const taken = new Set(['2s-2']);
+    const createId = StoredList.idMaker(id => taken.has(id));
+    assert.equal(createId(100), '2s-1');
+    assert.equal(createId(100), '2s-3');
+    assert.equal(createId(36), '10-4');
+});
+
+test('samePlace allows for rounding only', () => {
+    assert.equal(StoredList.samePlace({ lat: 10, lng: 20 }, { lat: 10 + 1e-9, lng: 20 }), true);
+    assert.equal(StoredList.samePlace({ lat: 10, lng: 20 }, { lat: 10.0001, lng: 20 }), false);
+});